@@ -0,0 +1,344 @@
+// api/contact.js
+//
+// Reference server-side handler for the `http` messaging provider
+// (src/services/messaging/providers/http.js). Deployed as a Vercel
+// serverless function at /api/contact; also runs under plain Node
+// (see scripts/contact-server.js).
+//
+// It validates the payload with the shared rules from
+// src/services/messaging/validation.js and relays it. Relay targets, first match:
+//   RESEND_API_KEY + CONTACT_TO_EMAIL   send an email through Resend
+//                                       (CONTACT_FROM_EMAIL optional)
+//   CONTACT_RELAY_URL                   POST the message as JSON
+//
+// Quotes may carry `attachments` (the visitor's diagrams/configs, the PDF
+// summary). The http provider sends those as multipart/form-data: a
+// `payload` JSON field plus one `attachments` file part each. Inline base64
+// attachments in a JSON body work too, within MAX_BODY_BYTES. Resend sends
+// them as email attachments, the JSON relay passes them on (base64).
+//
+// Every message has a reference (e.g. Q-2026-0042-XYZ): the client's, or
+// one assigned here. It goes into the subject line and back to the client.
+//
+// Spam screening (rules in src/services/messaging/antispam.js). The score
+// is recomputed here; the client's copy is only advisory.
+//   CONTACT_POW_DIFFICULTY     proof-of-work bits to require (default 16, 0 skips)
+//   CONTACT_POW_REQUIRED=true  reject messages without a valid token
+//                              (default: relay them flagged)
+//   CONTACT_SPAM_FLAG_SCORE    flag at or above this score (default 30)
+//   CONTACT_SPAM_REJECT_SCORE  reject at or above this score (default 60)
+// Flagged messages get "[Possible spam]" in the subject and a
+// `spam: { score, reasons, flagged }` verdict in the relayed JSON.
+//
+// Retries carrying an already-delivered `Idempotency-Key` header (or
+// `idempotencyKey` field) get the original id back without relaying again.
+// The cache is per instance, so it catches quick client retries, not all.
+//
+// Responses:
+//   200  { ok: true, id, reference }
+//   4xx/5xx  { ok: false, error: { code, message, fields? } }
+
+import {
+  POW_DEFAULT_DIFFICULTY,
+  POW_MAX_AGE_MS,
+  SPAM_THRESHOLDS,
+  scoreMessage,
+  verifyProofOfWork,
+} from "../src/services/messaging/antispam.js";
+import { createReference } from "../src/services/messaging/reference.js";
+import { formatScope, kindTitle } from "../src/services/messaging/scope.js";
+import { LIMITS, validateMessage } from "../src/services/messaging/validation.js";
+
+// JSON bodies: the message plus, at most, an inline PDF summary.
+const MAX_BODY_BYTES = 128 * 1024;
+// Multipart bodies: room for every attachment plus the form overhead.
+const MAX_UPLOAD_BYTES = LIMITS.attachmentTotalBytes + 256 * 1024;
+
+const IDEMPOTENCY_TTL_MS = 10 * 60 * 1000;
+
+function send(res, status, body) {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(body));
+}
+
+function fail(res, status, code, message, fields) {
+  send(res, status, { ok: false, error: { code, message, ...(fields ? { fields } : {}) } });
+}
+
+/**
+ * Split a multipart/form-data body into `{ name, filename?, contentType?,
+ * data }` parts. Enough for the http provider's uploads; not a general
+ * MIME parser.
+ */
+export function parseMultipart(body, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    start += delimiter.length;
+    if (body.subarray(start, start + 2).toString() === "--") break; // closing delimiter
+    const end = body.indexOf(delimiter, start);
+    if (end === -1) break;
+
+    // Each part sits between "\r\n" after the delimiter and "\r\n" before the next.
+    const part = body.subarray(start + 2, end - 2);
+    const split = part.indexOf("\r\n\r\n");
+    if (split === -1) {
+      start = end;
+      continue;
+    }
+    const head = part.subarray(0, split).toString("utf8");
+    const disposition = /content-disposition:[^\r\n]*/i.exec(head)?.[0] || "";
+
+    parts.push({
+      name: /\bname="([^"]*)"/i.exec(disposition)?.[1],
+      filename: /\bfilename="([^"]*)"/i.exec(disposition)?.[1],
+      contentType: /content-type:\s*([^\r\n;]+)/i.exec(head)?.[1].trim(),
+      data: part.subarray(split + 4),
+    });
+    start = end;
+  }
+  return parts;
+}
+
+async function readRaw(req, limit) {
+  // Vercel hands over bodies it does not parse (multipart) as a Buffer.
+  if (Buffer.isBuffer(req.body)) {
+    if (req.body.length > limit) throw Object.assign(new Error("too large"), { tooLarge: true });
+    return req.body;
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw Object.assign(new Error("too large"), { tooLarge: true });
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+function fromMultipart(raw, boundary) {
+  const parts = parseMultipart(raw, boundary);
+  const payload = parts.find((p) => p.name === "payload" && p.filename === undefined);
+  const body = JSON.parse(payload ? payload.data.toString("utf8") : "{}");
+
+  const files = parts.filter((p) => p.name === "attachments" && p.filename !== undefined);
+  if (files.length) {
+    body.attachments = files.map((f) => ({
+      filename: f.filename,
+      contentType: f.contentType,
+      content: f.data.toString("base64"),
+    }));
+  }
+  return body;
+}
+
+async function readBody(req) {
+  const type = req.headers?.["content-type"] || "";
+  const boundary = /^multipart\/form-data;.*\bboundary=(?:"([^"]+)"|([^;\s]+))/i.exec(type);
+  if (boundary) {
+    return fromMultipart(await readRaw(req, MAX_UPLOAD_BYTES), boundary[1] || boundary[2]);
+  }
+
+  // Vercel parses JSON bodies for us; plain Node does not.
+  if (req.body !== undefined && !Buffer.isBuffer(req.body)) {
+    return typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+  }
+
+  const raw = await readRaw(req, MAX_BODY_BYTES);
+  return raw.length ? JSON.parse(raw.toString("utf8")) : {};
+}
+
+function formatText(msg) {
+  return [
+    `Reference: ${msg.reference}`,
+    `Kind: ${msg.kind || "contact"}`,
+    `Name: ${msg.name}`,
+    `Email: ${msg.email}`,
+    msg.service ? `Service: ${msg.service}` : null,
+    msg.projectType ? `Project Type: ${msg.projectType}` : null,
+    msg.budget ? `Budget: ${msg.budget}` : null,
+    ...formatScope(msg),
+    msg.pagePath ? `Page: ${msg.pagePath}` : null,
+    msg.timestamp ? `Sent: ${msg.timestamp}` : null,
+    msg.spam?.flagged
+      ? `Spam check: score ${msg.spam.score} (${msg.spam.reasons.join(", ")})`
+      : null,
+    "",
+    msg.message || "(no message)",
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+function subjectFor(msg) {
+  return [
+    msg.spam?.flagged ? "[Possible spam]" : null,
+    kindTitle(msg.kind),
+    `[${msg.reference}]`,
+    `— ${msg.name}`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Relay chosen from env. Returns an async (message) => ({ id }) function,
+ * or null when nothing is configured.
+ */
+export function relayFromEnv(env = process.env) {
+  if (env.RESEND_API_KEY && env.CONTACT_TO_EMAIL) {
+    return async (msg) => {
+      const r = await fetch("https://api.resend.com/emails", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${env.RESEND_API_KEY}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          from: env.CONTACT_FROM_EMAIL || "Portfolio <onboarding@resend.dev>",
+          to: env.CONTACT_TO_EMAIL,
+          reply_to: msg.email,
+          subject: subjectFor(msg),
+          text: formatText(msg),
+          ...(msg.attachments?.length
+            ? { attachments: msg.attachments.map(({ filename, content }) => ({ filename, content })) }
+            : {}),
+        }),
+      });
+      if (!r.ok) throw new Error(`Resend responded ${r.status}`);
+      const data = await r.json().catch(() => ({}));
+      return { id: data.id };
+    };
+  }
+
+  if (env.CONTACT_RELAY_URL) {
+    return async (msg) => {
+      const r = await fetch(env.CONTACT_RELAY_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...msg, text: formatText(msg) }),
+      });
+      if (!r.ok) throw new Error(`Relay responded ${r.status}`);
+      return {};
+    };
+  }
+
+  return null;
+}
+
+const envNumber = (value, fallback) =>
+  value === undefined || value === "" || Number.isNaN(Number(value)) ? fallback : Number(value);
+
+/** Spam screening thresholds from env (see the header). */
+export function spamPolicyFromEnv(env = process.env) {
+  return {
+    powDifficulty: envNumber(env.CONTACT_POW_DIFFICULTY, POW_DEFAULT_DIFFICULTY),
+    powRequired: env.CONTACT_POW_REQUIRED === "true",
+    flagScore: envNumber(env.CONTACT_SPAM_FLAG_SCORE, SPAM_THRESHOLDS.flag),
+    rejectScore: envNumber(env.CONTACT_SPAM_REJECT_SCORE, SPAM_THRESHOLDS.reject),
+  };
+}
+
+/**
+ * Build a (req, res) handler around a relay. The default export uses
+ * `relayFromEnv()`; tests and the local stand-in server inject their own
+ * (and may pass a `spam` policy in the shape of `spamPolicyFromEnv()`).
+ */
+export function createContactHandler({ relay = relayFromEnv(), spam = spamPolicyFromEnv() } = {}) {
+  const delivered = new Map(); // idempotency key -> { id, at }
+  const challenges = new Map(); // proof-of-work challenge -> { key, at }
+
+  const remembered = (key) => {
+    const now = Date.now();
+    for (const [k, v] of delivered) {
+      if (now - v.at > IDEMPOTENCY_TTL_MS) delivered.delete(k);
+    }
+    return key ? delivered.get(key) : undefined;
+  };
+
+  // `{ score, reasons, flagged, rejected }` for a message.
+  const screen = async (body, key) => {
+    const { score, reasons } = scoreMessage(body);
+    let pow = spam.powDifficulty
+      ? await verifyProofOfWork(body.pow, { difficulty: spam.powDifficulty })
+      : null;
+
+    // A token buys one message; retries of that message (same key) may reuse it.
+    if (!pow && body.pow) {
+      const now = Date.now();
+      for (const [c, v] of challenges) {
+        if (now - v.at > POW_MAX_AGE_MS) challenges.delete(c);
+      }
+      const seen = challenges.get(body.pow.challenge);
+      if (seen && (!key || seen.key !== key)) pow = "reused";
+      else challenges.set(body.pow.challenge, { key, at: now });
+    }
+    if (pow) reasons.push(`pow_${pow}`);
+
+    return {
+      score,
+      reasons,
+      flagged: Boolean(pow) || score >= spam.flagScore,
+      rejected: (Boolean(pow) && spam.powRequired) || score >= spam.rejectScore,
+    };
+  };
+
+  return async function contactHandler(req, res) {
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "POST");
+      return fail(res, 405, "method_not_allowed", "Use POST.");
+    }
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (err) {
+      return err?.tooLarge
+        ? fail(res, 413, "payload_too_large", "Message is too large.")
+        : fail(res, 400, "invalid_json", "Body must be valid JSON.");
+    }
+
+    // Same rules the forms and the client messaging layer apply.
+    const fields = validateMessage(body?.kind || "contact", body);
+    if (fields) return fail(res, 422, "validation_failed", "Some fields are invalid.", fields);
+
+    if (!relay) return fail(res, 503, "relay_not_configured", "Messaging is not configured.");
+
+    const key = req.headers?.["idempotency-key"] || body.idempotencyKey;
+    const previous = remembered(key);
+    if (previous) {
+      return send(res, 200, {
+        ok: true,
+        id: previous.id,
+        reference: previous.reference,
+        duplicate: true,
+      });
+    }
+
+    const { rejected, ...verdict } = await screen(body, key);
+    if (rejected) {
+      return fail(res, 422, "spam_rejected", "This message looks like spam and was not sent.");
+    }
+
+    const id = `msg_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    const reference = body.reference || createReference(body.kind);
+    const message = { ...body, id, reference, spam: verdict };
+    delete message.pow;
+
+    try {
+      const result = await relay(message);
+      const finalId = result?.id || id;
+      if (key) delivered.set(key, { id: finalId, reference, at: Date.now() });
+      return send(res, 200, { ok: true, id: finalId, reference });
+    } catch (err) {
+      console.error("[api/contact] relay failed:", err?.message || err);
+      return fail(res, 502, "relay_failed", "Could not deliver the message. Please try again later.");
+    }
+  };
+}
+
+export default createContactHandler();
@@ -0,0 +1,43 @@
+// scripts/contact-server.js
+//
+// Local stand-in for the /api/contact serverless function.
+//
+//   npm run api:dev
+//   VITE_CONTACT_PROVIDER=http VITE_CONTACT_ENDPOINT=http://localhost:8787/api/contact npm run dev
+//
+// Uses the env relay when configured, otherwise just logs each message.
+
+import { createServer } from "node:http";
+import { createContactHandler, relayFromEnv } from "../api/contact.js";
+
+const port = Number(process.env.PORT) || 8787;
+
+const handler = createContactHandler({
+  relay:
+    relayFromEnv() ||
+    (async (msg) => {
+      console.log("[contact-server] message:", JSON.stringify(msg, null, 2));
+      return {};
+    }),
+});
+
+createServer((req, res) => {
+  // The Vite dev server runs on another origin.
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Accept, Idempotency-Key");
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 204;
+    return res.end();
+  }
+
+  if (req.url !== "/api/contact") {
+    res.statusCode = 404;
+    return res.end();
+  }
+
+  return handler(req, res);
+}).listen(port, () => {
+  console.log(`[contact-server] listening on http://localhost:${port}/api/contact`);
+});
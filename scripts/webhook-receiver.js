@@ -0,0 +1,44 @@
+// scripts/webhook-receiver.js
+//
+// Local stand-in for a chat webhook, for trying the `webhook` provider
+// without a real Slack/Discord/Teams channel.
+//
+//   npm run webhook:dev
+//   VITE_CONTACT_PROVIDER=webhook VITE_WEBHOOK_URL=http://localhost:8788/hook \
+//     VITE_WEBHOOK_FORMAT=slack npm run dev
+//
+// Logs every body it receives and answers like Discord (204). Set
+// WEBHOOK_STATUS=500 (or 429) to exercise the outbox retry path.
+
+import { createServer } from "node:http";
+
+const port = Number(process.env.PORT) || 8788;
+const status = Number(process.env.WEBHOOK_STATUS) || 204;
+
+createServer(async (req, res) => {
+  // The Vite dev server runs on another origin.
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 204;
+    return res.end();
+  }
+
+  let raw = "";
+  for await (const chunk of req) raw += chunk;
+
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch {
+    body = raw;
+  }
+  console.log(`[webhook-receiver] ${req.method} ${req.url}`, JSON.stringify(body, null, 2));
+
+  res.statusCode = status;
+  res.end();
+}).listen(port, () => {
+  console.log(`[webhook-receiver] listening on http://localhost:${port} (answers ${status})`);
+});
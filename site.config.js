@@ -0,0 +1,50 @@
+/**
+ * site.config.js
+ * --------------------------------------------------------------------
+ * Owner identity and contact details for the whole site. Re-brand the
+ * template by editing this file only: pages, the footer, the contact
+ * card / vCard, quote PDFs and index.html all read from it, and
+ * `intro` sets when the Preloader / Curtains intro plays.
+ *
+ * It is validated against `src/content/site.js` when the content
+ * registry loads, so a missing or malformed field fails `vite build`.
+ */
+
+export default {
+  // Browser tab title (index.html).
+  title: "Mohammadreza Heidarpoor — Portfolio",
+
+  owner: {
+    name: "Mohammadreza Heidarpoor",
+    givenName: "Mohammadreza",
+    familyName: "Heidarpoor",
+    // Profile card, contact card and vCard.
+    title: "Networking & IT Security Student",
+    // Hero subtitle on the home page.
+    headline: "Network Engineer & Network Technician",
+    handle: "mammadcodes",
+    status: "busy",
+    avatar: "/my-avatar.jpg",
+  },
+
+  contact: {
+    email: "mrheidarpoor7@gmail.com",
+    // E.164, so it works as a tel: URI; `phoneDisplay` is how it is printed.
+    phone: "+16478023224",
+    phoneDisplay: "+1(647)802-3224",
+    city: "Toronto",
+    country: "Canada",
+  },
+
+  links: {
+    linkedin: "https://www.linkedin.com/in/mohammadreza-heidarpoor/",
+    credly: "https://www.credly.com/users/mohammadreza-heidarpoor",
+  },
+
+  intro: {
+    // "first-visit", "always" or "never". Deep links always skip it.
+    play: "first-visit",
+    // Show a "Skip intro" button while it plays.
+    skippable: true,
+  },
+};
@@ -1,7 +1,14 @@
 import React, { useState, useEffect, useCallback, useRef } from "react";
 import { FaArrowUp } from "react-icons/fa";
 import { useLocation } from "react-router-dom";
-import { sendQuoteMessage } from "./services/messaging";
+import {
+  sendBookingRequest,
+  sendQuoteMessage,
+  startMessagingOutbox,
+  validateMessagingConfig,
+} from "./services/messaging";
+import { markIntroSeen, shouldPlayIntro } from "./services/intro";
+import { site } from "./content";
 
 import Router from "./routes/Router";
 import LetterGlitch from "./components/LetterGlitch";
@@ -10,6 +17,10 @@ import Preloader from "./components/Preloader";
 import Navbar from "./components/Navbar";
 import CurtainOverlay from "./components/CurtainOverlay";
 import QuoteModal from "./components/QuoteModal";
+import BookingCalendar from "./components/BookingCalendar";
+import MotionPanel from "./components/MotionPanel";
+import ContactSheet from "./components/ContactSheet";
+import { useTheme } from "./hooks/useTheme";
 
 
 import "./index.css";
@@ -23,19 +34,21 @@ export default function App() {
   /* =====================================================
      GLOBAL STATE
   ===================================================== */
-  const [theme, setTheme] = useState("night");
+  const { preference: themePreference, theme, cycle: toggleTheme } = useTheme();
   const [active, setActive] = useState("Home");
 
   /* =====================================================
      PHASE STATE
   ===================================================== */
-  const [phase, setPhase] = useState("preloader");
+  // Returning visitors and deep links start at "ready" (see services/intro).
+  const [playIntro] = useState(() => shouldPlayIntro(site.intro.play, location));
+  const [phase, setPhase] = useState(playIntro ? "preloader" : "ready");
   // preloader → curtains → ready
 
   /* =====================================================
      REVEAL KEY
   ===================================================== */
-  const [revealKey, setRevealKey] = useState(0);
+  const [revealKey, setRevealKey] = useState(playIntro ? 0 : 1);
 
   /* =====================================================
      INTERNAL GUARDS
@@ -52,11 +65,24 @@ export default function App() {
   ===================================================== */
   const [quoteOpen, setQuoteOpen] = useState(false);
   const [quoteService, setQuoteService] = useState("");
+  const [quotePrefill, setQuotePrefill] = useState(null);
+
+  const closeQuote = useCallback(() => setQuoteOpen(false), []);
+  const openQuote = useCallback((service, prefill) => {
+    setQuoteService(service || "");
+    setQuotePrefill(prefill || null);
+    setQuoteOpen(true);
+  }, []);
+  const submitQuote = useCallback(
+    (data) => sendQuoteMessage(data, quoteService),
+    [quoteService]
+  );
 
   useEffect(() => {
     const onOpen = (e) => {
       const svc = e?.detail?.service ?? "";
       setQuoteService(svc);
+      setQuotePrefill(e?.detail?.prefill ?? null);
       setQuoteOpen(true);
     };
 
@@ -64,6 +90,39 @@ export default function App() {
     return () => window.removeEventListener("openQuoteModal", onOpen);
   }, []);
 
+  /* =====================================================
+     BOOKING MODAL STATE
+  ===================================================== */
+  const [bookingOpen, setBookingOpen] = useState(false);
+  const closeBooking = useCallback(() => setBookingOpen(false), []);
+
+  /* =====================================================
+     MOTION PANEL STATE
+  ===================================================== */
+  const [motionOpen, setMotionOpen] = useState(false);
+  const closeMotion = useCallback(() => setMotionOpen(false), []);
+
+  /* =====================================================
+     CONTACT SHEET STATE
+  ===================================================== */
+  const [contactOpen, setContactOpen] = useState(false);
+  const closeContact = useCallback(() => setContactOpen(false), []);
+
+  useEffect(() => {
+    const onOpen = () => setContactOpen(true);
+
+    window.addEventListener("openContactSheet", onOpen);
+    return () => window.removeEventListener("openContactSheet", onOpen);
+  }, []);
+
+  /* =====================================================
+     MESSAGING (config check + retry queued submissions)
+  ===================================================== */
+  useEffect(() => {
+    validateMessagingConfig();
+    return startMessagingOutbox();
+  }, []);
+
   /* =====================================================
      DISABLE BROWSER SCROLL RESTORATION (CRITICAL)
   ===================================================== */
@@ -88,17 +147,6 @@ export default function App() {
     document.documentElement.setAttribute("data-phase", phase);
   }, [phase]);
 
-  /* =====================================================
-     THEME ATTRIBUTE
-  ===================================================== */
-  useEffect(() => {
-    document.documentElement.setAttribute("data-theme", theme);
-  }, [theme]);
-
-  const toggleTheme = () => {
-    setTheme((prev) => (prev === "night" ? "day" : "night"));
-  };
-
   /* =====================================================
      PRELOADER → CURTAINS
   ===================================================== */
@@ -123,18 +171,34 @@ export default function App() {
     setPhase("ready");
   }, []);
 
+  /* =====================================================
+     SKIP INTRO → READY
+  ===================================================== */
+  const handleSkipIntro = useCallback(() => {
+    handleCurtainsStartReveal();
+    setPhase("ready");
+  }, [handleCurtainsStartReveal]);
+
+  /* =====================================================
+     INTRO SEEN (first-visit mode)
+  ===================================================== */
+  useEffect(() => {
+    if (phase === "ready") markIntroSeen();
+  }, [phase]);
+
   /* =====================================================
      ENSURE HOME IS ACTIVE AFTER BOOT
   ===================================================== */
   useEffect(() => {
-    if (phase !== "ready") return;
+    // Deep links keep the section they asked for.
+    if (phase !== "ready" || !playIntro) return;
 
     requestAnimationFrame(() => {
       document.documentElement.scrollTop = 0;
       document.body.scrollTop = 0;
       setActive("Home");
     });
-  }, [phase]);
+  }, [phase, playIntro]);
 
   /* =====================================================
      RE-TRIGGER REVEAL WHEN RETURNING TO "/"
@@ -206,7 +270,10 @@ export default function App() {
       )}
 
       {phase === "preloader" && (
-        <Preloader onComplete={handlePreloaderComplete} />
+        <Preloader
+          onComplete={handlePreloaderComplete}
+          onSkip={site.intro.skippable ? handleSkipIntro : undefined}
+        />
       )}
 
       {(phase === "curtains" || phase === "ready") && (
@@ -214,8 +281,9 @@ export default function App() {
           <Navbar
             active={active}
             onSetActive={setActive}
-            theme={theme}
+            themePreference={themePreference}
             onToggleTheme={toggleTheme}
+            onOpenMotion={() => setMotionOpen(true)}
           />
 
           {showScrollTop && (
@@ -261,19 +329,29 @@ export default function App() {
           active={active}
           setActive={setActive}
           revealKey={revealKey}
-          onRequestQuote={(service) => {
-            setQuoteService(service || "");
-            setQuoteOpen(true);
-          }}
-          isQuoteOpen={quoteOpen}
+          onRequestQuote={openQuote}
+          onBookCall={() => setBookingOpen(true)}
+          // Any modal open: the deck stops handling wheel / keys.
+          isModalOpen={quoteOpen || bookingOpen || motionOpen || contactOpen}
         />
 
         <QuoteModal
           open={quoteOpen}
           service={quoteService}
-          onClose={() => setQuoteOpen(false)}
-          onSubmit={(data) => sendQuoteMessage(data, quoteService)}
+          prefill={quotePrefill}
+          onClose={closeQuote}
+          onSubmit={submitQuote}
+        />
+
+        <BookingCalendar
+          open={bookingOpen}
+          onClose={closeBooking}
+          onSubmit={sendBookingRequest}
         />
+
+        <MotionPanel open={motionOpen} onClose={closeMotion} />
+
+        <ContactSheet open={contactOpen} onClose={closeContact} onRequestQuote={openQuote} />
       </div>
     </div>
   );
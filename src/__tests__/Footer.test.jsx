@@ -1,7 +1,8 @@
 import React from "react";
-import { render } from "@testing-library/react";
+import { render, screen, fireEvent } from "@testing-library/react";
 import { MemoryRouter } from "react-router-dom";
 import Footer from "../components/footer.jsx";
+import { site } from "../content";
 
 describe("Footer Component", () => {
   it("renders without crashing", () => {
@@ -13,4 +14,36 @@ describe("Footer Component", () => {
 
     expect(container.firstChild).toBeTruthy();
   });
+
+  it("links the displayed email and phone from the site config", () => {
+    render(
+      <MemoryRouter>
+        <Footer />
+      </MemoryRouter>
+    );
+
+    expect(screen.getByRole("link", { name: site.contact.email })).toHaveAttribute(
+      "href",
+      `mailto:${site.contact.email}`
+    );
+    expect(screen.getByRole("link", { name: site.contact.phoneDisplay })).toHaveAttribute(
+      "href",
+      `tel:${site.contact.phone}`
+    );
+  });
+
+  it("asks App to open the contact sheet, so the deck pauses with it", () => {
+    const onOpen = vi.fn();
+    window.addEventListener("openContactSheet", onOpen);
+
+    render(
+      <MemoryRouter>
+        <Footer />
+      </MemoryRouter>
+    );
+    fireEvent.click(screen.getByRole("button", { name: "Save Contact" }));
+
+    window.removeEventListener("openContactSheet", onOpen);
+    expect(onOpen).toHaveBeenCalledTimes(1);
+  });
 });
@@ -6,7 +6,7 @@ import Main from "../pages/Main";
 test("renders all major sections", async () => {
   render(
     <MemoryRouter initialEntries={["/"]}>
-      <Main setActive={vi.fn()} revealKey={1} isQuoteOpen={false} />
+      <Main setActive={vi.fn()} revealKey={1} isModalOpen={false} />
     </MemoryRouter>
   );
 
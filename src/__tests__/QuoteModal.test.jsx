@@ -0,0 +1,144 @@
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import QuoteModal from "../components/QuoteModal";
+
+const next = () => fireEvent.click(screen.getByRole("button", { name: "Next" }));
+const type = (label, value) => fireEvent.change(screen.getByLabelText(label), { target: { value } });
+
+function fillToLastStep() {
+  type("Name", "Ada");
+  type("Email", "ada@example.com");
+  next();
+  type("Sites", "3");
+  type("Users / Endpoints", "120");
+  next();
+  fireEvent.click(screen.getByLabelText("FortiGate"));
+  fireEvent.click(screen.getByLabelText("PCI DSS"));
+  next();
+}
+
+beforeEach(() => {
+  window.sessionStorage.clear();
+});
+
+describe("QuoteModal wizard", () => {
+  it("validates each step before moving forward", () => {
+    render(<QuoteModal open onSubmit={vi.fn()} />);
+
+    next();
+
+    expect(screen.getByLabelText("Name")).toHaveAttribute("aria-invalid", "true");
+    expect(screen.getByText("Name is required.")).toBeInTheDocument();
+    expect(screen.getByRole("listitem", { current: "step" })).toHaveTextContent("Contact");
+  });
+
+  it("keeps answers when going back and saves progress", () => {
+    render(<QuoteModal open onSubmit={vi.fn()} />);
+
+    type("Name", "Ada");
+    type("Email", "ada@example.com");
+    next();
+
+    expect(screen.getByLabelText("Sites")).toBeInTheDocument();
+    expect(JSON.parse(window.localStorage.getItem("draft:quote")).data).toMatchObject({
+      step: 1,
+      form: { name: "Ada" },
+    });
+
+    fireEvent.click(screen.getByRole("button", { name: "Back" }));
+    expect(screen.getByLabelText("Name")).toHaveValue("Ada");
+  });
+
+  it("resumes saved progress when reopened", () => {
+    const { rerender } = render(<QuoteModal open onSubmit={vi.fn()} />);
+    type("Name", "Ada");
+    type("Email", "ada@example.com");
+    next();
+
+    rerender(<QuoteModal open={false} onSubmit={vi.fn()} />);
+    rerender(<QuoteModal open onSubmit={vi.fn()} />);
+
+    expect(screen.getByLabelText("Sites")).toBeInTheDocument();
+  });
+
+  it("keeps answers and errors when the parent re-renders while open", () => {
+    const prefill = { sites: "4" };
+    const { rerender } = render(
+      <QuoteModal open prefill={prefill} onClose={() => {}} onSubmit={() => {}} />
+    );
+    type("Name", "Ada");
+    next();
+    expect(screen.getByText("Email is required.")).toBeInTheDocument();
+
+    // New inline callbacks and an equal-but-new pre-fill, as an App re-render gives.
+    rerender(<QuoteModal open prefill={{ sites: "4" }} onClose={() => {}} onSubmit={() => {}} />);
+
+    expect(screen.getByLabelText("Name")).toHaveValue("Ada");
+    expect(screen.getByText("Email is required.")).toBeInTheDocument();
+  });
+
+  it("takes estimator choices as a pre-fill and drops a stale estimate", () => {
+    const prefill = { sites: "4", endpoints: "10", estimate: "$1,000 – $1,400 CAD" };
+    render(<QuoteModal open prefill={prefill} onSubmit={vi.fn()} />);
+
+    expect(screen.getByText("$1,000 – $1,400 CAD")).toBeInTheDocument();
+
+    type("Name", "Ada");
+    type("Email", "ada@example.com");
+    next();
+    expect(screen.getByLabelText("Sites")).toHaveValue(4);
+
+    type("Sites", "6");
+    expect(screen.queryByText("$1,000 – $1,400 CAD")).not.toBeInTheDocument();
+  });
+
+  it("treats an instant submit as a bot: no send, form and step reset", () => {
+    const now = vi.spyOn(Date, "now").mockReturnValue(0);
+    const onSubmit = vi.fn();
+    render(<QuoteModal open onSubmit={onSubmit} />);
+
+    fillToLastStep();
+    type("Timeline", "asap");
+    fireEvent.click(screen.getByRole("button", { name: "Request Quote" }));
+
+    expect(onSubmit).not.toHaveBeenCalled();
+    expect(window.localStorage.getItem("draft:quote")).toBeNull();
+    expect(screen.getByRole("listitem", { current: "step" })).toHaveTextContent("Contact");
+    expect(screen.getByLabelText("Name")).toHaveValue("");
+
+    now.mockRestore();
+  });
+
+  it("submits the scoping answers with the quote", async () => {
+    const now = vi.spyOn(Date, "now").mockReturnValue(0);
+    const onSubmit = vi.fn().mockResolvedValue({ ok: true, reference: "Q-2026-0042-XYZ" });
+    render(<QuoteModal open onSubmit={onSubmit} />);
+
+    fillToLastStep();
+    type("Timeline", "1-3-months");
+    type("Project Details", "Two new branches.");
+
+    now.mockReturnValue(5000);
+    fireEvent.click(screen.getByRole("button", { name: "Request Quote" }));
+
+    await waitFor(() =>
+      expect(screen.getByRole("status")).toHaveTextContent(
+        "Request sent successfully. Reference: Q-2026-0042-XYZ"
+      )
+    );
+    expect(onSubmit).toHaveBeenCalledWith(
+      expect.objectContaining({
+        sites: "3",
+        endpoints: "120",
+        vendors: ["fortigate"],
+        compliance: ["pci-dss"],
+        timeline: "1-3-months",
+      })
+    );
+    expect(window.localStorage.getItem("draft:quote")).toBeNull();
+    expect(
+      screen.getByRole("button", { name: "Download PDF summary" })
+    ).toBeInTheDocument();
+
+    now.mockRestore();
+  });
+});
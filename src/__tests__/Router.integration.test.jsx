@@ -39,3 +39,43 @@ test("renders Project1 on /projects/1", () => {
     })
   ).toBeInTheDocument();
 });
+
+test("renders a case study on /projects/:slug", () => {
+  render(
+    <MemoryRouter initialEntries={["/projects/layer2-defense"]}>
+      <Router
+        theme="night"
+        toggleTheme={vi.fn()}
+        active="Projects"
+        setActive={vi.fn()}
+        revealKey={1}
+      />
+    </MemoryRouter>
+  );
+
+  expect(
+    screen.getByRole("heading", { name: /architecture & implementation/i })
+  ).toBeInTheDocument();
+
+  expect(
+    screen.getByRole("link", { name: /continue to project 6/i })
+  ).toHaveAttribute("href", "/projects/enterprise-ops");
+});
+
+test("renders not-found fallback for unknown project slugs", () => {
+  render(
+    <MemoryRouter initialEntries={["/projects/does-not-exist"]}>
+      <Router
+        theme="night"
+        toggleTheme={vi.fn()}
+        active="Projects"
+        setActive={vi.fn()}
+        revealKey={1}
+      />
+    </MemoryRouter>
+  );
+
+  expect(
+    screen.getByRole("heading", { name: /project not found/i })
+  ).toBeInTheDocument();
+});
@@ -0,0 +1,153 @@
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { createContactHandler } from "../../api/contact.js";
+import {
+  createChallenge,
+  scoreMessage,
+  solveChallenge,
+  verifyProofOfWork,
+} from "../services/messaging/antispam";
+import ContactForm from "../components/ContactForm";
+
+// Solves at nonce 103 for 8 bits, so every smaller nonce fails.
+const CHALLENGE = "lz1abc.0123456789abcdef01234567";
+const ISSUED_AT = parseInt("lz1abc", 36);
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("scoreMessage", () => {
+  it("leaves ordinary enquiries alone", () => {
+    expect(
+      scoreMessage({
+        name: "Ada",
+        message: "We need two branch offices on FortiGate. Current site: https://example.com",
+      })
+    ).toEqual({ score: 0, reasons: [] });
+  });
+
+  it("adds up links, markup, repeats, shouting and known phrases", () => {
+    const { score, reasons } = scoreMessage({
+      name: "Best SEO",
+      message:
+        "GET SEO SERVICES NOW!!!!!!!! [url=http://a.example]x[/url] http://b.example www.c.example backlinks",
+    });
+
+    expect(reasons).toEqual([
+      "links:3",
+      "markup_link",
+      "repeated_chars",
+      "phrases:seo services|backlinks",
+    ]);
+    expect(score).toBe(100);
+    expect(scoreMessage({ message: "PLEASE CALL ME BACK ABOUT THE FIREWALL" }).reasons).toEqual([
+      "shouting",
+    ]);
+  });
+});
+
+describe("proof of work", () => {
+  it("solves and verifies a challenge", async () => {
+    const token = await solveChallenge(CHALLENGE, 8);
+
+    expect(token).toEqual({ challenge: CHALLENGE, nonce: 103, difficulty: 8 });
+    expect(await verifyProofOfWork(token, { difficulty: 8, now: ISSUED_AT })).toBeNull();
+  });
+
+  it("explains why a token is refused", async () => {
+    const opts = { difficulty: 8, now: ISSUED_AT };
+
+    expect(await verifyProofOfWork(undefined, opts)).toBe("missing");
+    expect(await verifyProofOfWork({ challenge: "nope", nonce: 1, difficulty: 8 }, opts)).toBe(
+      "malformed"
+    );
+    expect(await verifyProofOfWork({ challenge: CHALLENGE, nonce: 103, difficulty: 4 }, opts)).toBe(
+      "too_easy"
+    );
+    expect(await verifyProofOfWork({ challenge: CHALLENGE, nonce: 102, difficulty: 8 }, opts)).toBe(
+      "invalid"
+    );
+    expect(
+      await verifyProofOfWork(
+        { challenge: CHALLENGE, nonce: 103, difficulty: 8 },
+        { ...opts, now: ISSUED_AT + 25 * 60 * 60 * 1000 }
+      )
+    ).toBe("expired");
+  });
+});
+
+describe("api/contact spam screening", () => {
+  const message = { kind: "contact", name: "Ada", email: "ada@example.com", message: "Hello there." };
+
+  function setup(policy) {
+    const relayed = [];
+    const handler = createContactHandler({
+      relay: async (msg) => {
+        relayed.push(msg);
+        return { id: "relay-1" };
+      },
+      spam: { powDifficulty: 8, powRequired: false, flagScore: 30, rejectScore: 60, ...policy },
+    });
+
+    const post = async (body, key) => {
+      const res = { statusCode: 0, setHeader() {}, end: (raw) => (res.body = JSON.parse(raw)) };
+      await handler({ method: "POST", headers: key ? { "idempotency-key": key } : {}, body }, res);
+      return res;
+    };
+    return { relayed, post };
+  }
+
+  it("relays messages with a valid token unflagged and without the token", async () => {
+    const { relayed, post } = setup();
+    const pow = await solveChallenge(createChallenge(), 8);
+
+    const res = await post({ ...message, pow }, "k1");
+
+    expect(res.statusCode).toBe(200);
+    expect(relayed[0].spam).toEqual({ score: 0, reasons: [], flagged: false });
+    expect(relayed[0]).not.toHaveProperty("pow");
+  });
+
+  it("flags messages without a token, or rejects them when tokens are required", async () => {
+    const lenient = setup();
+    expect((await lenient.post(message, "k1")).statusCode).toBe(200);
+    expect(lenient.relayed[0].spam).toMatchObject({ flagged: true, reasons: ["pow_missing"] });
+
+    const strict = setup({ powRequired: true });
+    const res = await strict.post(message, "k1");
+    expect(res.statusCode).toBe(422);
+    expect(res.body.error.code).toBe("spam_rejected");
+    expect(strict.relayed).toHaveLength(0);
+  });
+
+  it("rejects spammy content and flags a token reused for another message", async () => {
+    const { relayed, post } = setup();
+    const pow = await solveChallenge(createChallenge(), 8);
+
+    const spam = await post({ ...message, message: "Cheap backlinks, guest post, casino!" }, "k1");
+    expect(spam.statusCode).toBe(422);
+
+    await post({ ...message, pow }, "k2");
+    await post({ ...message, pow }, "k3");
+    expect(relayed.map((m) => m.spam.flagged)).toEqual([false, true]);
+    expect(relayed[1].spam.reasons).toContain("pow_reused");
+  });
+});
+
+describe("ContactForm", () => {
+  it("sends a proof-of-work token with the message", async () => {
+    vi.spyOn(Date, "now").mockReturnValue(0);
+    const onSubmit = vi.fn().mockResolvedValue({ ok: true });
+    render(<ContactForm onSubmit={onSubmit} />);
+
+    fireEvent.change(screen.getByLabelText("Name"), { target: { value: "Ada" } });
+    fireEvent.change(screen.getByLabelText("Email"), { target: { value: "ada@example.com" } });
+    fireEvent.change(screen.getByLabelText("Message"), { target: { value: "Hello." } });
+    Date.now.mockReturnValue(5000);
+    fireEvent.click(screen.getByRole("button", { name: "Send Message" }));
+
+    await waitFor(() => expect(onSubmit).toHaveBeenCalled());
+    const { pow } = onSubmit.mock.calls[0][0];
+    expect(await verifyProofOfWork(pow, { difficulty: 4, now: 0 })).toBeNull();
+  });
+});
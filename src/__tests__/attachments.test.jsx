@@ -0,0 +1,254 @@
+import { Buffer } from "node:buffer";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import { createContactHandler, parseMultipart } from "../../api/contact.js";
+import QuoteModal from "../components/QuoteModal";
+import { registerProvider, sendQuoteMessage } from "../services/messaging";
+import { sendWithHttp } from "../services/messaging/providers/http";
+import { quoteSummaryAttachment } from "../services/quoteSummary";
+import { LIMITS, attachmentType, validateMessage } from "../services/messaging/validation";
+
+const CONFIG = "hostname core-sw1\ninterface Gi0/1\n description uplink\n";
+const config = {
+  filename: "core-sw1.cfg",
+  contentType: "text/plain",
+  content: Buffer.from(CONFIG).toString("base64"),
+};
+
+const quote = {
+  kind: "quote",
+  name: "Ada",
+  email: "ada@example.com",
+  sites: 3,
+  endpoints: 120,
+  timeline: "asap",
+  message: "Two new branches.",
+};
+
+const boundary = "----quote-test";
+const multipart = (fields) =>
+  Buffer.concat([
+    ...fields.flatMap(({ name, filename, type, data }) => [
+      Buffer.from(
+        `--${boundary}\r\nContent-Disposition: form-data; name="${name}"` +
+          (filename ? `; filename="${filename}"\r\nContent-Type: ${type}` : "") +
+          "\r\n\r\n"
+      ),
+      Buffer.from(data),
+      Buffer.from("\r\n"),
+    ]),
+    Buffer.from(`--${boundary}--\r\n`),
+  ]);
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllEnvs();
+  vi.useRealTimers();
+  window.sessionStorage.clear();
+});
+
+describe("attachment rules", () => {
+  it("decides the type from the extension and enforces size limits", () => {
+    expect(attachmentType("Site A.VSDX")).toBe("application/vnd.ms-visio.drawing");
+    expect(attachmentType("lab.drawio")).toBe("application/vnd.jgraph.mxfile");
+    expect(attachmentType("setup.exe")).toBeNull();
+
+    expect(validateMessage("quote", { ...quote, attachments: [config] })).toBeNull();
+    const big = "A".repeat(Math.ceil((LIMITS.attachmentBytes + 3) / 3) * 4);
+    for (const file of [
+      { ...config, contentType: "application/pdf" },
+      { ...config, filename: "setup.exe" },
+      { ...config, content: big },
+    ]) {
+      expect(validateMessage("quote", { ...quote, attachments: [file] })).toEqual({
+        attachments: "Attachments are invalid or too large.",
+      });
+    }
+  });
+});
+
+describe("http provider and api/contact", () => {
+  it("sends attachments as multipart parts next to the JSON payload", async () => {
+    const fetchSpy = vi
+      .spyOn(globalThis, "fetch")
+      .mockResolvedValue(new Response(JSON.stringify({ ok: true }), { status: 200 }));
+
+    await sendWithHttp({ ...quote, attachments: [config] });
+
+    const { headers, body } = fetchSpy.mock.calls[0][1];
+    expect(headers).not.toHaveProperty("Content-Type");
+    expect(JSON.parse(body.get("payload"))).toEqual(quote);
+    const [file] = body.getAll("attachments");
+    expect(file).toMatchObject({ name: "core-sw1.cfg", type: "text/plain" });
+  });
+
+  it("parses multipart uploads back into attachments and relays them", async () => {
+    const relayed = [];
+    const handler = createContactHandler({
+      relay: async (msg) => {
+        relayed.push(msg);
+        return {};
+      },
+      spam: { powDifficulty: 0, flagScore: 30, rejectScore: 60 },
+    });
+    const body = multipart([
+      { name: "payload", data: JSON.stringify(quote) },
+      { name: "attachments", filename: config.filename, type: "text/plain", data: CONFIG },
+    ]);
+    expect(parseMultipart(body, boundary).map((p) => p.name)).toEqual(["payload", "attachments"]);
+
+    const res = { statusCode: 0, setHeader() {}, end: (raw) => (res.body = JSON.parse(raw)) };
+    const headers = { "content-type": `multipart/form-data; boundary=${boundary}` };
+    await handler({ method: "POST", headers, body }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(relayed[0].attachments).toEqual([config]);
+  });
+
+  it("keeps room for the PDF summary next to uploads at the limit", () => {
+    const room = LIMITS.attachmentTotalBytes - LIMITS.summaryBytes;
+    const upload = (filename, bytes) => ({
+      filename,
+      contentType: "text/plain",
+      content: Buffer.alloc(bytes, "x").toString("base64"),
+    });
+    const uploads = [upload("a.txt", room / 2), upload("b.txt", room / 2)];
+
+    const full = { ...quote, message: "x".repeat(LIMITS.message) };
+    const summary = quoteSummaryAttachment({ ...full, reference: "Q-2026-0042-XYZ" });
+    expect(Buffer.from(summary.content, "base64").length).toBeLessThan(LIMITS.summaryBytes);
+    expect(validateMessage("quote", { ...full, attachments: [...uploads, summary] })).toBeNull();
+  });
+
+  it("sends nothing when the summary would push attachments over the limit", async () => {
+    vi.stubEnv("VITE_CONTACT_PROVIDER", "http");
+    vi.stubEnv("VITE_QUOTE_ATTACH_SUMMARY", "true");
+    const fetchSpy = vi.spyOn(globalThis, "fetch");
+    const near = Buffer.alloc(LIMITS.attachmentBytes - 16, "x").toString("base64");
+    const attachments = ["a.txt", "b.txt"].map((filename) => ({
+      filename,
+      contentType: "text/plain",
+      content: near,
+    }));
+
+    await expect(sendQuoteMessage({ ...quote, attachments })).rejects.toMatchObject({
+      code: "validation_failed",
+      fields: { attachments: "Attachments: at most 2 MB in total." },
+    });
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+
+  it("rejects uploads over the size limit", async () => {
+    const handler = createContactHandler({ relay: async () => ({}) });
+    const body = multipart([
+      { name: "payload", data: JSON.stringify(quote) },
+      {
+        name: "attachments",
+        filename: "big.txt",
+        type: "text/plain",
+        data: "x".repeat(3 * 1024 * 1024),
+      },
+    ]);
+
+    const res = { statusCode: 0, setHeader() {}, end: (raw) => (res.body = JSON.parse(raw)) };
+    const headers = { "content-type": `multipart/form-data; boundary=${boundary}` };
+    await handler({ method: "POST", headers, body }, res);
+
+    expect(res.statusCode).toBe(413);
+  });
+});
+
+describe("providers without file support", () => {
+  it("get the file names instead, and the result carries a warning", async () => {
+    vi.useFakeTimers();
+    const send = vi.fn(async (p) => ({ ok: true, provider: "sms", reference: p.reference }));
+    const unregister = registerProvider("sms", { send });
+    vi.stubEnv("VITE_CONTACT_PROVIDER", "mock,sms");
+
+    const sent = sendQuoteMessage({ ...quote, attachments: [config] });
+    await vi.runAllTimersAsync();
+    const res = await sent;
+
+    expect(send.mock.calls[0][0]).not.toHaveProperty("attachments");
+    expect(send.mock.calls[0][0].omittedAttachments).toEqual(["core-sw1.cfg"]);
+    expect(res.warnings).toEqual([
+      "sms cannot carry attachments: 1 file(s) were not sent through it.",
+    ]);
+    unregister();
+  });
+});
+
+describe("QuoteModal attachments", () => {
+  const type = (label, value) =>
+    fireEvent.change(screen.getByLabelText(label), { target: { value } });
+  const next = () => fireEvent.click(screen.getByRole("button", { name: "Next" }));
+
+  function toLastStep() {
+    type("Name", "Ada");
+    type("Email", "ada@example.com");
+    next();
+    type("Sites", "3");
+    type("Users / Endpoints", "120");
+    next();
+    next();
+  }
+
+  it("previews, rejects and removes files, then sends the rest", async () => {
+    const now = vi.spyOn(Date, "now").mockReturnValue(0);
+    const onSubmit = vi.fn().mockResolvedValue({ ok: true, reference: "Q-2026-0042-XYZ" });
+    render(<QuoteModal open onSubmit={onSubmit} />);
+    toLastStep();
+
+    const input = screen.getByLabelText(/Attachments \(optional\)/);
+    fireEvent.change(input, {
+      target: {
+        files: [
+          new File([CONFIG], "core-sw1.cfg"),
+          new File(["MZ"], "setup.exe"),
+          new File(["<mxfile/>"], "lab.drawio"),
+        ],
+      },
+    });
+
+    expect(await screen.findByText("core-sw1.cfg")).toBeInTheDocument();
+    expect(screen.getByText(/hostname core-sw1/)).toBeInTheDocument();
+    expect(screen.getByRole("alert")).toHaveTextContent(
+      "setup.exe: this file type is not accepted."
+    );
+
+    fireEvent.click(screen.getByRole("button", { name: "Remove lab.drawio" }));
+    expect(screen.queryByText("lab.drawio")).not.toBeInTheDocument();
+
+    type("Timeline", "asap");
+    type("Project Details", "Two new branches.");
+    now.mockReturnValue(5000);
+    fireEvent.click(screen.getByRole("button", { name: "Request Quote" }));
+
+    await waitFor(() => expect(onSubmit).toHaveBeenCalled());
+    expect(onSubmit.mock.calls[0][0].attachments).toEqual([config]);
+  });
+
+  it("holds back files that would leave no room for the PDF summary", async () => {
+    render(<QuoteModal open onSubmit={vi.fn()} />);
+    toLastStep();
+
+    // Together under the 2 MB limit, but not with the summary's share kept free.
+    const text = "x".repeat(1020 * 1000);
+    fireEvent.change(screen.getByLabelText(/Attachments \(optional\)/), {
+      target: { files: [new File([text], "a.txt"), new File([text], "b.txt")] },
+    });
+
+    expect(await screen.findByText("a.txt")).toBeInTheDocument();
+    expect(screen.getByRole("alert")).toHaveTextContent("b.txt: files may total 1.9 MB.");
+  });
+
+  it("explains when the configured providers cannot carry files", () => {
+    const unregister = registerProvider("sms", { send: async () => ({ ok: true }) });
+    vi.stubEnv("VITE_CONTACT_PROVIDER", "sms");
+    render(<QuoteModal open onSubmit={vi.fn()} />);
+    toLastStep();
+
+    expect(screen.queryByLabelText(/Attachments \(optional\)/)).not.toBeInTheDocument();
+    expect(screen.getByText(/Files can't be attached here right now/)).toBeInTheDocument();
+    unregister();
+  });
+});
@@ -0,0 +1,245 @@
+import { render, screen, fireEvent, waitFor, within } from "@testing-library/react";
+import BookingCalendar from "../components/BookingCalendar";
+import { sendBookingRequest } from "../services/messaging";
+import { formatScope } from "../services/messaging/scope";
+import { validateMessage } from "../services/messaging/validation";
+import {
+  availabilityFromIcs,
+  availabilityFromJson,
+  createInvite,
+  listSlots,
+  zonedTimeToUtc,
+} from "../services/booking";
+
+// Monday 2026-10-19, 12:00 UTC.
+const NOW = Date.UTC(2026, 9, 19, 12);
+
+const schedule = {
+  timeZone: "America/Toronto",
+  noticeHours: 24,
+  horizonDays: 7,
+  weekly: { tue: ["10:00-11:00"], wed: ["10:00-11:00"] },
+  blocked: [{ start: "2026-10-21T10:30", end: "2026-10-21T11:00" }],
+};
+
+const ICS = [
+  "BEGIN:VCALENDAR",
+  "VERSION:2.0",
+  "X-WR-TIMEZONE:Europe/Berlin",
+  "BEGIN:VEVENT",
+  "DTSTART;TZID=America/Toronto:20261020T140000",
+  "DTEND;TZID=America/Toronto:20261020T150000",
+  "RRULE:FREQ=WEEKLY;BYDAY=TU,TH;COUNT=3",
+  "END:VEVENT",
+  "BEGIN:VEVENT",
+  "DTSTART:20261023T090000",
+  "DTEND:20261023T093000",
+  "END:VEVENT",
+  "BEGIN:VEVENT",
+  "STATUS:CANCELLED",
+  "DTSTART:20261026T150000Z",
+  "DTEND:20261026T160000Z",
+  "END:VEVENT",
+  "END:VCALENDAR",
+].join("\r\n");
+
+const starts = (availability) => listSlots(availability, { now: NOW }).map((s) => s.start);
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("availability", () => {
+  it("reads wall-clock times in the owner's zone, across DST", () => {
+    const summer = { year: 2026, month: 10, day: 20, hour: 10 };
+    const winter = { year: 2026, month: 11, day: 3, hour: 10 };
+    const utc = (wall) => zonedTimeToUtc(wall, "America/Toronto").toISOString();
+    expect(utc(summer)).toBe("2026-10-20T14:00:00.000Z");
+    expect(utc(winter)).toBe("2026-11-03T15:00:00.000Z");
+  });
+
+  it("cuts weekly windows into 30-minute slots, minus notice and blocked time", () => {
+    const weekly = { ...schedule.weekly, tue: ["09:30-11:00"] };
+    const availability = availabilityFromJson(
+      { ...schedule, weekly, noticeHours: 26, horizonDays: 9 },
+      { now: NOW }
+    );
+
+    // Tuesday 09:30 is inside the notice period, Wednesday 10:30 is blocked
+    // and the Wednesday after is past the horizon.
+    expect(starts(availability)).toEqual([
+      "2026-10-20T14:00:00.000Z",
+      "2026-10-20T14:30:00.000Z",
+      "2026-10-21T14:00:00.000Z",
+      "2026-10-27T13:30:00.000Z",
+      "2026-10-27T14:00:00.000Z",
+      "2026-10-27T14:30:00.000Z",
+    ]);
+  });
+
+  it("expands ICS windows with TZID, floating times and weekly rules", () => {
+    expect(starts(availabilityFromIcs(ICS, { now: NOW }))).toEqual([
+      "2026-10-20T18:00:00.000Z",
+      "2026-10-20T18:30:00.000Z",
+      "2026-10-22T18:00:00.000Z",
+      "2026-10-22T18:30:00.000Z",
+      // Floating time, read in the calendar's X-WR-TIMEZONE.
+      "2026-10-23T07:00:00.000Z",
+      "2026-10-27T18:00:00.000Z",
+      "2026-10-27T18:30:00.000Z",
+    ]);
+  });
+
+  it("rejects files it cannot read", () => {
+    expect(() => availabilityFromJson({ weekly: {} })).toThrow(
+      expect.objectContaining({ code: "availability_unavailable" })
+    );
+    expect(() => availabilityFromIcs("not a calendar")).toThrow(
+      expect.objectContaining({ code: "availability_unavailable" })
+    );
+  });
+});
+
+describe("booking messages", () => {
+  it("requires a UTC slot and lists it for the owner", () => {
+    expect(validateMessage("booking", { name: "Ada", email: "ada@example.com" })).toEqual({
+      slot: "Time slot is required.",
+    });
+    const local = { name: "Ada", email: "ada@example.com", slot: "2026-10-20 10:00" };
+    expect(validateMessage("booking", local)).toEqual({ slot: "Time slot is invalid." });
+
+    expect(
+      formatScope({ slot: "2026-10-20T14:00:00.000Z", duration: 30, timeZone: "Asia/Tokyo" })
+    ).toEqual(["Call: 2026-10-20 14:00–14:30 UTC", "Visitor time zone: Asia/Tokyo"]);
+  });
+
+  it("sends bookings with a B- reference", async () => {
+    const res = await sendBookingRequest({
+      name: "Ada",
+      email: "ada@example.com",
+      slot: "2026-10-20T14:00:00.000Z",
+      duration: 30,
+      timeZone: "Asia/Tokyo",
+    });
+    expect(res.reference).toMatch(/^B-\d{4}-\d{4}-[A-Z2-9]{3}$/);
+  });
+
+  it("builds a tentative .ics invite", () => {
+    const ics = createInvite({
+      start: "2026-10-20T14:00:00.000Z",
+      end: "2026-10-20T14:30:00.000Z",
+      reference: "B-2026-0042-XYZ",
+      siteName: "Net, Sec; Co",
+      siteUrl: "https://example.com",
+      name: "Ada",
+    });
+
+    expect(ics.endsWith("\r\n")).toBe(true);
+    expect(ics.split("\r\n")).toEqual(
+      expect.arrayContaining([
+        "BEGIN:VEVENT",
+        "UID:B-2026-0042-XYZ@example.com",
+        "DTSTART:20261020T140000Z",
+        "DTEND:20261020T143000Z",
+        "SUMMARY:Discovery call — Net\\, Sec\\; Co",
+        "STATUS:TENTATIVE",
+      ])
+    );
+    const octets = (line) => new TextEncoder().encode(line).length;
+    expect(ics.split("\r\n").every((line) => octets(line) <= 75)).toBe(true);
+  });
+});
+
+describe("BookingCalendar", () => {
+  const mockAvailability = () =>
+    vi.spyOn(globalThis, "fetch").mockImplementation(async () =>
+      new Response(JSON.stringify({ ...schedule, noticeHours: 0, horizonDays: 14 }), {
+        headers: { "Content-Type": "application/json" },
+      })
+    );
+
+  it("shows slots in the visitor's time zone and submits the chosen one", async () => {
+    mockAvailability();
+    const onSubmit = vi.fn().mockResolvedValue({ ok: true, reference: "B-2026-0042-XYZ" });
+    render(<BookingCalendar open timeZone="Asia/Tokyo" onSubmit={onSubmit} />);
+
+    expect(screen.getByText("Asia/Tokyo")).toBeInTheDocument();
+    // 10:00 in Toronto is 23:00 in Tokyo.
+    const times = await screen.findByRole("group", { name: /^Times on/ });
+    fireEvent.click(within(times).getAllByRole("button")[0]);
+    expect(within(times).getAllByRole("button")[0]).toHaveAttribute("aria-pressed", "true");
+    expect(within(times).getAllByRole("button")[0]).toHaveTextContent(/11:00|23:00/);
+
+    fireEvent.change(screen.getByLabelText("Name"), { target: { value: "Ada" } });
+    fireEvent.change(screen.getByLabelText("Email"), { target: { value: "ada@example.com" } });
+
+    const now = vi.spyOn(Date, "now").mockReturnValue(Date.now() + 5000);
+    fireEvent.click(screen.getByRole("button", { name: /^Request / }));
+
+    await waitFor(() =>
+      expect(screen.getByRole("status")).toHaveTextContent("Reference: B-2026-0042-XYZ")
+    );
+    now.mockRestore();
+
+    expect(onSubmit).toHaveBeenCalledWith(
+      expect.objectContaining({
+        name: "Ada",
+        slot: expect.stringMatching(/T1[45]:00:00\.000Z$/),
+        duration: 30,
+        timeZone: "Asia/Tokyo",
+      })
+    );
+    expect(screen.getByRole("button", { name: /to your calendar \(\.ics\)/ })).toBeInTheDocument();
+  });
+
+  it("does not offer a requested slot again when reopened", async () => {
+    mockAvailability();
+    const onSubmit = vi.fn().mockResolvedValue({ ok: true, reference: "B-2026-0042-XYZ" });
+    const { rerender } = render(<BookingCalendar open timeZone="UTC" onSubmit={onSubmit} />);
+
+    let times = await screen.findByRole("group", { name: /^Times on/ });
+    const offered = within(times).getAllByRole("button").map((b) => b.textContent);
+    fireEvent.click(within(times).getAllByRole("button")[0]);
+    fireEvent.change(screen.getByLabelText("Name"), { target: { value: "Ada" } });
+    fireEvent.change(screen.getByLabelText("Email"), { target: { value: "ada@example.com" } });
+
+    const now = vi.spyOn(Date, "now").mockReturnValue(Date.now() + 5000);
+    fireEvent.click(screen.getByRole("button", { name: /^Request / }));
+    await waitFor(() => expect(onSubmit).toHaveBeenCalled());
+    now.mockRestore();
+
+    rerender(<BookingCalendar open={false} timeZone="UTC" onSubmit={onSubmit} />);
+    rerender(<BookingCalendar open timeZone="UTC" onSubmit={onSubmit} />);
+    await waitFor(() => expect(fetch).toHaveBeenCalledTimes(2));
+
+    times = await screen.findByRole("group", { name: /^Times on/ });
+    await waitFor(() =>
+      expect(within(times).getAllByRole("button").map((b) => b.textContent)).toEqual(
+        offered.slice(1)
+      )
+    );
+  });
+
+  it("asks for a slot before sending", async () => {
+    mockAvailability();
+    const onSubmit = vi.fn();
+    render(<BookingCalendar open onSubmit={onSubmit} />);
+    await screen.findByRole("group", { name: /^Times on/ });
+
+    fireEvent.change(screen.getByLabelText("Name"), { target: { value: "Ada" } });
+    fireEvent.change(screen.getByLabelText("Email"), { target: { value: "ada@example.com" } });
+    const now = vi.spyOn(Date, "now").mockReturnValue(Date.now() + 5000);
+    fireEvent.click(screen.getByRole("button", { name: "Request call" }));
+    now.mockRestore();
+
+    expect(await screen.findByText("Time slot is required.")).toBeInTheDocument();
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+
+  it("explains when availability cannot be loaded", async () => {
+    vi.spyOn(globalThis, "fetch").mockResolvedValue(new Response("", { status: 404 }));
+    render(<BookingCalendar open onSubmit={vi.fn()} />);
+
+    expect(await screen.findByRole("alert")).toHaveTextContent("Availability couldn't be loaded");
+  });
+});
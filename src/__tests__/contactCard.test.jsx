@@ -0,0 +1,154 @@
+import { useState } from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import ContactSheet from "../components/ContactSheet";
+import ProfileCard from "../components/ProfileCard";
+import { contactCard } from "../content";
+import { foldLine } from "../services/contentLines";
+import { encodeQr, qrSvgPath } from "../services/qr";
+import { buildVCard, vcardFilename } from "../services/vcard";
+
+const card = {
+  name: "Ada Lovelace",
+  givenName: "Ada",
+  familyName: "Lovelace",
+  title: "Analyst, Engines; Notes",
+  email: "ada@example.com",
+  phone: "+15550100",
+  city: "London",
+  country: "United Kingdom",
+  linkedin: "https://www.linkedin.com/in/ada/",
+};
+
+// Dark 7×7 finder: outer ring, light ring, dark 3×3 centre.
+const isFinder = (modules, x0, y0) =>
+  Array.from({ length: 7 }, (_, y) =>
+    Array.from({ length: 7 }, (_, x) => {
+      const ring = Math.max(Math.abs(x - 3), Math.abs(y - 3));
+      return modules[y0 + y][x0 + x] === (ring !== 2);
+    }).every(Boolean)
+  ).every(Boolean);
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("vCard", () => {
+  it("builds a vCard 4.0 with escaped values and CRLF lines", () => {
+    const text = buildVCard(card);
+
+    expect(text.endsWith("\r\n")).toBe(true);
+    expect(text.split("\r\n").filter(Boolean)).toEqual([
+      "BEGIN:VCARD",
+      "VERSION:4.0",
+      "FN:Ada Lovelace",
+      "N:Lovelace;Ada;;;",
+      "TITLE:Analyst\\, Engines\\; Notes",
+      "EMAIL;TYPE=work:ada@example.com",
+      "TEL;VALUE=uri;TYPE=cell:tel:+15550100",
+      "ADR;TYPE=work:;;;London;;;United Kingdom",
+      "URL:https://www.linkedin.com/in/ada/",
+      "END:VCARD",
+    ]);
+  });
+
+  it("leaves out optional fields that are missing", () => {
+    const text = buildVCard({ name: "Ada", givenName: "Ada" });
+    expect(text).not.toMatch(/TITLE|EMAIL|TEL|ADR|URL/);
+  });
+
+  it("folds long lines at 75 octets without splitting characters", () => {
+    const line = `NOTE:${"é".repeat(60)}`;
+    const parts = foldLine(line).split("\r\n");
+
+    expect(parts.length).toBeGreaterThan(1);
+    for (const part of parts) {
+      expect(new TextEncoder().encode(part).length).toBeLessThanOrEqual(75);
+    }
+    expect(parts.map((p, i) => (i ? p.slice(1) : p)).join("")).toBe(line);
+  });
+
+  it("names the download after the contact", () => {
+    expect(vcardFilename(card)).toBe("ada-lovelace.vcf");
+  });
+});
+
+describe("QR code", () => {
+  it("picks the smallest version that fits and draws the finder patterns", () => {
+    const small = encodeQr("HELLO");
+    expect(small.version).toBe(1);
+    expect(small.size).toBe(21);
+
+    const qr = encodeQr(buildVCard(contactCard));
+    expect(qr.size).toBe(qr.version * 4 + 17);
+    expect(isFinder(qr.modules, 0, 0)).toBe(true);
+    expect(isFinder(qr.modules, qr.size - 7, 0)).toBe(true);
+    expect(isFinder(qr.modules, 0, qr.size - 7)).toBe(true);
+  });
+
+  it("rejects text that does not fit and unknown levels", () => {
+    expect(() => encodeQr("x".repeat(3000), { ecc: "H" })).toThrow(/too long/);
+    expect(() => encodeQr("x", { ecc: "Z" })).toThrow(/error correction/);
+  });
+
+  it("draws one path offset by the quiet zone", () => {
+    const path = qrSvgPath(encodeQr("HELLO"), 4);
+    // Top-left finder starts at the margin.
+    expect(path.startsWith("M4,4h1v1h-1z")).toBe(true);
+  });
+});
+
+describe("ContactSheet", () => {
+  it("opens from the profile card's contact button", () => {
+    const Page = () => {
+      const [open, setOpen] = useState(false);
+      return (
+        <>
+          <ProfileCard name="Ada Lovelace" onContactClick={() => setOpen(true)} />
+          <ContactSheet open={open} card={card} onClose={() => setOpen(false)} />
+        </>
+      );
+    };
+    render(<Page />);
+
+    fireEvent.click(screen.getByRole("button", { name: "Contact Ada Lovelace" }));
+    expect(screen.getByRole("dialog", { name: "Ada Lovelace" })).toBeInTheDocument();
+    expect(screen.getByRole("img", { name: /QR code/ })).toBeInTheDocument();
+    expect(screen.getByRole("link", { name: /ada@example.com/ })).toHaveAttribute(
+      "href",
+      "mailto:ada@example.com"
+    );
+
+    fireEvent.keyDown(document, { key: "Escape" });
+    expect(screen.queryByRole("dialog")).not.toBeInTheDocument();
+  });
+
+  it("downloads the vCard", async () => {
+    const createObjectURL = vi.fn(() => "blob:vcard");
+    URL.createObjectURL = createObjectURL;
+    URL.revokeObjectURL = vi.fn();
+    const click = vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+
+    render(<ContactSheet open card={card} />);
+    fireEvent.click(screen.getByRole("button", { name: "Download vCard (.vcf)" }));
+
+    const blob = createObjectURL.mock.calls[0][0];
+    expect(blob.type).toBe("text/vcard;charset=utf-8");
+    const text = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+    expect(text).toBe(buildVCard(card));
+    expect(click).toHaveBeenCalled();
+  });
+
+  it("hands over to the quote modal", () => {
+    const onClose = vi.fn();
+    const onRequestQuote = vi.fn();
+    render(<ContactSheet open card={card} onClose={onClose} onRequestQuote={onRequestQuote} />);
+
+    fireEvent.click(screen.getByRole("button", { name: "Request a Quote" }));
+    expect(onClose).toHaveBeenCalled();
+    expect(onRequestQuote).toHaveBeenCalled();
+  });
+});
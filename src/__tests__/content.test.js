@@ -0,0 +1,75 @@
+import { field, defineCollection, defineRecord } from "../content/schema";
+import { projects, certifications, services, getProjectById, site } from "../content";
+import { siteSchema } from "../content/site";
+import siteConfig from "../../vite-plugin-site-config.js";
+
+const schema = field.object({
+  slug: field.string(),
+  kind: field.oneOf(["a", "b"]),
+  tags: field.arrayOf(field.string(), { min: 1 }),
+});
+
+describe("content registry", () => {
+  it("loads every collection", () => {
+    expect(projects.length).toBeGreaterThan(0);
+    expect(certifications.length).toBeGreaterThan(0);
+    expect(services.length).toBeGreaterThan(0);
+    expect(getProjectById(1)?.slug).toBe(projects[0].slug);
+  });
+
+  it("reports every malformed field with its path", () => {
+    expect(() =>
+      defineCollection("demo", schema, [
+        { slug: "ok", kind: "a", tags: ["x"] },
+        { slug: "", kind: "c", tags: [], extra: true },
+      ])
+    ).toThrow(
+      /demo\[1\]\.slug: is required[\s\S]*demo\[1\]\.kind: expected one of[\s\S]*demo\[1\]\.tags: expected at least 1[\s\S]*demo\[1\]\.extra: unknown field/
+    );
+  });
+
+  it("rejects duplicate unique keys", () => {
+    const rows = [
+      { slug: "same", kind: "a", tags: ["x"] },
+      { slug: "same", kind: "b", tags: ["y"] },
+    ];
+
+    expect(() => defineCollection("demo", schema, rows, { unique: ["slug"] })).toThrow(
+      /duplicate "same"/
+    );
+  });
+});
+
+describe("site config", () => {
+  const renderHtml = (html) => siteConfig().transformIndexHtml.handler(html);
+
+  it("loads and validates site.config.js", () => {
+    expect(site.owner.name).toBeTruthy();
+    expect(site.contact.email).toMatch(/@/);
+    expect(site.contact.phone).toMatch(/^\+\d+$/);
+  });
+
+  it("reports missing and malformed owner details", () => {
+    const broken = {
+      ...site,
+      owner: { ...site.owner, name: "" },
+      contact: { ...site.contact, email: "not-an-email", phone: "647-802-3224" },
+    };
+
+    expect(() => defineRecord("site", siteSchema, broken)).toThrow(
+      /site\.owner\.name: is required[\s\S]*site\.contact\.email: "not-an-email" does not match[\s\S]*site\.contact\.phone/
+    );
+  });
+
+  it("fills index.html placeholders, escaped", () => {
+    expect(renderHtml("<title>%site.title%</title>")).toBe(
+      `<title>${site.title.replace(/&/g, "&amp;")}</title>`
+    );
+    expect(renderHtml('<meta content="%site.owner.name%">')).toContain(site.owner.name);
+  });
+
+  it("fails on placeholders that are not config values", () => {
+    expect(() => renderHtml("%site.owner.nickname%")).toThrow(/not a value in site.config.js/);
+    expect(() => renderHtml("%site.owner%")).toThrow(/not a value/);
+  });
+});
@@ -0,0 +1,100 @@
+import { render, screen, fireEvent } from "@testing-library/react";
+import ContactForm from "../components/ContactForm";
+import QuoteModal from "../components/QuoteModal";
+import { DRAFT_TTL_MS, clearDraft, loadDraft, saveDraft } from "../services/drafts";
+
+const type = (label, value) => fireEvent.change(screen.getByLabelText(label), { target: { value } });
+const stored = (name) => JSON.parse(window.localStorage.getItem(`draft:${name}`));
+
+describe("draft store", () => {
+  it("round-trips a draft until it expires", () => {
+    saveDraft("contact-footer", { name: "Ada" }, 1000);
+
+    expect(loadDraft("contact-footer", 2000)).toEqual({ data: { name: "Ada" }, savedAt: 1000 });
+    expect(loadDraft("contact-footer", 1000 + DRAFT_TTL_MS)).toBeNull();
+    // Expired drafts are removed, not just ignored.
+    expect(window.localStorage.getItem("draft:contact-footer")).toBeNull();
+  });
+
+  it("never stores honeypot, proof-of-work or file fields", () => {
+    saveDraft("quote", {
+      step: 2,
+      form: { name: "Ada", website: "spam.example", pow: { nonce: 1 }, attachments: [{}] },
+    });
+
+    expect(stored("quote").data).toEqual({ step: 2, form: { name: "Ada" } });
+  });
+
+  it("ignores unreadable drafts", () => {
+    window.localStorage.setItem("draft:quote", "{not json");
+    expect(loadDraft("quote")).toBeNull();
+    clearDraft("quote");
+    expect(window.localStorage.getItem("draft:quote")).toBeNull();
+  });
+});
+
+describe("ContactForm drafts", () => {
+  it("autosaves as the visitor types and restores on the next visit", () => {
+    const { unmount } = render(<ContactForm onSubmit={vi.fn()} />);
+    type("Name", "Ada");
+    type("Message", "Two new branches.");
+    fireEvent.change(document.getElementById("cf-website"), { target: { value: "bot" } });
+
+    expect(stored("contact-footer").data).toEqual({
+      name: "Ada",
+      email: "",
+      service: "",
+      message: "Two new branches.",
+    });
+    expect(screen.getByText(/Draft saved/)).toBeInTheDocument();
+
+    unmount();
+    render(<ContactForm onSubmit={vi.fn()} />);
+    expect(screen.getByLabelText("Message")).toHaveValue("Two new branches.");
+    expect(document.getElementById("cf-website")).toHaveValue("");
+  });
+
+  it("keeps footer and page drafts apart", () => {
+    saveDraft("contact-page", { name: "Grace" });
+    render(<ContactForm onSubmit={vi.fn()} />);
+    expect(screen.getByLabelText("Name")).toHaveValue("");
+  });
+
+  it("clears the draft and the form on request", () => {
+    render(<ContactForm onSubmit={vi.fn()} />);
+    type("Name", "Ada");
+
+    fireEvent.click(screen.getByRole("button", { name: "Clear draft" }));
+
+    expect(screen.getByLabelText("Name")).toHaveValue("");
+    expect(window.localStorage.getItem("draft:contact-footer")).toBeNull();
+    expect(screen.queryByRole("button", { name: "Clear draft" })).not.toBeInTheDocument();
+  });
+});
+
+describe("QuoteModal drafts", () => {
+  it("restores the wizard after a reload and after Escape", () => {
+    saveDraft("quote", { step: 1, form: { name: "Ada", email: "ada@example.com", sites: "3" } });
+
+    const { rerender } = render(<QuoteModal open onSubmit={vi.fn()} />);
+    expect(screen.getByLabelText("Sites")).toHaveValue(3);
+
+    type("Users / Endpoints", "120");
+    fireEvent.keyDown(document, { key: "Escape" });
+    rerender(<QuoteModal open={false} onSubmit={vi.fn()} />);
+    rerender(<QuoteModal open onSubmit={vi.fn()} />);
+
+    expect(screen.getByLabelText("Users / Endpoints")).toHaveValue(120);
+    expect(stored("quote").data.form).toMatchObject({ sites: "3", endpoints: "120" });
+  });
+
+  it("starts over when the draft is cleared", () => {
+    saveDraft("quote", { step: 1, form: { name: "Ada", email: "ada@example.com" } });
+    render(<QuoteModal open onSubmit={vi.fn()} />);
+
+    fireEvent.click(screen.getByRole("button", { name: "Clear draft" }));
+
+    expect(screen.getByLabelText("Name")).toHaveValue("");
+    expect(window.localStorage.getItem("draft:quote")).toBeNull();
+  });
+});
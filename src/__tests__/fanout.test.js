@@ -0,0 +1,121 @@
+import { decideDelivery, deliverAll, parseProviders } from "../services/messaging/fanout";
+import { getOutbox } from "../services/messaging/outbox";
+import { sendContactMessage, startMessagingOutbox } from "../services/messaging";
+
+const message = {
+  name: "Ada",
+  email: "ada@example.com",
+  service: "network",
+  message: "Need a VLAN redesign.",
+};
+
+const reply = (status, body = {}) =>
+  new Response(status === 204 ? null : JSON.stringify(body), { status });
+
+beforeEach(() => {
+  window.localStorage.clear();
+  vi.stubEnv("VITE_CONTACT_ENDPOINT", "http://relay.test/api/contact");
+  vi.stubEnv("VITE_WEBHOOK_URL", "http://chat.test/hook");
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllEnvs();
+});
+
+describe("messaging fan-out", () => {
+  it("parses provider lists", () => {
+    expect(parseProviders(" EmailJS, webhook,emailjs ")).toEqual(["emailjs", "webhook"]);
+    expect(parseProviders("")).toEqual(["mock"]);
+  });
+
+  it("applies the any / all / primary delivery rules", () => {
+    const names = ["http", "webhook"];
+    const results = [
+      { provider: "http", ok: false, queued: true },
+      { provider: "webhook", ok: true },
+    ];
+
+    expect(decideDelivery("any", names, results)).toEqual({ ok: true, queued: false });
+    expect(decideDelivery("all", names, results)).toEqual({ ok: false, queued: true });
+    expect(decideDelivery("primary", names, results)).toEqual({ ok: false, queued: true });
+
+    results[0] = { provider: "http", ok: false, queued: false };
+    expect(decideDelivery("all", names, results)).toEqual({ ok: false, queued: false });
+  });
+
+  it("can deliver in order", async () => {
+    const order = [];
+    const send = async (name) => {
+      await new Promise((r) => setTimeout(r, name === "a" ? 20 : 0));
+      order.push(name);
+      return { ok: true };
+    };
+
+    await deliverAll(["a", "b"], send, { mode: "sequential" });
+    expect(order).toEqual(["a", "b"]);
+  });
+
+  it("rejects instead of claiming a queued send when the outbox cannot store it", async () => {
+    vi.stubEnv("VITE_CONTACT_PROVIDER", "http");
+    vi.spyOn(globalThis, "fetch").mockResolvedValue(reply(503));
+    vi.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+      throw new DOMException("Quota exceeded", "QuotaExceededError");
+    });
+
+    await expect(sendContactMessage(message)).rejects.toMatchObject({
+      code: "queue_failed",
+      retryable: true,
+    });
+    expect(getOutbox()).toHaveLength(0);
+  });
+
+  it("reports partial failures and retries only the failed provider", async () => {
+    vi.stubEnv("VITE_CONTACT_PROVIDER", "http,webhook");
+    const fetchSpy = vi
+      .spyOn(globalThis, "fetch")
+      .mockImplementation(async (url) =>
+        url.includes("relay.test") ? reply(200, { ok: true, id: "msg_1" }) : reply(503)
+      );
+
+    const res = await sendContactMessage(message);
+
+    expect(res).toMatchObject({ ok: true, partial: true, provider: "http,webhook" });
+    expect(res.results).toEqual([
+      { provider: "http", ok: true, status: 200, id: "msg_1" },
+      expect.objectContaining({ provider: "webhook", ok: false, queued: true }),
+    ]);
+    expect(getOutbox()[0].payload.deliverTo).toEqual(["webhook"]);
+
+    // Back online: only the webhook is retried.
+    fetchSpy.mockClear();
+    fetchSpy.mockResolvedValue(reply(204));
+    const stop = startMessagingOutbox();
+    await new Promise((r) => setTimeout(r, 0)); // let the initial (not yet due) pass finish
+    window.dispatchEvent(new Event("online"));
+    await vi.waitFor(() => expect(getOutbox()).toHaveLength(0));
+    stop();
+
+    expect(fetchSpy.mock.calls.map(([url]) => url)).toEqual(["http://chat.test/hook"]);
+  });
+
+  it("fails as a whole when the rule cannot be met", async () => {
+    vi.stubEnv("VITE_CONTACT_PROVIDER", "http,webhook");
+    vi.stubEnv("VITE_CONTACT_DELIVERY", "all");
+    vi.spyOn(globalThis, "fetch").mockImplementation(async (url) =>
+      url.includes("relay.test")
+        ? reply(422, { ok: false, error: { code: "validation_failed", fields: { name: "Bad" } } })
+        : reply(204)
+    );
+
+    await expect(sendContactMessage(message)).rejects.toMatchObject({
+      code: "delivery_failed",
+      fields: { name: "Bad" },
+      results: [
+        expect.objectContaining({ provider: "http", ok: false, queued: false }),
+        expect.objectContaining({ provider: "webhook", ok: true }),
+      ],
+    });
+    expect(getOutbox()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,116 @@
+import { createServer } from "node:http";
+import { createContactHandler } from "../../api/contact.js";
+import { sendWithHttp } from "../services/messaging/providers/http";
+import { REFERENCE_RE } from "../services/messaging/reference";
+
+const relayed = [];
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  const handler = createContactHandler({
+    relay: async (msg) => {
+      relayed.push(msg);
+      return { id: "relay-1" };
+    },
+  });
+
+  // Local stand-in: /api/contact is the reference handler, /slow never answers in time
+  // and /stalled sends its headers at once but the body only after the timeout.
+  server = createServer((req, res) => {
+    if (req.url === "/slow") return setTimeout(() => res.end("{}"), 500);
+    if (req.url === "/stalled") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.write('{"ok":');
+      return setTimeout(() => res.end("true}"), 500);
+    }
+    return handler(req, res);
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  vi.unstubAllEnvs();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+describe("http messaging provider", () => {
+  it("posts JSON and returns the relay id and an assigned reference", async () => {
+    vi.stubEnv("VITE_CONTACT_ENDPOINT", `${baseUrl}/api/contact`);
+
+    const res = await sendWithHttp({
+      kind: "contact",
+      name: "Ada",
+      email: "ada@example.com",
+      message: "Need a VLAN redesign.",
+    });
+
+    expect(res).toEqual({
+      ok: true,
+      provider: "http",
+      status: 200,
+      id: "relay-1",
+      reference: expect.stringMatching(REFERENCE_RE),
+    });
+    expect(relayed.at(-1)).toMatchObject({
+      name: "Ada",
+      email: "ada@example.com",
+      reference: res.reference,
+    });
+  });
+
+  it("keeps the client's reference", async () => {
+    vi.stubEnv("VITE_CONTACT_ENDPOINT", `${baseUrl}/api/contact`);
+
+    const res = await sendWithHttp({
+      kind: "quote",
+      reference: "Q-2026-0042-XYZ",
+      name: "Ada",
+      email: "ada@example.com",
+      sites: 1,
+      endpoints: 5,
+      timeline: "flexible",
+      message: "Small office refresh.",
+    });
+
+    expect(res.reference).toBe("Q-2026-0042-XYZ");
+    expect(relayed.at(-1).reference).toBe("Q-2026-0042-XYZ");
+  });
+
+  it("surfaces structured validation errors", async () => {
+    vi.stubEnv("VITE_CONTACT_ENDPOINT", `${baseUrl}/api/contact`);
+
+    await expect(
+      sendWithHttp({ kind: "contact", name: "", email: "nope", message: "" })
+    ).rejects.toMatchObject({
+      status: 422,
+      code: "validation_failed",
+      retryable: false,
+      fields: {
+        name: expect.any(String),
+        email: expect.any(String),
+        message: expect.any(String),
+      },
+    });
+  });
+
+  it("aborts after the configured timeout", async () => {
+    vi.stubEnv("VITE_CONTACT_ENDPOINT", `${baseUrl}/slow`);
+    vi.stubEnv("VITE_CONTACT_TIMEOUT_MS", "50");
+
+    await expect(
+      sendWithHttp({ kind: "contact", name: "Ada", email: "ada@example.com", message: "hi" })
+    ).rejects.toMatchObject({ code: "timeout", retryable: true });
+  });
+
+  it("times out a response whose body stalls", async () => {
+    vi.stubEnv("VITE_CONTACT_ENDPOINT", `${baseUrl}/stalled`);
+    vi.stubEnv("VITE_CONTACT_TIMEOUT_MS", "50");
+
+    await expect(
+      sendWithHttp({ kind: "contact", name: "Ada", email: "ada@example.com", message: "hi" })
+    ).rejects.toMatchObject({ code: "timeout", retryable: true });
+  });
+});
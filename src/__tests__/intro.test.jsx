@@ -0,0 +1,64 @@
+import { render, screen, fireEvent } from "@testing-library/react";
+import Preloader from "../components/Preloader";
+import { site, siteSchema } from "../content/site";
+import { defineRecord } from "../content/schema";
+import {
+  INTRO_STORAGE_KEY,
+  hasSeenIntro,
+  markIntroSeen,
+  shouldPlayIntro,
+} from "../services/intro";
+
+const home = { pathname: "/", hash: "" };
+
+describe("intro decision", () => {
+  it("plays on the first visit to the home page only", () => {
+    expect(hasSeenIntro()).toBe(false);
+    expect(shouldPlayIntro("first-visit", home)).toBe(true);
+
+    markIntroSeen();
+    expect(localStorage.getItem(INTRO_STORAGE_KEY)).toBe("1");
+    expect(shouldPlayIntro("first-visit", home)).toBe(false);
+  });
+
+  it("skips deep links in every mode", () => {
+    for (const mode of ["first-visit", "always"]) {
+      expect(shouldPlayIntro(mode, { pathname: "/projects/x", hash: "" }, false)).toBe(false);
+      expect(shouldPlayIntro(mode, { pathname: "/", hash: "#services" }, false)).toBe(false);
+    }
+  });
+
+  it("honours the always / never modes", () => {
+    expect(shouldPlayIntro("always", home, true)).toBe(true);
+    expect(shouldPlayIntro("never", home, false)).toBe(false);
+  });
+
+  it("is configured and validated in site.config.js", () => {
+    expect(["first-visit", "always", "never"]).toContain(site.intro.play);
+    expect(typeof site.intro.skippable).toBe("boolean");
+
+    const broken = { ...site, intro: { play: "sometimes" } };
+    expect(() => defineRecord("site", siteSchema, broken)).toThrow(
+      /site\.intro\.play: expected one of[\s\S]*site\.intro\.skippable: is required/
+    );
+  });
+});
+
+describe("skip intro", () => {
+  it("focuses the skip button and skips on click or Escape", () => {
+    const onSkip = vi.fn();
+    render(<Preloader onComplete={() => {}} onSkip={onSkip} />);
+
+    const skip = screen.getByRole("button", { name: "Skip intro" });
+    expect(skip).toHaveFocus();
+
+    fireEvent.click(skip);
+    fireEvent.keyDown(document, { key: "Escape" });
+    expect(onSkip).toHaveBeenCalledTimes(2);
+  });
+
+  it("has no skip control when the intro is not skippable", () => {
+    render(<Preloader onComplete={() => {}} />);
+    expect(screen.queryByRole("button", { name: "Skip intro" })).toBeNull();
+  });
+});
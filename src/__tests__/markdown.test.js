@@ -0,0 +1,32 @@
+import { compileMarkdown, highlight } from "../../vite-plugin-markdown.js";
+
+describe("markdown content compiler", () => {
+  it("splits YAML front-matter from the rendered body", () => {
+    const { data, body } = compileMarkdown(
+      "---\ntitle: Demo\ntech:\n  - OSPF\n---\n### Routing\n\n- Area 0\n"
+    );
+
+    expect(data).toEqual({ title: "Demo", tech: ["OSPF"] });
+    expect(body).toContain("<h3>Routing</h3>");
+    expect(body).toContain("<li>Area 0</li>");
+  });
+
+  it("highlights Cisco IOS, FortiOS and PowerShell fences", () => {
+    expect(highlight("! uplink\ninterface Gi0/1", "ios")).toBe(
+      '<span class="tok-comment">! uplink</span>\n' +
+        '<span class="tok-keyword">interface</span> <span class="tok-type">Gi0/1</span>'
+    );
+    expect(highlight('set name "LAN"', "fortigate")).toContain(
+      '<span class="tok-string">&quot;LAN&quot;</span>'
+    );
+    expect(highlight("Get-ADUser -Filter *", "ps1")).toContain(
+      '<span class="tok-function">Get-ADUser</span> <span class="tok-attr">-Filter</span>'
+    );
+  });
+
+  it("escapes unknown languages without highlighting", () => {
+    const { body } = compileMarkdown("```text\n<b>\n```\n");
+    expect(body).toContain("&lt;b&gt;");
+    expect(body).not.toContain("tok-");
+  });
+});
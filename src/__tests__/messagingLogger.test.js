@@ -0,0 +1,92 @@
+import { createLogger, getLogLevel, redact } from "../services/messaging/logger";
+import { sendContactMessage } from "../services/messaging";
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllEnvs();
+  vi.useRealTimers();
+});
+
+describe("messaging logger", () => {
+  it("is silent in production builds unless a level is set", () => {
+    expect(getLogLevel({ PROD: true, MODE: "production" })).toBe("silent");
+    expect(getLogLevel({ PROD: true, VITE_MESSAGING_LOG_LEVEL: "WARN" })).toBe("warn");
+    expect(getLogLevel({ DEV: true, MODE: "development" })).toBe("debug");
+    expect(getLogLevel({ DEV: true, VITE_MESSAGING_LOG_LEVEL: "nonsense" })).toBe("debug");
+  });
+
+  it("only prints at or above the configured level", () => {
+    vi.stubEnv("VITE_MESSAGING_LOG_LEVEL", "warn");
+    const debug = vi.spyOn(console, "debug").mockImplementation(() => {});
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const log = createLogger("http");
+
+    log.debug("hidden");
+    log.warn("shown", { status: 503 });
+
+    expect(debug).not.toHaveBeenCalled();
+    expect(warn).toHaveBeenCalledWith("[messaging:http] shown", { status: 503 });
+  });
+
+  it("redacts emails and free text, keeping what helps debugging", () => {
+    const out = redact({
+      kind: "quote",
+      reference: "Q-2026-0302-ABC",
+      name: "Ada Lovelace",
+      email: "ada@example.com",
+      message: "Call me on 555-0100",
+      note: "cc bob@corp.example please",
+      attachments: [{ filename: "q.pdf", contentType: "application/pdf", content: "QUJD" }],
+      results: [{ provider: "http", ok: false, error: { message: "Rejected ada@example.com", code: "x" } }],
+    });
+
+    expect(out).toEqual({
+      kind: "quote",
+      reference: "Q-2026-0302-ABC",
+      name: "[12 chars]",
+      email: "***@example.com",
+      message: "[19 chars]",
+      note: "cc ***@corp.example please",
+      attachments: [{ filename: "q.pdf", contentType: "application/pdf", chars: 4 }],
+      results: [
+        { provider: "http", ok: false, error: { message: "Rejected ***@example.com", code: "x" } },
+      ],
+    });
+  });
+
+  it("never prints visitor details while sending", async () => {
+    vi.useFakeTimers();
+    vi.stubEnv("VITE_MESSAGING_LOG_LEVEL", "debug");
+    const calls = [];
+    for (const m of ["debug", "info", "warn", "error", "log"]) {
+      vi.spyOn(console, m).mockImplementation((...args) => calls.push(args));
+    }
+
+    const sent = sendContactMessage({
+      name: "Ada Lovelace",
+      email: "ada@example.com",
+      message: "A very private message",
+    });
+    await vi.runAllTimersAsync();
+    await sent;
+
+    const printed = JSON.stringify(calls);
+    expect(calls.length).toBeGreaterThan(0);
+    expect(printed).not.toContain("ada@example.com");
+    expect(printed).not.toContain("Ada Lovelace");
+    expect(printed).not.toContain("A very private message");
+  });
+
+  it("prints nothing by default under test", async () => {
+    vi.useFakeTimers();
+    const log = vi.spyOn(console, "log");
+    const debug = vi.spyOn(console, "debug");
+
+    const sent = sendContactMessage({ name: "Ada", email: "ada@example.com", message: "Hi" });
+    await vi.runAllTimersAsync();
+    await sent;
+
+    expect(log).not.toHaveBeenCalled();
+    expect(debug).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,199 @@
+import { act, render, screen, fireEvent } from "@testing-library/react";
+import DecryptedText from "../components/DecryptedText";
+import LetterGlitch from "../components/LetterGlitch";
+import MotionPanel from "../components/MotionPanel";
+import MotionPreferencesProvider from "../components/MotionPreferencesProvider";
+import TargetCursor from "../components/TargetCursor";
+import { useMotionPreferences } from "../hooks/useMotionPreferences";
+import {
+  MOTION_STORAGE_KEY,
+  loadMotionPreferences,
+  resolveMotion,
+  saveMotionPreferences,
+} from "../services/motion";
+
+const originalMatchMedia = window.matchMedia;
+
+// matchMedia whose "prefers-reduced-motion" answer can be flipped.
+function mockReducedMotion(initial = false) {
+  let reduced = initial;
+  const listeners = new Set();
+
+  window.matchMedia = vi.fn((query) =>
+    query.includes("prefers-reduced-motion")
+      ? {
+          get matches() {
+            return reduced;
+          },
+          addEventListener: (_, fn) => listeners.add(fn),
+          removeEventListener: (_, fn) => listeners.delete(fn),
+        }
+      : originalMatchMedia(query)
+  );
+  return {
+    set(next) {
+      reduced = next;
+      listeners.forEach((fn) => fn());
+    },
+  };
+}
+
+const saveEffects = (effects) =>
+  saveMotionPreferences({
+    reduceMotion: false,
+    glitch: true,
+    cursor: true,
+    decrypt: true,
+    transitions: true,
+    ...effects,
+  });
+
+const ALL_ON = "system:glitch,cursor,decrypt,transitions";
+
+function MotionProbe() {
+  const { effects, followsSystem } = useMotionPreferences();
+  const on = Object.keys(effects).filter((key) => effects[key]);
+  return (
+    <output>
+      {followsSystem ? "system" : "saved"}:{on.join(",") || "none"}
+    </output>
+  );
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  window.matchMedia = originalMatchMedia;
+  document.body.style.cursor = "";
+});
+
+describe("motion preferences", () => {
+  it("follow prefers-reduced-motion until something is saved", () => {
+    expect(resolveMotion(null, false).effects).toEqual({
+      glitch: true,
+      cursor: true,
+      decrypt: true,
+      transitions: true,
+    });
+    expect(resolveMotion(null, true).effects.transitions).toBe(false);
+    expect(resolveMotion(null, true).followsSystem).toBe(true);
+
+    const saved = { reduceMotion: false, glitch: false, cursor: true, decrypt: true };
+    const resolved = resolveMotion({ ...saved, transitions: true }, true);
+    expect(resolved.followsSystem).toBe(false);
+    expect(resolved.effects).toEqual({
+      glitch: false,
+      cursor: true,
+      decrypt: true,
+      transitions: true,
+    });
+  });
+
+  it("stores the full set and ignores unreadable values", () => {
+    expect(loadMotionPreferences()).toBeNull();
+
+    saveEffects({ cursor: false });
+    expect(JSON.parse(localStorage.getItem(MOTION_STORAGE_KEY)).cursor).toBe(false);
+    expect(loadMotionPreferences()).toMatchObject({ reduceMotion: false, cursor: false });
+
+    saveMotionPreferences(null);
+    expect(localStorage.getItem(MOTION_STORAGE_KEY)).toBeNull();
+
+    localStorage.setItem(MOTION_STORAGE_KEY, "{not json");
+    expect(loadMotionPreferences()).toBeNull();
+  });
+
+  it("tracks the system setting live in the provider", () => {
+    const system = mockReducedMotion(false);
+    render(
+      <MotionPreferencesProvider>
+        <MotionProbe />
+      </MotionPreferencesProvider>
+    );
+    expect(screen.getByRole("status")).toHaveTextContent(ALL_ON);
+
+    act(() => system.set(true));
+    expect(screen.getByRole("status")).toHaveTextContent("system:none");
+  });
+});
+
+describe("motion panel", () => {
+  it("saves each toggle and can go back to the system setting", () => {
+    const system = mockReducedMotion(true);
+    render(
+      <MotionPreferencesProvider>
+        <MotionPanel open onClose={() => {}} />
+        <MotionProbe />
+      </MotionPreferencesProvider>
+    );
+
+    const reduce = screen.getByRole("checkbox", { name: "Reduce motion" });
+    expect(reduce).toBeChecked();
+    expect(screen.getByText(/Following your system setting/)).toBeInTheDocument();
+    expect(screen.getByRole("checkbox", { name: "Custom cursor" })).toBeDisabled();
+
+    fireEvent.click(reduce);
+    fireEvent.click(screen.getByRole("checkbox", { name: "Custom cursor" }));
+
+    expect(screen.getByRole("status")).toHaveTextContent("saved:glitch,decrypt,transitions");
+    expect(loadMotionPreferences()).toMatchObject({ reduceMotion: false, cursor: false });
+
+    // Saved choices outlive later OS changes.
+    act(() => system.set(false));
+    expect(screen.getByRole("status")).toHaveTextContent("saved:glitch,decrypt,transitions");
+
+    fireEvent.click(screen.getByRole("button", { name: "Use system setting" }));
+    expect(localStorage.getItem(MOTION_STORAGE_KEY)).toBeNull();
+    expect(screen.getByRole("status")).toHaveTextContent(ALL_ON);
+  });
+
+  it("closes on Escape", () => {
+    const onClose = vi.fn();
+    render(<MotionPanel open onClose={onClose} />);
+
+    fireEvent.keyDown(document, { key: "Escape" });
+    expect(onClose).toHaveBeenCalled();
+  });
+});
+
+describe("animated components", () => {
+  it("DecryptedText shows plain text and ignores hover when decryption is off", () => {
+    saveEffects({ decrypt: false });
+    const { container } = render(<DecryptedText text="Network Engineer" animateOn="hover" />);
+    const wrapper = container.firstChild;
+
+    fireEvent.mouseEnter(wrapper);
+    expect(wrapper.querySelector("[aria-hidden]")).toHaveTextContent("Network Engineer");
+  });
+
+  it("DecryptedText scrambles on hover when decryption is on", () => {
+    const { container } = render(<DecryptedText text="Network Engineer" animateOn="hover" />);
+    const wrapper = container.firstChild;
+
+    fireEvent.mouseEnter(wrapper);
+    expect(wrapper.querySelector("[aria-hidden]").textContent).not.toBe("Network Engineer");
+  });
+
+  it("TargetCursor keeps the default cursor when the custom cursor is off", () => {
+    saveEffects({ cursor: false });
+    const { container } = render(<TargetCursor hideDefaultCursor />);
+
+    expect(container.querySelector(".target-cursor-wrapper")).toBeNull();
+    expect(document.body.style.cursor).toBe("");
+  });
+
+  it("LetterGlitch draws one frame and starts no animation loop when off", () => {
+    vi.spyOn(HTMLCanvasElement.prototype, "getContext").mockReturnValue(
+      new Proxy({}, { get: () => () => {} })
+    );
+    const raf = vi.spyOn(window, "requestAnimationFrame");
+
+    saveEffects({ glitch: false });
+    const { unmount } = render(<LetterGlitch />);
+    expect(raf).not.toHaveBeenCalled();
+    unmount();
+
+    saveMotionPreferences(null);
+    render(<LetterGlitch />);
+    expect(raf).toHaveBeenCalled();
+  });
+});
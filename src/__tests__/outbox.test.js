@@ -0,0 +1,71 @@
+import {
+  enqueue,
+  flushOutbox,
+  getOutbox,
+  backoffDelay,
+  OUTBOX_BASE_DELAY_MS,
+} from "../services/messaging/outbox";
+
+const payload = (key) => ({ idempotencyKey: key, kind: "contact", name: "Ada" });
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+describe("messaging outbox", () => {
+  it("persists entries and dedupes by idempotency key", () => {
+    expect(enqueue(payload("k1"))).toBe(true);
+    expect(enqueue(payload("k1"))).toBe(false);
+
+    expect(getOutbox()).toHaveLength(1);
+    expect(JSON.parse(window.localStorage.getItem("messaging:outbox"))[0].key).toBe("k1");
+  });
+
+  it("reports entries it could not store", () => {
+    const events = [];
+    const onEvent = (e) => events.push(e.detail.type);
+    window.addEventListener("messaging:outbox", onEvent);
+    const setItem = vi.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+      throw new DOMException("Quota exceeded", "QuotaExceededError");
+    });
+
+    expect(enqueue(payload("big"))).toBe(false);
+    expect(getOutbox()).toHaveLength(0);
+    expect(events).toEqual([]);
+
+    setItem.mockRestore();
+    window.removeEventListener("messaging:outbox", onEvent);
+  });
+
+  it("removes entries once delivered", async () => {
+    enqueue(payload("k1"));
+    const deliver = vi.fn().mockResolvedValue({ ok: true });
+
+    await flushOutbox(deliver, { force: true });
+
+    expect(deliver).toHaveBeenCalledWith(payload("k1"));
+    expect(getOutbox()).toHaveLength(0);
+  });
+
+  it("backs off retryable failures and drops permanent ones", async () => {
+    enqueue(payload("retry"));
+    enqueue(payload("fatal"));
+
+    const deliver = vi.fn(async (p) => {
+      throw Object.assign(new Error("nope"), { retryable: p.idempotencyKey === "retry" });
+    });
+
+    await flushOutbox(deliver, { force: true });
+
+    const [entry] = getOutbox();
+    expect(getOutbox()).toHaveLength(1);
+    expect(entry.key).toBe("retry");
+    expect(entry.attempts).toBe(2);
+    expect(entry.nextAttemptAt).toBeGreaterThan(Date.now());
+  });
+
+  it("doubles the delay per attempt", () => {
+    expect(backoffDelay(1)).toBe(OUTBOX_BASE_DELAY_MS);
+    expect(backoffDelay(3)).toBe(OUTBOX_BASE_DELAY_MS * 4);
+  });
+});
@@ -0,0 +1,71 @@
+import { render, screen, fireEvent } from "@testing-library/react";
+import PriceEstimator from "../components/PriceEstimator";
+import { services } from "../content";
+import { budgetFor, estimatePrice, formatEstimate } from "../services/pricing";
+
+const pricing = {
+  currency: "CAD",
+  base: 200,
+  perSite: 100,
+  perDevice: 10,
+  rushMultiplier: 1.5,
+  spread: 0.2,
+};
+
+describe("price estimates", () => {
+  it("applies base, per-site, per-device and rush rules as a range", () => {
+    expect(estimatePrice(pricing, { sites: 2, devices: 30 })).toEqual({
+      low: 560,
+      mid: 700,
+      high: 840,
+      currency: "CAD",
+    });
+    expect(estimatePrice(pricing, { sites: 2, devices: 30, rush: true }).mid).toBe(1050);
+  });
+
+  it("formats like the catalogue and maps to a quote budget", () => {
+    const estimate = estimatePrice(pricing, { sites: 10, devices: 100 });
+
+    expect(formatEstimate(estimate)).toBe("$1,760 – $2,640 CAD");
+    expect(budgetFor(estimate)).toBe("1k-3k");
+  });
+
+  it("updates live and pre-fills the quote request", () => {
+    const onRequestQuote = vi.fn();
+    render(<PriceEstimator onRequestQuote={onRequestQuote} />);
+
+    fireEvent.change(screen.getByLabelText("Sites"), { target: { value: "4" } });
+    fireEvent.click(screen.getByLabelText(/Rush delivery/));
+
+    const label = formatEstimate(
+      estimatePrice(services[0].pricing, { sites: 4, devices: 10, rush: true })
+    );
+    expect(screen.getByRole("status")).toHaveTextContent(label);
+
+    fireEvent.click(screen.getByRole("button", { name: /request-quote/ }));
+    expect(onRequestQuote).toHaveBeenCalledWith(
+      services[0].title,
+      expect.objectContaining({ sites: "4", endpoints: "10", timeline: "asap", estimate: label })
+    );
+  });
+
+  it("prices and pre-fills the same clamped scope for blank or zero counts", () => {
+    const onRequestQuote = vi.fn();
+    render(<PriceEstimator onRequestQuote={onRequestQuote} />);
+
+    fireEvent.change(screen.getByLabelText("Sites"), { target: { value: "" } });
+    fireEvent.change(screen.getByLabelText("Users / Endpoints"), { target: { value: "0" } });
+
+    const label = formatEstimate(estimatePrice(services[0].pricing, { sites: 1, devices: 1 }));
+    expect(screen.getByRole("status")).toHaveTextContent(label);
+
+    fireEvent.blur(screen.getByLabelText("Users / Endpoints"));
+    expect(screen.getByLabelText("Users / Endpoints")).toHaveValue(1);
+
+    fireEvent.click(screen.getByRole("button", { name: /request-quote/ }));
+    expect(onRequestQuote).toHaveBeenCalledWith(
+      services[0].title,
+      expect.objectContaining({ sites: "1", endpoints: "1", estimate: label })
+    );
+  });
+});
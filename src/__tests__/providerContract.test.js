@@ -0,0 +1,124 @@
+import {
+  listProviders,
+  registerProvider,
+  sendContactMessage,
+  validateMessagingConfig,
+} from "../services/messaging";
+import { checkProviderConfig } from "../services/messaging/registry";
+
+const emailjsSend = vi.hoisted(() => vi.fn());
+vi.mock("@emailjs/browser", () => ({ default: { send: emailjsSend } }));
+
+const payload = {
+  kind: "contact",
+  reference: "C-2026-0042-XYZ",
+  idempotencyKey: "contract-key",
+  name: "Ada",
+  email: "ada@example.com",
+  message: "Contract check.",
+  pagePath: "/",
+  siteName: "Portfolio",
+  timestamp: "2026-03-02T15:30:00.000Z",
+};
+
+// Give every required env var a plausible value.
+const configure = (provider) =>
+  provider.env.required.forEach((v) => vi.stubEnv(v, `http://contract.test/${v}`));
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.unstubAllEnvs();
+  emailjsSend.mockReset();
+});
+
+// Every registered provider must pass this suite; new built-ins are picked up automatically.
+describe.each(listProviders().map((p) => [p.name, p]))("provider contract: %s", (name, provider) => {
+  it("declares its capabilities and env", () => {
+    expect(typeof provider.send).toBe("function");
+    for (const value of Object.values(provider.capabilities)) expect(typeof value).toBe("boolean");
+    for (const v of [...provider.env.required, ...provider.env.optional]) {
+      expect(v).toMatch(/^VITE_[A-Z0-9_]+$/);
+    }
+  });
+
+  it("reports each missing required env var", () => {
+    for (const v of provider.env.required) vi.stubEnv(v, "");
+
+    const problems = checkProviderConfig([name]);
+    expect(problems).toHaveLength(provider.env.required.length);
+    provider.env.required.forEach((v, i) => expect(problems[i]).toContain(v));
+  });
+
+  it("resolves ok with its name and the payload reference", async () => {
+    configure(provider);
+    expect(checkProviderConfig([name])).toEqual([]);
+    vi.spyOn(globalThis, "fetch").mockResolvedValue(
+      new Response(JSON.stringify({ ok: true, id: "msg_1" }), { status: 200 })
+    );
+    emailjsSend.mockResolvedValue({ status: 200, text: "OK" });
+
+    const res = await provider.send(payload);
+
+    expect(res).toMatchObject({ ok: true, provider: name, reference: payload.reference });
+  });
+
+  it.skipIf(provider.capabilities.offline)(
+    "throws a retryable Error when the network fails",
+    async () => {
+      configure(provider);
+      vi.spyOn(globalThis, "fetch").mockRejectedValue(new TypeError("Failed to fetch"));
+      emailjsSend.mockRejectedValue({ status: 0, text: "Network error" });
+
+      const err = await provider.send(payload).then(
+        () => null,
+        (e) => e
+      );
+
+      expect(err).toBeInstanceOf(Error);
+      expect(err.retryable).toBe(true);
+    }
+  );
+});
+
+describe("provider registry", () => {
+  it("rejects implementations that break the contract", () => {
+    expect(() => registerProvider("Bad Name", { send() {} })).toThrow(/name must be/);
+    expect(() => registerProvider("sms", {})).toThrow(/send\(payload\) must be a function/);
+    expect(() =>
+      registerProvider("sms", { send() {}, capabilities: { teleport: true } })
+    ).toThrow(/unknown capability "teleport"/);
+  });
+
+  it("delivers through a registered provider", async () => {
+    const send = vi.fn(async (p) => ({ ok: true, provider: "sms", reference: p.reference }));
+    const unregister = registerProvider("sms", { send, capabilities: { offline: true } });
+    vi.stubEnv("VITE_CONTACT_PROVIDER", "sms");
+
+    const res = await sendContactMessage({
+      name: "Ada",
+      email: "ada@example.com",
+      message: "Hi",
+    });
+
+    expect(res).toMatchObject({ ok: true, provider: "sms" });
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ reference: res.reference }));
+    unregister();
+  });
+
+  it("validates the configured providers at startup", () => {
+    vi.stubEnv("VITE_CONTACT_PROVIDER", "emailjs,carrier-pigeon");
+    vi.stubEnv("VITE_EMAILJS_SERVICE_ID", "");
+    vi.stubEnv("VITE_MESSAGING_LOG_LEVEL", "warn");
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    const problems = validateMessagingConfig();
+
+    expect(problems).toEqual(
+      expect.arrayContaining([
+        expect.stringContaining("VITE_EMAILJS_SERVICE_ID"),
+        expect.stringContaining('Unknown messaging provider "carrier-pigeon"'),
+      ])
+    );
+    expect(warn).toHaveBeenCalledTimes(problems.length);
+  });
+});
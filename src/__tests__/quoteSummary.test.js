@@ -0,0 +1,83 @@
+import { Buffer } from "node:buffer";
+import { buildQuoteSummary, quoteSummaryAttachment, OWNER } from "../services/quoteSummary";
+import { wrapText } from "../services/pdf";
+import { sendQuoteMessage } from "../services/messaging";
+
+const quote = {
+  reference: "Q-AB12CD34",
+  timestamp: "2026-03-02T15:30:00.000Z",
+  name: "Ada (Ops)",
+  email: "ada@example.com",
+  service: "Firewall Deployment & Security Hardening",
+  projectType: "security",
+  budget: "1k-3k",
+  sites: 3,
+  endpoints: 120,
+  vendors: ["fortigate"],
+  timeline: "asap",
+  compliance: [],
+  message: "Replace two edge firewalls – keep the IPsec tunnels.",
+};
+
+const asText = (bytes) => String.fromCharCode(...bytes);
+
+describe("quote PDF summary", () => {
+  it("produces a well-formed PDF with the request, scope and owner contact", () => {
+    const pdf = asText(buildQuoteSummary(quote));
+
+    expect(pdf.startsWith("%PDF-1.4")).toBe(true);
+    expect(pdf.trimEnd().endsWith("%%EOF")).toBe(true);
+    expect(pdf).toContain("(Reference Q-AB12CD34)");
+    expect(pdf).toContain("(Ada \\(Ops\\))");
+    expect(pdf).toContain("(Existing vendors)");
+    expect(pdf).toContain("(FortiGate)");
+    expect(pdf).toContain(`(${OWNER.email}`);
+    // En dash is mapped to WinAnsi, not replaced.
+    expect(pdf).toContain("firewalls \x96 keep");
+
+    // Every xref entry points at the start of its object.
+    const xrefAt = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    const entries = pdf.slice(xrefAt).match(/^\d{10} 00000 n $/gm);
+    entries.forEach((entry, i) => {
+      expect(pdf.slice(Number(entry.slice(0, 10)))).toMatch(new RegExp(`^${i + 1} 0 obj`));
+    });
+  });
+
+  it("wraps long text and moves overflow onto new pages", () => {
+    expect(wrapText("one two three four", 60, 10)).toEqual(["one two", "three four"]);
+
+    const long = buildQuoteSummary({ ...quote, message: "word ".repeat(1000) });
+    expect(asText(long)).toContain("/Count 2");
+  });
+
+  it("attaches the summary to quotes when enabled", async () => {
+    vi.stubEnv("VITE_CONTACT_PROVIDER", "http");
+    vi.stubEnv("VITE_QUOTE_ATTACH_SUMMARY", "true");
+    const fetchSpy = vi
+      .spyOn(globalThis, "fetch")
+      .mockResolvedValue(new Response(JSON.stringify({ ok: true, id: "msg_1" }), { status: 200 }));
+
+    const form = { ...quote };
+    delete form.reference;
+    const res = await sendQuoteMessage({ ...form, sites: "3", endpoints: "120" }, quote.service);
+
+    // Files go as multipart: a JSON `payload` field plus one part per file.
+    const body = fetchSpy.mock.calls[0][1].body;
+    const sent = JSON.parse(body.get("payload"));
+    const [file] = body.getAll("attachments");
+    const expected = quoteSummaryAttachment(sent);
+
+    expect(res.reference).toBe(sent.reference);
+    expect(file.name).toBe(expected.filename);
+    expect(file.type).toBe("application/pdf");
+    const bytes = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(Buffer.from(reader.result));
+      reader.readAsArrayBuffer(file);
+    });
+    expect(bytes.toString("base64")).toBe(expected.content);
+
+    fetchSpy.mockRestore();
+    vi.unstubAllEnvs();
+  });
+});
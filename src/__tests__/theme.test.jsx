@@ -0,0 +1,227 @@
+import { act, render, screen, fireEvent } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import LetterGlitch from "../components/LetterGlitch";
+import Navbar from "../components/Navbar";
+import { themes, themeRecords, themeSchema } from "../content/themes";
+import { defineCollection } from "../content/schema";
+import { useTheme } from "../hooks/useTheme";
+import {
+  THEME_PREFERENCES,
+  THEME_STORAGE_KEY,
+  getTheme,
+  loadThemePreference,
+  nextThemePreference,
+  resolveTheme,
+  saveThemePreference,
+  themeBootScript,
+  themeStyleSheet,
+} from "../services/theme";
+import themesPlugin from "../../vite-plugin-themes.js";
+
+const originalMatchMedia = window.matchMedia;
+
+// matchMedia whose "prefers-color-scheme: light" / "prefers-contrast: more"
+// answers can be flipped.
+function mockSystem(initial = {}) {
+  const state = { light: false, contrast: false, ...initial };
+  const listeners = new Set();
+  const flag = (query) =>
+    (query.includes("prefers-color-scheme") && "light") ||
+    (query.includes("prefers-contrast") && "contrast");
+
+  window.matchMedia = vi.fn((query) =>
+    flag(query)
+      ? {
+          get matches() {
+            return state[flag(query)];
+          },
+          addEventListener: (_, fn) => listeners.add(fn),
+          removeEventListener: (_, fn) => listeners.delete(fn),
+        }
+      : originalMatchMedia(query)
+  );
+  return {
+    set(next) {
+      Object.assign(state, next);
+      listeners.forEach((fn) => fn());
+    },
+  };
+}
+
+// The no-flash script inlined into index.html, run as the browser would.
+function runBootScript() {
+  new Function(themeBootScript())();
+  const root = document.documentElement;
+  return `${root.getAttribute("data-theme")}/${root.getAttribute("data-scheme")}`;
+}
+
+function ThemeProbe() {
+  const { preference, theme, cycle } = useTheme();
+  return (
+    <button type="button" onClick={cycle}>
+      {preference}/{theme}
+    </button>
+  );
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  window.matchMedia = originalMatchMedia;
+  document.documentElement.setAttribute("data-theme", "night");
+  document.documentElement.setAttribute("data-scheme", "dark");
+});
+
+describe("theme registry", () => {
+  it("registers night, day and high contrast, each with a full token set", () => {
+    expect(themes.map((t) => t.id)).toEqual(["night", "day", "contrast"]);
+
+    const names = Object.keys(getTheme("night").tokens).sort();
+    for (const theme of themes) {
+      expect(Object.keys(theme.tokens).sort()).toEqual(names);
+    }
+  });
+
+  it("fills tokens a theme leaves out from the one it extends", () => {
+    const contrast = getTheme("contrast");
+    expect(contrast.tokens.accent).toBe("#ffd400");
+    expect(contrast.tokens["sunpillar-1"]).toBe(getTheme("night").tokens["sunpillar-1"]);
+    expect(getTheme("unknown").id).toBe("night");
+  });
+
+  it("rejects malformed themes", () => {
+    const broken = [{ ...themeRecords[0], scheme: "dim", tokens: { "Bad Name": 1 } }];
+    expect(() => defineCollection("themes", themeSchema, broken)).toThrow(
+      /scheme: expected one of[\s\S]*Bad Name: key does not match[\s\S]*expected string/
+    );
+  });
+
+  it("generates one CSS rule per theme, plus cursor tokens", () => {
+    const css = themeStyleSheet();
+
+    for (const theme of themes) {
+      expect(css).toContain(`html[data-theme="${theme.id}"] {`);
+    }
+    expect(css).toContain("--accent: #ffd400;");
+    expect(css).toMatch(/color-scheme: light;\n {2}--bg-color: #ffffff;/);
+    expect(css).toContain("--cursor-blend-mode: difference;");
+  });
+
+  it("injects the stylesheet and boot script into <head>", () => {
+    const tags = themesPlugin().transformIndexHtml();
+
+    expect(tags.map((t) => [t.tag, t.injectTo])).toEqual([
+      ["style", "head"],
+      ["script", "head"],
+    ]);
+    expect(tags[0].children).toBe(themeStyleSheet());
+  });
+});
+
+describe("theme preference", () => {
+  it("defaults to system and stores only explicit choices", () => {
+    expect(loadThemePreference()).toBe("system");
+
+    saveThemePreference("day");
+    expect(localStorage.getItem(THEME_STORAGE_KEY)).toBe("day");
+    expect(loadThemePreference()).toBe("day");
+
+    saveThemePreference("system");
+    expect(localStorage.getItem(THEME_STORAGE_KEY)).toBeNull();
+
+    localStorage.setItem(THEME_STORAGE_KEY, "sepia");
+    expect(loadThemePreference()).toBe("system");
+  });
+
+  it("resolves system to the OS scheme and cycles through every theme", () => {
+    expect(resolveTheme("system", "day")).toBe("day");
+    expect(resolveTheme("night", "day")).toBe("night");
+    expect(THEME_PREFERENCES.map(nextThemePreference)).toEqual([
+      "night",
+      "day",
+      "contrast",
+      "system",
+    ]);
+  });
+
+  it("boot script applies the same rules before first paint", () => {
+    mockSystem({ light: true });
+    expect(runBootScript()).toBe("day/light");
+
+    localStorage.setItem(THEME_STORAGE_KEY, "night");
+    expect(runBootScript()).toBe("night/dark");
+
+    // More contrast wins over a light scheme.
+    mockSystem({ light: true, contrast: true });
+    localStorage.setItem(THEME_STORAGE_KEY, "sepia");
+    expect(runBootScript()).toBe("contrast/dark");
+
+    mockSystem();
+    expect(runBootScript()).toBe("night/dark");
+  });
+});
+
+describe("useTheme", () => {
+  it("follows OS changes until the visitor picks a theme, then persists it", () => {
+    const system = mockSystem();
+    render(<ThemeProbe />);
+    const button = screen.getByRole("button");
+
+    expect(button).toHaveTextContent("system/night");
+    act(() => system.set({ light: true }));
+    expect(button).toHaveTextContent("system/day");
+    expect(document.documentElement).toHaveAttribute("data-theme", "day");
+    expect(document.documentElement).toHaveAttribute("data-scheme", "light");
+
+    act(() => system.set({ contrast: true }));
+    expect(button).toHaveTextContent("system/contrast");
+
+    fireEvent.click(button);
+    expect(button).toHaveTextContent("night/night");
+    expect(localStorage.getItem(THEME_STORAGE_KEY)).toBe("night");
+
+    // An explicit choice ignores the OS.
+    act(() => system.set({ light: false, contrast: false }));
+    act(() => system.set({ light: true }));
+    expect(button).toHaveTextContent("night/night");
+  });
+
+  it("restores the stored choice on the next visit", () => {
+    mockSystem();
+    localStorage.setItem(THEME_STORAGE_KEY, "contrast");
+    render(<ThemeProbe />);
+
+    expect(screen.getByRole("button")).toHaveTextContent("contrast/contrast");
+    expect(document.documentElement).toHaveAttribute("data-scheme", "dark");
+  });
+});
+
+describe("theme consumers", () => {
+  it("LetterGlitch takes its background and blending from the registry", () => {
+    // jsdom has no 2D context; any drawing call is a no-op.
+    const ctx = new Proxy({}, { get: () => () => {} });
+    vi.spyOn(HTMLCanvasElement.prototype, "getContext").mockReturnValue(ctx);
+
+    const { container, rerender } = render(<LetterGlitch theme="day" />);
+    expect(container.firstChild.style.background).toContain("linear-gradient");
+    expect(container.querySelector("canvas").style.mixBlendMode).toBe("multiply");
+
+    rerender(<LetterGlitch theme="contrast" />);
+    expect(container.querySelector("canvas").style.opacity).toBe(
+      String(getTheme("contrast").glitch.opacity)
+    );
+  });
+
+  it("Dock toggle names the current preference and the next one", () => {
+    const onToggleTheme = vi.fn();
+    render(
+      <MemoryRouter>
+        <Navbar themePreference="contrast" onToggleTheme={onToggleTheme} />
+      </MemoryRouter>
+    );
+
+    fireEvent.click(
+      screen.getByRole("button", { name: "Theme: High contrast. Switch to System" })
+    );
+    expect(onToggleTheme).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,100 @@
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import ContactForm from "../components/ContactForm";
+import { sendContactMessage } from "../services/messaging";
+import {
+  THROTTLE,
+  assertNotThrottled,
+  getCooldown,
+  recordSubmission,
+} from "../services/messaging/throttle";
+
+const message = { name: "Ada", email: "ada@example.com", message: "Two new branches." };
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.useRealTimers();
+});
+
+describe("messaging throttle", () => {
+  it("refuses an identical message and quotes its reference", () => {
+    recordSubmission("contact", { ...message, reference: "C-2026-0042-XYZ" }, 0);
+    const later = THROTTLE.minIntervalMs + 1;
+
+    expect(() =>
+      assertNotThrottled("contact", { ...message, message: "  two NEW branches. " }, later)
+    ).toThrow(expect.objectContaining({ code: "duplicate", reference: "C-2026-0042-XYZ" }));
+    // Different text, or the same text once the window has passed, is fine.
+    expect(() =>
+      assertNotThrottled("contact", { ...message, message: "Also a VPN." }, later)
+    ).not.toThrow();
+    expect(() => assertNotThrottled("contact", message, THROTTLE.duplicateWindowMs)).not.toThrow();
+    // Quotes are throttled separately.
+    expect(() => assertNotThrottled("quote", message, 1)).not.toThrow();
+  });
+
+  it("spaces sends out and caps them per window", () => {
+    recordSubmission("contact", { ...message, message: "first" }, 0);
+    expect(getCooldown("contact", 10_000)).toBe(THROTTLE.minIntervalMs - 10_000);
+    expect(() => assertNotThrottled("contact", message, 10_000)).toThrow(
+      expect.objectContaining({
+        code: "rate_limited",
+        retryAfterMs: THROTTLE.minIntervalMs - 10_000,
+      })
+    );
+
+    for (let i = 1; i < THROTTLE.maxPerWindow; i++) {
+      recordSubmission("contact", { ...message, message: `#${i}` }, i * THROTTLE.minIntervalMs);
+    }
+    const now = THROTTLE.maxPerWindow * THROTTLE.minIntervalMs;
+    expect(getCooldown("contact", now)).toBe(THROTTLE.windowMs - now);
+  });
+
+  it("stops a repeated send before it reaches a provider", async () => {
+    vi.useFakeTimers();
+    const first = sendContactMessage(message);
+    await vi.runAllTimersAsync();
+    const { reference } = await first;
+
+    await expect(sendContactMessage({ ...message })).rejects.toMatchObject({
+      code: "duplicate",
+      reference,
+      retryable: false,
+    });
+    await expect(
+      sendContactMessage({ ...message, message: "Something else" })
+    ).rejects.toMatchObject({ code: "rate_limited" });
+  });
+});
+
+describe("ContactForm cooldown", () => {
+  const rejectWith = (details) =>
+    vi.fn().mockRejectedValue(Object.assign(new Error(details.code), details));
+
+  function submit(onSubmit) {
+    vi.spyOn(Date, "now").mockReturnValue(0);
+    render(<ContactForm onSubmit={onSubmit} />);
+    fireEvent.change(screen.getByLabelText("Name"), { target: { value: "Ada" } });
+    fireEvent.change(screen.getByLabelText("Email"), { target: { value: "ada@example.com" } });
+    fireEvent.change(screen.getByLabelText("Message"), { target: { value: "Hello." } });
+    Date.now.mockReturnValue(5000);
+    fireEvent.click(screen.getByRole("button", { name: "Send Message" }));
+  }
+
+  it("counts down after being rate limited", async () => {
+    submit(rejectWith({ code: "rate_limited", retryAfterMs: 12_400 }));
+
+    expect(await screen.findByRole("button", { name: "Send again in 13s" })).toBeDisabled();
+    expect(screen.getByRole("status")).toHaveTextContent("please wait a moment");
+  });
+
+  it("points at the earlier reference for a duplicate", async () => {
+    submit(rejectWith({ code: "duplicate", reference: "C-2026-0042-XYZ" }));
+
+    await waitFor(() =>
+      expect(screen.getByRole("status")).toHaveTextContent(
+        "You already sent this message. Reference: C-2026-0042-XYZ"
+      )
+    );
+    expect(screen.getByRole("button", { name: "Send Message" })).toBeEnabled();
+  });
+});
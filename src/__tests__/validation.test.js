@@ -0,0 +1,80 @@
+import { validateMessage, LIMITS } from "../services/messaging/validation";
+import { createReference, REFERENCE_RE } from "../services/messaging/reference";
+import { sendContactMessage } from "../services/messaging";
+
+const contact = {
+  name: "Ada",
+  email: "ada@example.com",
+  service: "network",
+  message: "Need a VLAN redesign.",
+};
+
+describe("message validation", () => {
+  it("accepts a complete contact message", () => {
+    expect(validateMessage("contact", contact)).toBeNull();
+  });
+
+  it("reports every invalid field with a readable message", () => {
+    const errors = validateMessage("contact", {
+      ...contact,
+      name: "   ",
+      email: "not-an-email",
+      message: "x".repeat(LIMITS.message + 1),
+    });
+
+    expect(errors).toEqual({
+      name: "Name is required.",
+      email: "Enter a valid email address.",
+      message: `Message must be at most ${LIMITS.message} characters.`,
+    });
+  });
+
+  it("checks quote selects against their allowed values", () => {
+    const errors = validateMessage("quote", {
+      ...contact,
+      projectType: "website",
+      budget: "a lot",
+      sites: 2,
+      endpoints: "40",
+      timeline: "asap",
+    });
+
+    expect(errors).toEqual({ budget: "Choose a valid budget." });
+  });
+
+  it("checks quote scoping answers and can validate one step at a time", () => {
+    const scope = { sites: "0", endpoints: "12.5", vendors: ["cisco", "juniper"] };
+
+    expect(validateMessage("quote", scope, ["sites", "endpoints", "vendors"])).toEqual({
+      sites: "Number of sites must be between 1 and 500.",
+      endpoints: "Users / endpoints must be a whole number.",
+      vendors: "Choose valid vendors.",
+    });
+    expect(validateMessage("quote", { vendors: [] }, ["vendors", "compliance"])).toBeNull();
+  });
+
+  it("creates readable references and rejects malformed ones", () => {
+    const ref = createReference("quote", new Date(2026, 4, 1));
+
+    expect(ref).toMatch(/^Q-2026-\d{4}-[A-Z2-9]{3}$/);
+    expect(ref).toMatch(REFERENCE_RE);
+    expect(createReference("contact")).toMatch(/^C-/);
+    expect(validateMessage("contact", { ...contact, reference: "REF-1" })).toEqual({
+      reference: "Reference is invalid.",
+    });
+  });
+
+  it("rejects invalid payloads before any provider is called", async () => {
+    vi.stubEnv("VITE_CONTACT_PROVIDER", "http");
+    const fetchSpy = vi.spyOn(globalThis, "fetch");
+
+    await expect(sendContactMessage({ ...contact, email: "" })).rejects.toMatchObject({
+      code: "validation_failed",
+      fields: { email: "Email is required." },
+    });
+    expect(fetchSpy).not.toHaveBeenCalled();
+
+    fetchSpy.mockRestore();
+    vi.unstubAllEnvs();
+  });
+});
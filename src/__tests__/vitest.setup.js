@@ -1,5 +1,5 @@
 import "@testing-library/jest-dom";
-import { vi } from "vitest";
+import { beforeEach, vi } from "vitest";
 
 /* ===============================
    IntersectionObserver
@@ -71,3 +71,15 @@ if (!Element.prototype.scrollTo) {
     this.scrollTop = Number(y ?? 0);
   };
 }
+
+/* ===============================
+   Messaging throttle (sessionStorage), form drafts and UI preferences
+   (localStorage). Each test starts a fresh "session" with empty forms
+   and default preferences.
+================================ */
+beforeEach(() => {
+  window.sessionStorage.removeItem("messaging:throttle");
+  Object.keys(window.localStorage)
+    .filter((key) => key.startsWith("draft:") || key.startsWith("ui:"))
+    .forEach((key) => window.localStorage.removeItem(key));
+});
@@ -0,0 +1,136 @@
+import { createServer } from "node:http";
+import {
+  formatWebhookBody,
+  sendWithWebhook,
+  webhookProvider,
+} from "../services/messaging/providers/webhook";
+
+const payload = {
+  kind: "quote",
+  reference: "Q-2026-0042-XYZ",
+  name: "Ada",
+  email: "ada@example.com",
+  service: "VPN & Secure Remote Access",
+  sites: 2,
+  endpoints: 40,
+  vendors: ["paloalto"],
+  timeline: "asap",
+  message: "Two branches need site-to-site tunnels.",
+  siteName: "Portfolio",
+  timestamp: "2026-03-02T15:30:00.000Z",
+  userAgent: "jsdom",
+};
+
+const received = [];
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  // Local stand-in receiver: records bodies; /fail answers 503.
+  server = createServer(async (req, res) => {
+    let raw = "";
+    for await (const chunk of req) raw += chunk;
+    received.push({ url: req.url, body: JSON.parse(raw) });
+    res.statusCode = req.url === "/fail" ? 503 : 204;
+    res.end();
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  vi.unstubAllEnvs();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+describe("webhook messaging provider", () => {
+  it("formats Slack blocks, Discord embeds and Teams cards", () => {
+    const slack = formatWebhookBody("slack", payload);
+    expect(slack.blocks[0].text.text).toBe("Quote request Q-2026-0042-XYZ");
+    expect(slack.blocks[1].fields).toContainEqual({
+      type: "mrkdwn",
+      text: "*Existing vendors*\nPalo Alto",
+    });
+
+    const discord = formatWebhookBody("discord", payload);
+    expect(discord.embeds[0]).toMatchObject({
+      title: "Quote request Q-2026-0042-XYZ",
+      description: payload.message,
+      timestamp: payload.timestamp,
+    });
+    expect(discord.embeds[0].fields).toContainEqual({ name: "Sites", value: "2", inline: true });
+
+    const teams = formatWebhookBody("teams", payload);
+    expect(teams.attachments[0].content.body[1].facts).toContainEqual({
+      title: "Timeline",
+      value: "As soon as possible",
+    });
+  });
+
+  it("keeps visitor text from pinging a Slack workspace or Discord server", () => {
+    const hostile = { ...payload, name: "<!channel> @everyone <@U123>", budget: "a & b" };
+
+    const slack = formatWebhookBody("slack", hostile);
+    expect(slack.text).toBe(
+      "Quote request Q-2026-0042-XYZ from &lt;!channel&gt; @everyone &lt;@U123&gt;"
+    );
+    expect(slack.blocks[1].fields).toContainEqual({
+      type: "mrkdwn",
+      text: "*Name*\n&lt;!channel&gt; @everyone &lt;@U123&gt;",
+    });
+    expect(slack.blocks[1].fields).toContainEqual({ type: "mrkdwn", text: "*Budget*\na &amp; b" });
+    expect(JSON.stringify(slack)).not.toMatch(/<!channel>|<@U123>/);
+
+    const discord = formatWebhookBody("discord", hostile);
+    expect(discord.content).toContain("@everyone");
+    expect(discord.allowed_mentions).toEqual({ parse: [] });
+  });
+
+  it("leaves out the message block when a booking has no agenda", () => {
+    const booking = { ...payload, kind: "booking", message: "" };
+
+    const slack = formatWebhookBody("slack", booking);
+    expect(slack.blocks.map((b) => b.type)).toEqual(["header", "section", "context"]);
+    expect(slack.blocks.every((b) => b.text?.text !== "")).toBe(true);
+
+    const teams = formatWebhookBody("teams", booking);
+    expect(teams.attachments[0].content.body.map((b) => b.type)).toEqual([
+      "TextBlock",
+      "FactSet",
+    ]);
+  });
+
+  it("posts the configured format to the receiver", async () => {
+    vi.stubEnv("VITE_WEBHOOK_URL", `${baseUrl}/hook`);
+    vi.stubEnv("VITE_WEBHOOK_FORMAT", "json");
+
+    const res = await sendWithWebhook(payload);
+
+    expect(res).toEqual({
+      ok: true,
+      provider: "webhook",
+      status: 204,
+      format: "json",
+      reference: "Q-2026-0042-XYZ",
+    });
+    const { body } = received.at(-1);
+    expect(body).toMatchObject({ event: "message", reference: "Q-2026-0042-XYZ" });
+    expect(body.text).toContain("Email: ada@example.com");
+    expect(body).not.toHaveProperty("userAgent");
+  });
+
+  it("marks server failures retryable", async () => {
+    vi.stubEnv("VITE_WEBHOOK_URL", `${baseUrl}/fail`);
+    await expect(sendWithWebhook(payload)).rejects.toMatchObject({
+      status: 503,
+      retryable: true,
+    });
+  });
+
+  it("reports unsupported formats as config problems", () => {
+    expect(webhookProvider.checkConfig({ VITE_WEBHOOK_FORMAT: "irc" })).toEqual([
+      'VITE_WEBHOOK_FORMAT must be one of slack, discord, teams, json (got "irc")',
+    ]);
+  });
+});
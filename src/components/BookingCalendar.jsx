@@ -0,0 +1,428 @@
+/**
+ * BookingCalendar
+ * --------------------------------------------------
+ * Modal for booking a 30-minute discovery call.
+ * Open slots come from the static availability file
+ * (see services/booking) and are shown in the visitor's
+ * time zone; the request goes out through messaging and
+ * the visitor can download an .ics invite for it.
+ */
+
+import { useEffect, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { validateMessage } from "../services/messaging/validation";
+import { getCooldown } from "../services/messaging/throttle";
+import { BOOKING_MINUTES, downloadInvite, listSlots, loadAvailability } from "../services/booking";
+import { useProofOfWork } from "../hooks/useProofOfWork";
+import { useCooldown } from "../hooks/useCooldown";
+import "./BookingCalendar.css";
+
+const EMPTY_FORM = {
+  name: "",
+  email: "",
+  message: "",
+};
+
+const visitorTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+export default function BookingCalendar({
+  open = false,
+  source,
+  timeZone = visitorTimeZone(),
+  onClose,
+  onSubmit,
+}) {
+  const overlayRef = useRef(null);
+  const formRef = useRef(null);
+
+  // null while the availability file loads.
+  const [slots, setSlots] = useState(null);
+  const [loadFailed, setLoadFailed] = useState(false);
+  const [day, setDay] = useState("");
+  const [slot, setSlot] = useState(null);
+
+  const [formState, setFormState] = useState(EMPTY_FORM);
+  const [status, setStatus] = useState("idle");
+  const [errors, setErrors] = useState({});
+  // The requested call, kept after the form resets so the invite can be built.
+  const [booking, setBooking] = useState(null);
+
+  // Honeypot (kept OUT of formState)
+  const [honeypot, setHoneypot] = useState("");
+  const openedAtRef = useRef(Date.now());
+  // Starts requested from this page, left out of every reload of the availability file.
+  const bookedRef = useRef(new Set());
+  const proofOfWork = useProofOfWork();
+  const cooldown = useCooldown(() => getCooldown("booking"));
+
+  const format = useMemo(
+    () => ({
+      key: new Intl.DateTimeFormat("en-CA", { timeZone }),
+      day: new Intl.DateTimeFormat(undefined, {
+        timeZone,
+        weekday: "short",
+        month: "short",
+        day: "numeric",
+      }),
+      time: new Intl.DateTimeFormat(undefined, { timeZone, hour: "numeric", minute: "2-digit" }),
+    }),
+    [timeZone]
+  );
+
+  // Slots grouped by the visitor's calendar day.
+  const days = useMemo(() => {
+    const groups = new Map();
+    for (const s of slots || []) {
+      const key = format.key.format(new Date(s.start));
+      if (!groups.has(key)) {
+        groups.set(key, { key, label: format.day.format(new Date(s.start)), slots: [] });
+      }
+      groups.get(key).slots.push(s);
+    }
+    return [...groups.values()];
+  }, [slots, format]);
+
+  const activeDay = days.find((d) => d.key === day) || days[0];
+
+  useEffect(() => {
+    if (!open) return;
+
+    let cancelled = false;
+    openedAtRef.current = Date.now();
+
+    loadAvailability(source)
+      .then((availability) => {
+        if (cancelled) return;
+        setSlots(listSlots(availability).filter((s) => !bookedRef.current.has(s.start)));
+        setLoadFailed(false);
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setSlots([]);
+        setLoadFailed(true);
+      });
+
+    const onKey = (e) => {
+      if (e.key === "Escape") onClose?.();
+    };
+
+    document.addEventListener("keydown", onKey);
+    document.body.style.overflow = "hidden";
+
+    return () => {
+      cancelled = true;
+      document.removeEventListener("keydown", onKey);
+      document.body.style.overflow = "";
+    };
+  }, [open, onClose, source]);
+
+  if (!open) return null;
+
+  const when = (s) => {
+    const start = new Date(s.start);
+    return `${format.day.format(start)}, ${format.time.format(start)}`;
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    proofOfWork.start();
+    setFormState((p) => ({ ...p, [name]: value }));
+    setErrors((p) => (p[name] ? { ...p, [name]: undefined } : p));
+  };
+
+  const pickSlot = (s) => {
+    setSlot(s);
+    setStatus("idle");
+    setErrors((p) => (p.slot ? { ...p, slot: undefined } : p));
+  };
+
+  const describe = (name) => ({
+    "aria-invalid": errors[name] ? true : undefined,
+    "aria-describedby": errors[name] ? `b-${name}-error` : undefined,
+  });
+
+  const fieldError = (name) =>
+    errors[name] ? (
+      <span id={`b-${name}-error`} className="booking-field-error">
+        {errors[name]}
+      </span>
+    ) : null;
+
+  const downloadIcs = () =>
+    downloadInvite({
+      ...booking,
+      siteName: import.meta.env.VITE_SITE_NAME || "Portfolio",
+      siteUrl: window.location.origin,
+    });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const elapsed = Date.now() - openedAtRef.current;
+    const isBot = honeypot.trim().length > 0 || elapsed < 1200;
+
+    if (isBot) {
+      setStatus("success");
+      setFormState(EMPTY_FORM);
+      setSlot(null);
+      setHoneypot("");
+      return;
+    }
+
+    const payload = {
+      ...formState,
+      slot: slot?.start || "",
+      duration: BOOKING_MINUTES,
+      timeZone,
+    };
+    const invalid = validateMessage("booking", payload);
+    if (invalid) {
+      setErrors(invalid);
+      setStatus("idle");
+      const first = Object.keys(invalid)[0];
+      const selector = first === "slot" ? ".booking-slot" : `[name="${first}"]`;
+      formRef.current?.querySelector(selector)?.focus();
+      return;
+    }
+
+    setStatus("submitting");
+    try {
+      if (!onSubmit) throw new Error("BookingCalendar missing onSubmit");
+      const pow = await proofOfWork.take();
+      const res = await onSubmit(pow ? { ...payload, pow } : payload);
+      if (res && res.ok === false && !res.queued) {
+        throw new Error("Message provider returned ok=false");
+      }
+
+      // Queued in the outbox: safe to clear, it is sent once back online.
+      setStatus(res?.queued ? "queued" : "success");
+      setBooking({ ...slot, name: formState.name, reference: res?.reference });
+      // Not offered again in this session.
+      bookedRef.current.add(slot.start);
+      setSlots((p) => p.filter((s) => s.start !== slot.start));
+      setSlot(null);
+      setFormState(EMPTY_FORM);
+      setHoneypot("");
+      cooldown.start(getCooldown("booking"));
+    } catch (err) {
+      if (err?.code === "duplicate" || err?.code === "rate_limited") {
+        setStatus(err.code);
+        setBooking(err.reference ? { ...slot, reference: err.reference } : null);
+        if (err.code === "rate_limited") cooldown.start(err.retryAfterMs);
+        return;
+      }
+      // Server-side rule failures come back per field as well.
+      if (err?.fields) setErrors(err.fields);
+      setStatus("error");
+    }
+  };
+
+  return createPortal(
+    <div
+      ref={overlayRef}
+      className="booking-modal-overlay"
+      onClick={(e) => {
+        if (e.target === overlayRef.current) onClose?.();
+      }}
+      aria-modal="true"
+      role="dialog"
+      aria-labelledby="booking-modal-title"
+    >
+      <div className="booking-modal">
+        <header className="booking-modal-header">
+          <h3 id="booking-modal-title">Book a Discovery Call</h3>
+          <button className="booking-modal-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </header>
+
+        <p className="booking-intro">
+          {BOOKING_MINUTES} minutes to talk through your network or project. Times are shown in{" "}
+          <strong>{timeZone.replace(/_/g, " ")}</strong>.
+        </p>
+
+        <form ref={formRef} onSubmit={handleSubmit} noValidate>
+          {/* Honeypot */}
+          <div
+            style={{
+              position: "absolute",
+              left: "-10000px",
+              top: "auto",
+              width: "1px",
+              height: "1px",
+              overflow: "hidden",
+            }}
+            aria-hidden="true"
+          >
+            <label htmlFor="bk-website">Website</label>
+            <input
+              id="bk-website"
+              name="website"
+              type="text"
+              tabIndex={-1}
+              autoComplete="off"
+              value={honeypot}
+              onChange={(e) => setHoneypot(e.target.value)}
+            />
+          </div>
+
+          {/* ===== AVAILABILITY ===== */}
+          {slots === null && (
+            <p className="booking-note" role="status">
+              Loading availability…
+            </p>
+          )}
+
+          {loadFailed && (
+            <p className="booking-note" role="alert">
+              Availability couldn't be loaded. Please use the contact form and suggest a time.
+            </p>
+          )}
+
+          {slots && !loadFailed && !days.length && (
+            <p className="booking-note">
+              No open slots in the coming weeks. Please use the contact form and suggest a time.
+            </p>
+          )}
+
+          {activeDay && (
+            <>
+              <div className="booking-days" role="group" aria-label="Day">
+                {days.map((d) => (
+                  <button
+                    key={d.key}
+                    type="button"
+                    className="booking-day cursor-target"
+                    aria-pressed={d.key === activeDay.key}
+                    onClick={() => setDay(d.key)}
+                  >
+                    {d.label}
+                  </button>
+                ))}
+              </div>
+
+              <div
+                className="booking-slots"
+                role="group"
+                aria-label={`Times on ${activeDay.label}`}
+                {...describe("slot")}
+              >
+                {activeDay.slots.map((s) => (
+                  <button
+                    key={s.start}
+                    type="button"
+                    className="booking-slot cursor-target"
+                    aria-pressed={slot?.start === s.start}
+                    onClick={() => pickSlot(s)}
+                  >
+                    {format.time.format(new Date(s.start))}
+                  </button>
+                ))}
+              </div>
+              {fieldError("slot")}
+            </>
+          )}
+
+          {/* ===== DETAILS ===== */}
+          <div className="booking-form-grid">
+            <div className="booking-field">
+              <label htmlFor="b-name">Name</label>
+              <input
+                id="b-name"
+                {...describe("name")}
+                name="name"
+                type="text"
+                autoComplete="name"
+                value={formState.name}
+                onChange={handleChange}
+                required
+              />
+              {fieldError("name")}
+            </div>
+
+            <div className="booking-field">
+              <label htmlFor="b-email">Email</label>
+              <input
+                id="b-email"
+                {...describe("email")}
+                name="email"
+                type="email"
+                autoComplete="email"
+                value={formState.email}
+                onChange={handleChange}
+                required
+              />
+              {fieldError("email")}
+            </div>
+
+            <div className="booking-field booking-field-full">
+              <label htmlFor="b-message">What would you like to cover? (optional)</label>
+              <textarea
+                id="b-message"
+                {...describe("message")}
+                name="message"
+                rows={3}
+                value={formState.message}
+                onChange={handleChange}
+              />
+              {fieldError("message")}
+            </div>
+          </div>
+
+          <div className="booking-actions">
+            <button
+              type="submit"
+              className="booking-submit-btn cursor-target"
+              disabled={status === "submitting" || cooldown.seconds > 0 || loadFailed}
+            >
+              {status === "submitting"
+                ? "Requesting…"
+                : cooldown.seconds > 0
+                  ? `Request again in ${cooldown.seconds}s`
+                  : slot
+                    ? `Request ${when(slot)}`
+                    : "Request call"}
+            </button>
+
+            {(status === "success" || status === "queued") && (
+              <span className={`booking-status ${status}`} role="status">
+                {status === "queued"
+                  ? "Request queued — it will send when you're back online."
+                  : "Call requested — you'll get a confirmation by email."}
+                {booking?.reference && <> Reference: <strong>{booking.reference}</strong></>}
+              </span>
+            )}
+
+            {status === "duplicate" && (
+              <span className="booking-status queued" role="status">
+                You already requested this call.
+                {booking?.reference && <> Reference: <strong>{booking.reference}</strong></>}
+              </span>
+            )}
+
+            {status === "rate_limited" && (
+              <span className="booking-status queued" role="status">
+                That's a lot of requests at once — please wait a moment before sending another.
+              </span>
+            )}
+
+            {booking?.start && (status === "success" || status === "queued") && (
+              <button
+                type="button"
+                className="booking-invite-btn cursor-target"
+                onClick={downloadIcs}
+              >
+                Add {when(booking)} to your calendar (.ics)
+              </button>
+            )}
+
+            {status === "error" && (
+              <span className="booking-status error">Something went wrong. Please try again.</span>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>,
+    document.body
+  );
+}
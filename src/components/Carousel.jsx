@@ -188,16 +188,22 @@ export default function Carousel({
         <div className="carousel__track">
           {rendered.map((item, idx) => {
             const isVideo = item.type === "video";
+            // Only the middle copy is announced; the copies either side exist to make the
+            // loop seamless and stay out of the accessibility tree and the heading outline.
+            const isClone = baseCount > 1 && (idx < baseCount || idx >= baseCount * 2);
+            const Title = isClone ? "div" : "h4";
 
             return (
               <article
                 key={`${item.id || item.title || "item"}-${idx}`}
                 className="carousel-card"
+                aria-hidden={isClone || undefined}
                 ref={(el) => (itemRefs.current[idx] = el)}
               >
                 <button
                   type="button"
                   className="carousel-card__link cursor-target"
+                  tabIndex={isClone ? -1 : undefined}
                   onClick={(e) => {
                     e.preventDefault();
                     if (typeof item.onClick === "function") {
@@ -226,7 +232,7 @@ export default function Carousel({
                   </div>
 
                   <div className="carousel-card__body">
-                    <h4 className="carousel-card__title">{item.title}</h4>
+                    <Title className="carousel-card__title">{item.title}</Title>
                     {item.caption ? (
                       <p className="carousel-card__caption">{item.caption}</p>
                     ) : null}
@@ -1,4 +1,10 @@
 import { useRef, useState } from "react";
+import { validateMessage } from "../services/messaging/validation";
+import { getCooldown } from "../services/messaging/throttle";
+import { useProofOfWork } from "../hooks/useProofOfWork";
+import { useCooldown } from "../hooks/useCooldown";
+import { useDraft } from "../hooks/useDraft";
+import { loadDraft } from "../services/drafts";
 import "./ContactForm.css";
 
 const EMPTY_FORM = {
@@ -15,17 +21,55 @@ export default function ContactForm({
   variant = "footer", // "footer" | "page"
   onSubmit,
 }) {
-  const [formState, setFormState] = useState(EMPTY_FORM);
+  // Unsent answers are autosaved per variant and restored on the next visit.
+  const draftName = `contact-${variant}`;
+  const [formState, setFormState] = useState(() => ({
+    ...EMPTY_FORM,
+    ...loadDraft(draftName)?.data,
+  }));
+  const draft = useDraft(draftName, formState);
   const [status, setStatus] = useState("idle");
+  // Reference of the last submission, quoted back so follow-ups can be matched.
+  const [reference, setReference] = useState("");
+  const [errors, setErrors] = useState({});
 
   const [honeypot, setHoneypot] = useState("");
   const mountedAtRef = useRef(Date.now());
+  // Solved in a worker while the visitor types; sent as `pow`.
+  const proofOfWork = useProofOfWork();
+  // Resumes after a reload: the messaging layer keeps its throttle per session.
+  const cooldown = useCooldown(() => getCooldown("contact"));
 
   const handleChange = (e) => {
     const { name, value } = e.target;
+    proofOfWork.start();
     setFormState((p) => ({ ...p, [name]: value }));
+    setErrors((p) => (p[name] ? { ...p, [name]: undefined } : p));
   };
 
+  const clearDraft = () => {
+    draft.clear();
+    setFormState(EMPTY_FORM);
+    setErrors({});
+    setStatus("idle");
+  };
+
+  const fieldProps = (name) => ({
+    id: `cf-${name}`,
+    name,
+    value: formState[name],
+    onChange: handleChange,
+    "aria-invalid": errors[name] ? true : undefined,
+    "aria-describedby": errors[name] ? `cf-${name}-error` : undefined,
+  });
+
+  const fieldError = (name) =>
+    errors[name] ? (
+      <span id={`cf-${name}-error`} className="field-error">
+        {errors[name]}
+      </span>
+    ) : null;
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -33,24 +77,50 @@ export default function ContactForm({
     const isBot = honeypot.trim().length > 0 || elapsed < 1200;
 
     if (isBot) {
+      setReference("");
       setStatus("success");
+      draft.clear();
       setFormState(EMPTY_FORM);
       setHoneypot("");
       mountedAtRef.current = Date.now();
       return;
     }
 
+    const invalid = validateMessage("contact", formState);
+    if (invalid) {
+      setErrors(invalid);
+      setStatus("idle");
+      e.currentTarget.querySelector(`#cf-${Object.keys(invalid)[0]}`)?.focus();
+      return;
+    }
+
     setStatus("submitting");
     try {
       if (!onSubmit) throw new Error("ContactForm missing onSubmit");
-      const res = await onSubmit(formState);
-      if (res && res.ok === false) throw new Error("Message provider returned ok=false");
+      const pow = await proofOfWork.take();
+      const res = await onSubmit(pow ? { ...formState, pow } : formState);
+      if (res && res.ok === false && !res.queued) {
+        throw new Error("Message provider returned ok=false");
+      }
 
-      setStatus("success");
+      // Queued in the outbox: safe to clear, it is sent once back online.
+      setStatus(res?.queued ? "queued" : "success");
+      setReference(res?.reference || "");
+      // Dropped now, not by the autosave effect after the next render.
+      draft.clear();
       setFormState(EMPTY_FORM);
       setHoneypot("");
       mountedAtRef.current = Date.now();
-    } catch {
+      cooldown.start(getCooldown("contact"));
+    } catch (err) {
+      if (err?.code === "duplicate" || err?.code === "rate_limited") {
+        setStatus(err.code);
+        setReference(err.reference || "");
+        if (err.code === "rate_limited") cooldown.start(err.retryAfterMs);
+        return;
+      }
+      // Server-side rule failures come back per field as well.
+      if (err?.fields) setErrors(err.fields);
       setStatus("error");
     }
   };
@@ -90,60 +160,104 @@ export default function ContactForm({
         {/* Recessed tray */}
         <div className="contact-tray">
           <div className="form-grid">
-            <input
-              name="name"
-              type="text"
-              placeholder="Name"
-              value={formState.name}
-              onChange={handleChange}
-              required
-            />
-
-            <input
-              name="email"
-              type="email"
-              placeholder="Email"
-              value={formState.email}
-              onChange={handleChange}
-              required
-            />
+            <div className="form-field">
+              <input
+                {...fieldProps("name")}
+                type="text"
+                placeholder="Name"
+                aria-label="Name"
+                autoComplete="name"
+                required
+              />
+              {fieldError("name")}
+            </div>
+
+            <div className="form-field">
+              <input
+                {...fieldProps("email")}
+                type="email"
+                placeholder="Email"
+                aria-label="Email"
+                autoComplete="email"
+                required
+              />
+              {fieldError("email")}
+            </div>
 
             {showServiceSelect && (
-              <select
-                name="service"
-                className="cursor-target"
-                value={formState.service}
-                onChange={handleChange}
-              >
-                <option value="">Service (optional)</option>
-                <option value="network">Network Architecture</option>
-                <option value="security">Security Hardening</option>
-                <option value="consulting">Consulting</option>
-                <option value="web">Web / App</option>
-              </select>
+              <div className="form-field">
+                <select
+                  {...fieldProps("service")}
+                  className="cursor-target"
+                  aria-label="Service"
+                >
+                  <option value="">Service (optional)</option>
+                  <option value="network">Network Architecture</option>
+                  <option value="security">Security Hardening</option>
+                  <option value="consulting">Consulting</option>
+                  <option value="web">Web / App</option>
+                </select>
+                {fieldError("service")}
+              </div>
             )}
 
-            <textarea
-              name="message"
-              placeholder="Short project summary"
-              rows={variant === "footer" ? 3 : 5}
-              value={formState.message}
-              onChange={handleChange}
-              required
-            />
+            <div className="form-field form-field--full">
+              <textarea
+                {...fieldProps("message")}
+                placeholder="Short project summary"
+                aria-label="Message"
+                rows={variant === "footer" ? 3 : 5}
+                required
+              />
+              {fieldError("message")}
+            </div>
           </div>
         </div>
 
+        {draft.saved && (
+          <p className="form-draft">
+            Draft saved on this device.{" "}
+            <button type="button" className="form-draft-clear cursor-target" onClick={clearDraft}>
+              Clear draft
+            </button>
+          </p>
+        )}
+
         <div className="form-actions">
           <button
             type="submit"
             className="contact-submit-btn cursor-target"
-            disabled={status === "submitting"}
+            disabled={status === "submitting" || cooldown.seconds > 0}
           >
-            {status === "submitting" ? "Sending…" : "Send Message"}
+            {status === "submitting"
+              ? "Sending…"
+              : cooldown.seconds > 0
+                ? `Send again in ${cooldown.seconds}s`
+                : "Send Message"}
           </button>
 
-          {status === "success" && <span className="form-status success">Message sent.</span>}
+          {status === "success" && (
+            <span className="form-status success" role="status">
+              Message sent.{reference && <> Reference: <strong>{reference}</strong></>}
+            </span>
+          )}
+          {status === "queued" && (
+            <span className="form-status queued" role="status">
+              Queued — will send when you're back online.
+              {reference && <> Reference: <strong>{reference}</strong></>}
+            </span>
+          )}
+          {status === "duplicate" && (
+            <span className="form-status queued" role="status">
+              You already sent this message.
+              {reference && <> Reference: <strong>{reference}</strong></>}
+            </span>
+          )}
+          {status === "rate_limited" && (
+            <span className="form-status queued" role="status">
+              That's a lot of messages at once — please wait a moment before sending another.
+            </span>
+          )}
           {status === "error" && <span className="form-status error">Submission failed.</span>}
         </div>
       </form>
@@ -0,0 +1,122 @@
+/**
+ * ContactSheet
+ * --------------------------------------------------
+ * Modal with the owner's contact card: a QR code that
+ * phones can scan to save it, the same vCard as a .vcf
+ * download, a direct email link and a shortcut to the
+ * quote modal.
+ */
+
+import { useEffect, useMemo, useRef } from "react";
+import { createPortal } from "react-dom";
+import { contactCard } from "../content";
+import { buildVCard, downloadVCard } from "../services/vcard";
+import { encodeQr, qrSvgPath } from "../services/qr";
+import "./ContactSheet.css";
+
+const QR_MARGIN = 4;
+
+export default function ContactSheet({
+  open = false,
+  card = contactCard,
+  onClose,
+  onRequestQuote,
+}) {
+  const overlayRef = useRef(null);
+
+  // Encoded on open: the sheet is mounted closed on every page that links to it.
+  const qr = useMemo(() => {
+    if (!open) return null;
+    const code = encodeQr(buildVCard(card));
+    return { size: code.size + QR_MARGIN * 2, path: qrSvgPath(code, QR_MARGIN) };
+  }, [open, card]);
+
+  useEffect(() => {
+    if (!open) return;
+
+    const onKey = (e) => {
+      if (e.key === "Escape") onClose?.();
+    };
+
+    document.addEventListener("keydown", onKey);
+    document.body.style.overflow = "hidden";
+
+    return () => {
+      document.removeEventListener("keydown", onKey);
+      document.body.style.overflow = "";
+    };
+  }, [open, onClose]);
+
+  if (!open) return null;
+
+  const requestQuote = () => {
+    onClose?.();
+    onRequestQuote?.();
+  };
+
+  return createPortal(
+    <div
+      ref={overlayRef}
+      className="contact-sheet-overlay"
+      onClick={(e) => {
+        if (e.target === overlayRef.current) onClose?.();
+      }}
+      aria-modal="true"
+      role="dialog"
+      aria-labelledby="contact-sheet-title"
+    >
+      <div className="contact-sheet">
+        <header className="contact-sheet-header">
+          <h3 id="contact-sheet-title">{card.name}</h3>
+          <button className="contact-sheet-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </header>
+
+        {card.title && <p className="contact-sheet-title">{card.title}</p>}
+
+        {/* ===== QR ===== */}
+        <figure className="contact-sheet-qr">
+          <svg
+            role="img"
+            aria-label={`QR code with the contact card for ${card.name}`}
+            viewBox={`0 0 ${qr.size} ${qr.size}`}
+            shapeRendering="crispEdges"
+          >
+            <rect width={qr.size} height={qr.size} fill="#fff" />
+            <path d={qr.path} fill="#000" />
+          </svg>
+          <figcaption>Scan with your phone's camera to save the contact.</figcaption>
+        </figure>
+
+        {/* ===== ACTIONS ===== */}
+        <div className="contact-sheet-actions">
+          <button
+            type="button"
+            className="contact-sheet-btn primary cursor-target"
+            onClick={() => downloadVCard(card)}
+          >
+            Download vCard (.vcf)
+          </button>
+
+          {card.email && (
+            <a className="contact-sheet-btn cursor-target" href={`mailto:${card.email}`}>
+              Email {card.email}
+            </a>
+          )}
+
+          {onRequestQuote && (
+            <button
+              type="button"
+              className="contact-sheet-btn cursor-target"
+              onClick={requestQuote}
+            >
+              Request a Quote
+            </button>
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
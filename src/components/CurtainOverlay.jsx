@@ -1,9 +1,17 @@
 import { useEffect, useRef } from "react";
 import gsap from "gsap";
+import { useMotionPreferences } from "../hooks/useMotionPreferences";
 import "./CurtainOverlay.css";
 
 export default function CurtainOverlay({ phase, onStartReveal, onComplete }) {
   const hasPlayedRef = useRef(false);
+  const animated = useMotionPreferences().effects.transitions;
+  // Read once when the curtains open; a change mid-reveal must not restart it.
+  const animatedRef = useRef(animated);
+
+  useEffect(() => {
+    animatedRef.current = animated;
+  }, [animated]);
 
   useEffect(() => {
     // Always force closed state on mount
@@ -18,8 +26,13 @@ export default function CurtainOverlay({ phase, onStartReveal, onComplete }) {
 
     const tl = gsap.timeline({ defaults: { ease: "power4.inOut" } });
 
-    tl.to(".curtain-left", { x: "-115%", duration: 1.8 });
-    tl.to(".curtain-right", { x: "115%", duration: 1.8 }, "<");
+    if (animatedRef.current) {
+      tl.to(".curtain-left", { x: "-115%", duration: 1.8 });
+      tl.to(".curtain-right", { x: "115%", duration: 1.8 }, "<");
+    } else {
+      // Transitions off: a short fade instead of the slide.
+      tl.to(".curtain", { opacity: 0, duration: 0.4, ease: "none" });
+    }
 
     // Start site reveal shortly after motion begins
     tl.call(() => onStartReveal?.(), [], 0.35);
@@ -1,5 +1,6 @@
 import { useEffect, useState, useRef, useMemo, useCallback } from "react";
 import { motion } from "framer-motion";
+import { useMotionPreferences } from "../hooks/useMotionPreferences";
 
 const styles = {
   wrapper: { display: "inline-block", whiteSpace: "pre-wrap" },
@@ -49,6 +50,9 @@ export default function DecryptedText({
   const hasAnimatedRef = useRef(false);
   const revealableCountRef = useRef(0);
 
+  // Turned off in the motion preferences: plain text, no triggers.
+  const animated = useMotionPreferences().effects.decrypt;
+
   // Track text changes without synchronous setState in the effect body.
   useEffect(() => {
     revealableCountRef.current = text.split("").filter((c) => c !== " ").length;
@@ -180,7 +184,7 @@ export default function DecryptedText({
 
   // Explicit reveal (revealKey): pre-scramble immediately, then start
   useEffect(() => {
-    if (!revealKey) return;
+    if (!revealKey || !animated) return;
 
     if (viewTimerRef.current) clearTimeout(viewTimerRef.current);
 
@@ -194,11 +198,11 @@ export default function DecryptedText({
     return () => {
       if (viewTimerRef.current) clearTimeout(viewTimerRef.current);
     };
-  }, [revealKey, revealDelay, text, scrambleOnce]);
+  }, [revealKey, revealDelay, text, scrambleOnce, animated]);
 
   // View-based reveal (when no revealKey): pre-scramble on trigger
   useEffect(() => {
-    if (revealKey) return;
+    if (revealKey || !animated) return;
     if (animateOn !== "view" && animateOn !== "both") return;
 
     const el = containerRef.current;
@@ -265,11 +269,11 @@ export default function DecryptedText({
       if (panel) panel.removeEventListener("scroll", onDeckState);
       if (viewTimerRef.current) clearTimeout(viewTimerRef.current);
     };
-  }, [animateOn, text, revealDelay, revealKey, scrambleOnce]);
+  }, [animateOn, text, revealDelay, revealKey, scrambleOnce, animated]);
 
   // Hover support: pre-scramble immediately (no jump)
   const hoverProps =
-    animateOn === "hover" || animateOn === "both"
+    animated && (animateOn === "hover" || animateOn === "both")
       ? {
           onMouseEnter: () => {
             const empty = new Set();
@@ -281,6 +285,8 @@ export default function DecryptedText({
         }
       : {};
 
+  const shownText = animated ? displayText : text;
+
   return (
     <motion.span
       className={parentClassName}
@@ -289,12 +295,12 @@ export default function DecryptedText({
       {...hoverProps}
       {...props}
     >
-      <span style={styles.srOnly}>{displayText}</span>
+      <span style={styles.srOnly}>{shownText}</span>
 
       <span aria-hidden="true">
-        {displayText.split("").map((char, index) => {
+        {shownText.split("").map((char, index) => {
           const isRevealedOrDone =
-            revealedIndices.has(index) || !isScrambling || !isHovering;
+            !animated || revealedIndices.has(index) || !isScrambling || !isHovering;
 
           return (
             <span
@@ -16,6 +16,7 @@ function DockItem({
   magnification,
   baseItemSize,
   isActive,
+  ariaLabel,
 }) {
   const ref = useRef(null);
   const isHovered = useMotionValue(0);
@@ -56,6 +57,7 @@ function DockItem({
       tabIndex={0}
       role="button"
       aria-haspopup="true"
+      aria-label={ariaLabel}
       aria-current={isActive ? "page" : undefined}
     >
       {/* Smooth “moving active” indicator */}
@@ -182,6 +184,7 @@ export default function Dock({
           key={index}
           onClick={item.onClick}
           isActive={item.isActive}
+          ariaLabel={item.ariaLabel}
           className={item.isActive ? "active" : ""}
           mouseX={mouseX}
           spring={spring}
@@ -1,4 +1,6 @@
 import { useRef, useEffect } from "react";
+import { getTheme } from "../services/theme";
+import { useMotionPreferences } from "../hooks/useMotionPreferences";
 
 const LetterGlitch = ({
   theme = "night",
@@ -15,6 +17,9 @@ const LetterGlitch = ({
   const grid = useRef({ columns: 0, rows: 0 });
   const context = useRef(null);
 
+  // Off: one static frame, no animation loop.
+  const animated = useMotionPreferences().effects.glitch;
+
   // Keep as number (ms), but do NOT initialize with Date.now() (purity rule)
   const lastGlitchTime = useRef(0);
 
@@ -50,12 +55,8 @@ const LetterGlitch = ({
 
     const symbols = Array.from(characters);
 
-    const palettes = {
-      night: ["#2b4539", "#61dca3", "#61b3dc"],
-      day: ["#ff7b54", "#ffb347", "#e85d04"],
-    };
-
-    const colors = palettes[theme] ?? palettes.night;
+    // Palette per theme lives in the theme registry (content/themes.js).
+    const colors = getTheme(theme).glitch.colors;
 
     const getRandomChar = () =>
       symbols[Math.floor(Math.random() * symbols.length)];
@@ -179,11 +180,24 @@ const LetterGlitch = ({
     };
 
     resizeCanvas();
+
+    let resizeTimeout;
+    if (!animated) {
+      const handleResize = () => {
+        clearTimeout(resizeTimeout);
+        resizeTimeout = setTimeout(resizeCanvas, 100);
+      };
+      window.addEventListener("resize", handleResize);
+      return () => {
+        window.removeEventListener("resize", handleResize);
+        clearTimeout(resizeTimeout);
+      };
+    }
+
     // Reset time base whenever we re-initialize (theme/speed/characters changes)
     lastGlitchTime.current = 0;
     animationRef.current = requestAnimationFrame(animate);
 
-    let resizeTimeout;
     const handleResize = () => {
       clearTimeout(resizeTimeout);
       resizeTimeout = setTimeout(() => {
@@ -201,17 +215,16 @@ const LetterGlitch = ({
       window.removeEventListener("resize", handleResize);
       clearTimeout(resizeTimeout);
     };
-  }, [glitchSpeed, smooth, theme, characters]);
+  }, [glitchSpeed, smooth, theme, characters, animated]);
+
+  const glitch = getTheme(theme).glitch;
 
   const containerStyle = {
     position: "fixed",
     inset: 0,
     width: "100%",
     height: "100%",
-    background:
-      theme === "night"
-        ? "#000000"
-        : "linear-gradient(135deg, #fefefe 0%, #f5f5f5 100%)",
+    background: glitch.background,
     transition: "background 0.5s ease",
     overflow: "hidden",
     zIndex: 0,
@@ -222,8 +235,8 @@ const LetterGlitch = ({
     display: "block",
     width: "100%",
     height: "100%",
-    opacity: theme === "night" ? 0.22 : 0.4,
-    mixBlendMode: theme === "night" ? "screen" : "multiply",
+    opacity: glitch.opacity,
+    mixBlendMode: glitch.blendMode,
     transition: "opacity 0.5s ease, mix-blend-mode 0.5s ease",
   };
 
@@ -232,10 +245,7 @@ const LetterGlitch = ({
     position: "absolute",
     inset: 0,
     pointerEvents: "none",
-    background:
-      theme === "night"
-        ? "radial-gradient(circle, rgba(0,0,0,0) 60%, rgba(0,0,0,1) 100%)"
-        : "radial-gradient(circle, rgba(255,255,255,0) 60%, rgba(240,240,240,0.9) 100%)",
+    background: glitch.outerVignette,
     transition: "background 0.5s ease",
   };
 
@@ -243,10 +253,7 @@ const LetterGlitch = ({
     position: "absolute",
     inset: 0,
     pointerEvents: "none",
-    background:
-      theme === "night"
-        ? "radial-gradient(circle, rgba(0,0,0,0.8) 0%, rgba(0,0,0,0) 60%)"
-        : "radial-gradient(circle, rgba(255,255,255,0.6) 0%, rgba(255,255,255,0) 60%)",
+    background: glitch.centerVignette,
     transition: "background 0.5s ease",
   };
 
@@ -0,0 +1,92 @@
+/**
+ * MotionPanel
+ * --------------------------------------------------
+ * Dialog for the motion preferences: a "reduce motion"
+ * switch (seeded from the system setting) and one
+ * toggle per animated effect. Changes apply at once.
+ */
+
+import { useEffect, useRef } from "react";
+import { createPortal } from "react-dom";
+import { useMotionPreferences } from "../hooks/useMotionPreferences";
+import { MOTION_EFFECTS, MOTION_EFFECT_LABELS } from "../services/motion";
+import "./MotionPanel.css";
+
+export default function MotionPanel({ open = false, onClose }) {
+  const overlayRef = useRef(null);
+  const { preferences, followsSystem, setPreference, reset } = useMotionPreferences();
+
+  useEffect(() => {
+    if (!open) return;
+
+    const onKey = (e) => {
+      if (e.key === "Escape") onClose?.();
+    };
+
+    document.addEventListener("keydown", onKey);
+    document.body.style.overflow = "hidden";
+
+    return () => {
+      document.removeEventListener("keydown", onKey);
+      document.body.style.overflow = "";
+    };
+  }, [open, onClose]);
+
+  if (!open) return null;
+
+  return createPortal(
+    <div
+      ref={overlayRef}
+      className="motion-panel-overlay"
+      onClick={(e) => {
+        if (e.target === overlayRef.current) onClose?.();
+      }}
+      aria-modal="true"
+      role="dialog"
+      aria-labelledby="motion-panel-title"
+    >
+      <div className="motion-panel">
+        <header className="motion-panel-header">
+          <h3 id="motion-panel-title">Motion</h3>
+          <button className="motion-panel-close" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </header>
+
+        {/* ===== MASTER SWITCH ===== */}
+        <label className="motion-option motion-option-main">
+          <input
+            type="checkbox"
+            checked={preferences.reduceMotion}
+            onChange={(e) => setPreference("reduceMotion", e.target.checked)}
+          />
+          <span>Reduce motion</span>
+        </label>
+        <p className="motion-note">
+          {followsSystem ? "Following your system setting." : "Saved on this device."}{" "}
+          {!followsSystem && (
+            <button type="button" className="motion-reset cursor-target" onClick={reset}>
+              Use system setting
+            </button>
+          )}
+        </p>
+
+        {/* ===== EFFECTS ===== */}
+        <fieldset className="motion-effects" disabled={preferences.reduceMotion}>
+          <legend>Effects</legend>
+          {MOTION_EFFECTS.map((key) => (
+            <label key={key} className="motion-option">
+              <input
+                type="checkbox"
+                checked={preferences[key] && !preferences.reduceMotion}
+                onChange={(e) => setPreference(key, e.target.checked)}
+              />
+              <span>{MOTION_EFFECT_LABELS[key]}</span>
+            </label>
+          ))}
+        </fieldset>
+      </div>
+    </div>,
+    document.body
+  );
+}
@@ -0,0 +1,62 @@
+/**
+ * MotionPreferencesProvider
+ * --------------------------------------------------
+ * Holds the visitor's motion preferences for the whole
+ * app (see services/motion). Follows
+ * `prefers-reduced-motion` live until the visitor
+ * changes a setting, then persists the full set.
+ */
+
+import { useCallback, useEffect, useMemo, useState, useSyncExternalStore } from "react";
+import { MotionPreferencesContext } from "../hooks/useMotionPreferences";
+import {
+  MOTION_STORAGE_KEY,
+  loadMotionPreferences,
+  prefersReducedMotion,
+  resolveMotion,
+  saveMotionPreferences,
+  subscribeReducedMotion,
+} from "../services/motion";
+
+export default function MotionPreferencesProvider({ children }) {
+  const [saved, setSaved] = useState(loadMotionPreferences);
+  const systemReduced = useSyncExternalStore(
+    subscribeReducedMotion,
+    prefersReducedMotion,
+    () => false
+  );
+
+  // Other tabs' choices are picked up too.
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === MOTION_STORAGE_KEY) setSaved(loadMotionPreferences());
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+
+  const resolved = useMemo(() => resolveMotion(saved, systemReduced), [saved, systemReduced]);
+
+  const setPreference = useCallback(
+    (key, value) => {
+      const next = { ...resolved.preferences, [key]: value };
+      saveMotionPreferences(next);
+      setSaved(next);
+    },
+    [resolved]
+  );
+
+  const reset = useCallback(() => {
+    saveMotionPreferences(null);
+    setSaved(null);
+  }, []);
+
+  const value = useMemo(
+    () => ({ ...resolved, setPreference, reset }),
+    [resolved, setPreference, reset]
+  );
+
+  return (
+    <MotionPreferencesContext.Provider value={value}>{children}</MotionPreferencesContext.Provider>
+  );
+}
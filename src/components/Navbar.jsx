@@ -6,17 +6,33 @@ import {
   FaTools,
   FaMoon,
   FaSun,
+  FaDesktop,
+  FaAdjust,
+  FaSlidersH,
 } from "react-icons/fa";
 
 import { useNavigate } from "react-router-dom";
 import { navigateAndScroll } from "../utils/scrollToSection";
+import { THEME_LABELS, nextThemePreference } from "../services/theme";
 
 import Dock from "./Dock";
 import "./Navbar.css";
 import "./Dock.css";
 import "./TargetCursor.css";
 
-export default function Navbar({ active, theme, onToggleTheme }) {
+// Themes without their own icon (see content/themes.js) share FaAdjust.
+const THEME_ICONS = {
+  system: <FaDesktop />,
+  night: <FaMoon />,
+  day: <FaSun />,
+};
+
+export default function Navbar({
+  active,
+  themePreference = "system",
+  onToggleTheme,
+  onOpenMotion,
+}) {
   const navigate = useNavigate();
 
   const navItems = [
@@ -67,18 +83,32 @@ export default function Navbar({ active, theme, onToggleTheme }) {
     },
   ];
 
+  // Shows the current preference; each click moves to the next one.
   const themeToggle = {
     key: "Theme",
-    icon: theme === "night" ? <FaSun /> : <FaMoon />,
-    label: "Theme",
+    icon: THEME_ICONS[themePreference] ?? <FaAdjust />,
+    label: `Theme: ${THEME_LABELS[themePreference]}`,
+    ariaLabel: `Theme: ${THEME_LABELS[themePreference]}. Switch to ${
+      THEME_LABELS[nextThemePreference(themePreference)]
+    }`,
     onClick: onToggleTheme,
     isActive: false,
   };
 
+  // Opens the motion preferences panel (see MotionPanel).
+  const motionToggle = {
+    key: "Motion",
+    icon: <FaSlidersH />,
+    label: "Motion",
+    ariaLabel: "Motion preferences",
+    onClick: onOpenMotion,
+    isActive: false,
+  };
+
   return (
     <nav className="navbar-shell" aria-label="Primary navigation">
       <Dock
-        items={[...navItems, themeToggle]}
+        items={[...navItems, themeToggle, motionToggle]}
         panelHeight={64}
         baseItemSize={44}
         magnification={72}
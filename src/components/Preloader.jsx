@@ -1,5 +1,6 @@
 import { useEffect, useRef } from "react";
 import gsap from "gsap";
+import { useMotionPreferences } from "../hooks/useMotionPreferences";
 import "./Preloader.css";
 
 /* =====================================================
@@ -9,10 +10,12 @@ const TOTAL_PULSES = 5;
 const PULSE_DURATION = 0.6;
 const TOTAL_PULSE_TIME = TOTAL_PULSES * PULSE_DURATION * 2;
 
-export default function Preloader({ onComplete }) {
+export default function Preloader({ onComplete, onSkip }) {
   const containerRef = useRef(null);
   const titleRef = useRef(null);
   const progressRef = useRef(null);
+  const skipRef = useRef(null);
+  const animated = useMotionPreferences().effects.transitions;
 
   useEffect(() => {
     const container = containerRef.current;
@@ -36,6 +39,18 @@ export default function Preloader({ onComplete }) {
     gsap.set(container, { opacity: 1 });
     gsap.set(titleRef.current, { opacity: 0, scale: 0.95 });
 
+    /* =========================================
+       TRANSITIONS OFF: NO PULSES, SHORT HOLD
+       ========================================= */
+    if (!animated) {
+      gsap.set(titleRef.current, { opacity: 1, scale: 1 });
+      if (progressRef.current) progressRef.current.textContent = "100%";
+
+      tl.to(container, { opacity: 0, duration: 0.3, delay: 0.4 });
+      tl.call(() => onComplete?.());
+      return () => tl.kill();
+    }
+
     /* =========================================
        TITLE PULSES (LOCAL THEME TOGGLE)
        ========================================= */
@@ -94,7 +109,22 @@ export default function Preloader({ onComplete }) {
     });
 
     return () => tl.kill();
-  }, [onComplete]);
+  }, [onComplete, animated]);
+
+  /* =========================================
+     SKIP INTRO (BUTTON IS FOCUSED; ESC WORKS TOO)
+     ========================================= */
+  useEffect(() => {
+    if (!onSkip) return;
+
+    skipRef.current?.focus();
+
+    const onKey = (e) => {
+      if (e.key === "Escape") onSkip();
+    };
+    document.addEventListener("keydown", onKey);
+    return () => document.removeEventListener("keydown", onKey);
+  }, [onSkip]);
 
   return (
     <div className="preloader" ref={containerRef}>
@@ -105,6 +135,17 @@ export default function Preloader({ onComplete }) {
       <div className="preloader-progress">
         loading… <span ref={progressRef}>0%</span>
       </div>
+
+      {onSkip && (
+        <button
+          ref={skipRef}
+          type="button"
+          className="preloader-skip cursor-target"
+          onClick={onSkip}
+        >
+          Skip intro
+        </button>
+      )}
     </div>
   );
 }
@@ -0,0 +1,139 @@
+/**
+ * PriceEstimator
+ * --------------------------------------------------
+ * Terminal-styled estimator under the Services grid.
+ * Pricing rules come from the Services catalogue; the
+ * chosen configuration can pre-fill the quote wizard.
+ */
+
+import { useId, useMemo, useState } from "react";
+import { services } from "../content";
+import { budgetFor, estimatePrice, formatEstimate } from "../services/pricing";
+import "./PriceEstimator.css";
+
+// Whole numbers from 1; blank, 0 or junk count as 1. The estimate and the
+// quote pre-fill both use this, so they always describe the same scope.
+const toCount = (value) => Math.max(1, Math.floor(Number(value)) || 1);
+
+export default function PriceEstimator({ onRequestQuote }) {
+  const uid = useId();
+  const [serviceIdx, setServiceIdx] = useState(0);
+  const [sites, setSites] = useState("1");
+  const [devices, setDevices] = useState("10");
+  const [rush, setRush] = useState(false);
+
+  const service = services[serviceIdx];
+  const siteCount = toCount(sites);
+  const deviceCount = toCount(devices);
+  const estimate = useMemo(
+    () => estimatePrice(service.pricing, { sites: siteCount, devices: deviceCount, rush }),
+    [service, siteCount, deviceCount, rush]
+  );
+  const label = formatEstimate(estimate);
+
+  const requestQuote = () => {
+    onRequestQuote?.(service.title, {
+      sites: String(siteCount),
+      endpoints: String(deviceCount),
+      timeline: rush ? "asap" : "",
+      budget: budgetFor(estimate),
+      estimate: label,
+    });
+  };
+
+  return (
+    <section className="service-terminal-card price-estimator" aria-labelledby={`${uid}-title`}>
+      {/* ===== TERMINAL BAR ===== */}
+      <div className="service-terminalbar" aria-hidden="true">
+        <div className="term-dots">
+          <span className="term-dot dot-red" />
+          <span className="term-dot dot-yellow" />
+          <span className="term-dot dot-green" />
+        </div>
+        <div className="term-label">neteng@lab:~/services$ ./estimate</div>
+        <div className="term-spacer" />
+        <div className="term-badge">est</div>
+      </div>
+
+      <div className="term-body">
+        <h2 id={`${uid}-title`} className="estimator-title">
+          Price Estimator
+        </h2>
+
+        {/* ===== OPTIONS ===== */}
+        <div className="estimator-grid">
+          <label className="estimator-field estimator-field--full">
+            <span>Service</span>
+            <select
+              className="cursor-target"
+              value={serviceIdx}
+              onChange={(e) => setServiceIdx(Number(e.target.value))}
+            >
+              {services.map((s, i) => (
+                <option key={s.title} value={i}>
+                  {s.title}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <label className="estimator-field">
+            <span>Sites</span>
+            <input
+              type="number"
+              inputMode="numeric"
+              min={1}
+              value={sites}
+              onChange={(e) => setSites(e.target.value)}
+              onBlur={() => setSites(String(siteCount))}
+            />
+          </label>
+
+          <label className="estimator-field">
+            <span>Users / Endpoints</span>
+            <input
+              type="number"
+              inputMode="numeric"
+              min={1}
+              value={devices}
+              onChange={(e) => setDevices(e.target.value)}
+              onBlur={() => setDevices(String(deviceCount))}
+            />
+          </label>
+
+          <label className="estimator-check cursor-target">
+            <input type="checkbox" checked={rush} onChange={(e) => setRush(e.target.checked)} />
+            <span>Rush delivery (×{service.pricing.rushMultiplier})</span>
+          </label>
+        </div>
+
+        {/* ===== RESULT ===== */}
+        <div className="estimator-result">
+          <span className="cmd-prefix">&gt;</span>
+          <span className="out-key">estimate --range</span>
+          <output className="estimator-value" aria-live="polite">
+            {label}
+          </output>
+          <p className="estimator-note">
+            Indicative only — the final quote depends on a short scoping call.
+          </p>
+        </div>
+
+        <div className="term-actions">
+          <button type="button" className="term-btn cursor-target" onClick={requestQuote}>
+            <span className="btn-row">
+              <span className="cmd-prefix">&gt;</span>
+              <span className="btn-cmd">request-quote --with-estimate</span>
+            </span>
+            <span className="btn-row btn-row--val">
+              <span className="pipe-prefix" aria-hidden="true">
+                |
+              </span>
+              <span className="btn-val">"{label}"</span>
+            </span>
+          </button>
+        </div>
+      </div>
+    </section>
+  );
+}
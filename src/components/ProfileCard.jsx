@@ -18,6 +18,7 @@ const adjust = (v, fMin, fMax, tMin, tMax) =>
 
 const ProfileCardComponent = ({
   avatarUrl = '<Placeholder for avatar URL>',
+  miniAvatarUrl,
   iconUrl = '<Placeholder for icon URL>',
   grainUrl = '<Placeholder for grain URL>',
   innerGradient,
@@ -29,13 +30,19 @@ const ProfileCardComponent = ({
   enableMobileTilt = false,
   mobileTiltSensitivity = 5,
   name = 'Javi A. Torres',
-  title = 'Software Engineer'
+  title = 'Software Engineer',
+  handle = 'javicodes',
+  status = 'Online',
+  contactText = 'Contact',
+  showUserInfo = true,
+  onContactClick
 }) => {
   const wrapRef = useRef(null);
   const shellRef = useRef(null);
 
-  const [theme, setTheme] = useState(
-    document.documentElement.getAttribute('data-theme') || 'night'
+  // Light/dark family of the active theme (see content/themes.js).
+  const [scheme, setScheme] = useState(
+    document.documentElement.getAttribute('data-scheme') || 'dark'
   );
 
   /* =====================================================
@@ -53,20 +60,20 @@ const ProfileCardComponent = ({
 
   useEffect(() => {
     const observer = new MutationObserver(() => {
-      const newTheme = document.documentElement.getAttribute('data-theme');
-      setTheme(newTheme);
+      const newScheme = document.documentElement.getAttribute('data-scheme');
+      setScheme(newScheme);
     });
 
     observer.observe(document.documentElement, {
       attributes: true,
-      attributeFilter: ['data-theme']
+      attributeFilter: ['data-scheme']
     });
 
     return () => observer.disconnect();
   }, []);
 
   const avatarFilter =
-    theme === 'night' ? 'grayscale(100%) contrast(1.2)' : 'none';
+    scheme === 'dark' ? 'grayscale(100%) contrast(1.2)' : 'none';
 
   const enterTimerRef = useRef(null);
   const leaveRafRef = useRef(null);
@@ -399,6 +406,35 @@ const ProfileCardComponent = ({
                   e.target.style.display = 'none';
                 }}
               />
+
+              {showUserInfo && (
+                <div className="pc-user-info">
+                  <div className="pc-user-details">
+                    <div className="pc-mini-avatar">
+                      <img
+                        src={miniAvatarUrl || avatarUrl}
+                        alt=""
+                        loading="lazy"
+                        onError={e => {
+                          e.target.style.display = 'none';
+                        }}
+                      />
+                    </div>
+                    <div className="pc-user-text">
+                      <div className="pc-handle">@{handle}</div>
+                      <div className="pc-status">{status}</div>
+                    </div>
+                  </div>
+                  <button
+                    className="pc-contact-btn cursor-target"
+                    onClick={() => onContactClick?.()}
+                    type="button"
+                    aria-label={`Contact ${name || 'user'}`}
+                  >
+                    {contactText}
+                  </button>
+                </div>
+              )}
             </div>
 
             <div className="pc-content">
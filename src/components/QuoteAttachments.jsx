@@ -0,0 +1,186 @@
+/**
+ * QuoteAttachments
+ * --------------------------------------------------
+ * Drag-and-drop (or browse) file picker for the quote
+ * wizard: network diagrams, sanitized configs, PDFs.
+ * Files are checked against the shared attachment rules,
+ * read to base64 and previewed before sending.
+ */
+
+import { useId, useState } from "react";
+import {
+  ATTACHMENT_EXTENSIONS,
+  LIMITS,
+  attachmentType,
+  base64Bytes,
+} from "../services/messaging/validation";
+import "./QuoteAttachments.css";
+
+// One slot and some room stay free for the optional PDF summary.
+const MAX_QUOTE_FILES = LIMITS.attachments - 1;
+const MAX_QUOTE_BYTES = LIMITS.attachmentTotalBytes - LIMITS.summaryBytes;
+
+const ACCEPT = Object.keys(ATTACHMENT_EXTENSIONS)
+  .map((ext) => `.${ext}`)
+  .join(",");
+
+const PREVIEW_LINES = 6;
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function readAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+function textPreview(content) {
+  try {
+    const bytes = Uint8Array.from(atob(content), (c) => c.charCodeAt(0));
+    return new TextDecoder().decode(bytes).split(/\r?\n/).slice(0, PREVIEW_LINES).join("\n");
+  } catch {
+    return "";
+  }
+}
+
+/* ===== PREVIEW ===== */
+function Preview({ file }) {
+  if (file.contentType.startsWith("image/")) {
+    return (
+      <img
+        className="quote-file-thumb"
+        src={`data:${file.contentType};base64,${file.content}`}
+        alt=""
+      />
+    );
+  }
+  if (file.contentType === "text/plain") {
+    return <pre className="quote-file-text">{textPreview(file.content)}</pre>;
+  }
+  return (
+    <span className="quote-file-badge" aria-hidden="true">
+      {file.filename.split(".").pop().toUpperCase()}
+    </span>
+  );
+}
+
+export default function QuoteAttachments({ files, onChange, disabled = false, error }) {
+  const uid = useId();
+  const [dragging, setDragging] = useState(false);
+  const [problems, setProblems] = useState([]);
+
+  const addFiles = async (list) => {
+    const next = [...files];
+    const rejected = [];
+    let total = files.reduce((sum, f) => sum + base64Bytes(f.content), 0);
+
+    for (const file of list) {
+      const contentType = attachmentType(file.name);
+      if (!contentType) {
+        rejected.push(`${file.name}: this file type is not accepted.`);
+      } else if (file.size > LIMITS.attachmentBytes) {
+        rejected.push(`${file.name}: larger than ${formatBytes(LIMITS.attachmentBytes)}.`);
+      } else if (total + file.size > MAX_QUOTE_BYTES) {
+        rejected.push(`${file.name}: files may total ${formatBytes(MAX_QUOTE_BYTES)}.`);
+      } else if (next.length >= MAX_QUOTE_FILES) {
+        rejected.push(`${file.name}: at most ${MAX_QUOTE_FILES} files.`);
+      } else if (next.some((f) => f.filename === file.name)) {
+        rejected.push(`${file.name}: already attached.`);
+      } else {
+        next.push({ filename: file.name, contentType, content: await readAsBase64(file) });
+        total += file.size;
+      }
+    }
+
+    setProblems(rejected);
+    onChange(next);
+  };
+
+  const remove = (filename) => {
+    setProblems([]);
+    onChange(files.filter((f) => f.filename !== filename));
+  };
+
+  const onDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (!disabled) addFiles([...e.dataTransfer.files]);
+  };
+
+  const messages = [...problems, ...(error ? [error] : [])];
+
+  return (
+    <div className="quote-field quote-field-full quote-attachments">
+      {/* ===== DROPZONE ===== */}
+      <label
+        htmlFor={`${uid}-input`}
+        className={`quote-dropzone cursor-target${dragging ? " is-dragging" : ""}${
+          disabled ? " is-disabled" : ""
+        }`}
+        onDragOver={(e) => {
+          e.preventDefault();
+          if (!disabled) setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={onDrop}
+      >
+        <span className="quote-dropzone-title">Attachments (optional)</span>
+        <span className="quote-dropzone-hint">
+          Drop diagrams or sanitized configs here, or browse. Visio, draw.io, PDF, PNG/JPG,
+          TXT/CFG — up to {formatBytes(LIMITS.attachmentBytes)} each.
+        </span>
+        <input
+          id={`${uid}-input`}
+          className="quote-dropzone-input"
+          type="file"
+          name="attachments"
+          multiple
+          accept={ACCEPT}
+          disabled={disabled}
+          aria-invalid={messages.length ? true : undefined}
+          aria-describedby={messages.length ? "q-attachments-error" : undefined}
+          onChange={(e) => {
+            addFiles([...e.target.files]);
+            e.target.value = ""; // allow picking the same file again after removing it
+          }}
+        />
+      </label>
+
+      {/* ===== FILE LIST ===== */}
+      {files.length > 0 && (
+        <ul className="quote-file-list">
+          {files.map((file) => (
+            <li key={file.filename} className="quote-file">
+              <Preview file={file} />
+              <span className="quote-file-meta">
+                <span className="quote-file-name">{file.filename}</span>
+                <span className="quote-file-size">{formatBytes(base64Bytes(file.content))}</span>
+              </span>
+              <button
+                type="button"
+                className="quote-file-remove cursor-target"
+                onClick={() => remove(file.filename)}
+                aria-label={`Remove ${file.filename}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {messages.length > 0 && (
+        <span id="q-attachments-error" className="quote-field-error" role="alert">
+          {messages.join(" ")}
+        </span>
+      )}
+    </div>
+  );
+}
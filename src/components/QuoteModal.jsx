@@ -1,5 +1,14 @@
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import { createPortal } from "react-dom";
+import { validateMessage } from "../services/messaging/validation";
+import { COMPLIANCE, TIMELINES, VENDORS } from "../services/messaging/scope";
+import { getCooldown } from "../services/messaging/throttle";
+import { attachmentSupport } from "../services/messaging";
+import { useProofOfWork } from "../hooks/useProofOfWork";
+import { useCooldown } from "../hooks/useCooldown";
+import { useDraft } from "../hooks/useDraft";
+import { loadDraft } from "../services/drafts";
+import QuoteAttachments from "./QuoteAttachments";
 import "./QuoteModal.css";
 
 const SERVICE_MAP = {
@@ -17,34 +26,98 @@ const EMPTY_FORM = {
   name: "",
   email: "",
   projectType: "",
+  sites: "",
+  endpoints: "",
+  vendors: [],
+  compliance: [],
+  timeline: "",
   budget: "",
   message: "",
+  estimate: "",
 };
 
-export default function QuoteModal({ open = false, service = "", onClose, onSubmit }) {
+// Each step validates only its own fields before moving on.
+const STEPS = [
+  { title: "Contact", fields: ["name", "email"] },
+  { title: "Scope", fields: ["projectType", "sites", "endpoints"] },
+  { title: "Environment", fields: ["vendors", "compliance"] },
+  { title: "Timeline", fields: ["timeline", "budget", "message", "attachments"] },
+];
+
+// Progress is autosaved as a draft: it survives closing the modal, reloads
+// and closed tabs until it expires (see services/drafts).
+const DRAFT_NAME = "quote";
+
+function loadProgress() {
+  const saved = loadDraft(DRAFT_NAME)?.data;
+  if (!saved) return null;
+  return {
+    step: Math.min(Math.max(Number(saved.step) || 0, 0), STEPS.length - 1),
+    form: { ...EMPTY_FORM, ...saved.form },
+  };
+}
+
+export default function QuoteModal({
+  open = false,
+  service = "",
+  prefill = null,
+  onClose,
+  onSubmit,
+}) {
   const overlayRef = useRef(null);
-  const firstInputRef = useRef(null);
+  const formRef = useRef(null);
 
-  const [formState, setFormState] = useState(EMPTY_FORM);
+  const [formState, setFormState] = useState(() => loadProgress()?.form ?? EMPTY_FORM);
+  const [step, setStep] = useState(() => loadProgress()?.step ?? 0);
   const [status, setStatus] = useState("idle");
+  const [errors, setErrors] = useState({});
+  // What was sent, kept after the form resets so the PDF summary can be built.
+  const [receipt, setReceipt] = useState(null);
+
+  // Attached files, kept out of formState so they are never written to the draft.
+  const [files, setFiles] = useState([]);
 
   // Honeypot (kept OUT of formState)
   const [honeypot, setHoneypot] = useState("");
   const openedAtRef = useRef(Date.now());
+  // Solved in a worker while the visitor fills in the wizard; sent as `pow`.
+  const proofOfWork = useProofOfWork();
+  // Resumes after a reload: the messaging layer keeps its throttle per session.
+  const cooldown = useCooldown(() => getCooldown("quote"));
+
+  const progress = useMemo(() => ({ step, form: formState }), [step, formState]);
+  const draft = useDraft(DRAFT_NAME, progress, { form: formState, enabled: open });
+
+  // Preset and pre-fill as of the latest render, applied only when the modal opens.
+  const openWithRef = useRef({ service, prefill });
+  useEffect(() => {
+    openWithRef.current = { service, prefill };
+  }, [service, prefill]);
 
+  // Reset per opening only: parent re-renders while open must not wipe the
+  // visitor's answers or the receipt.
   useEffect(() => {
     if (!open) return;
 
     openedAtRef.current = Date.now();
     setStatus("idle");
+    setErrors({});
+    setReceipt(null);
     setHoneypot("");
 
-    setFormState({
-      ...EMPTY_FORM,
-      projectType: SERVICE_MAP[service] || "",
-    });
+    // The saved draft is already in state; the service preset and
+    // estimator choices win over older answers.
+    const { service: opened, prefill: openedPrefill } = openWithRef.current;
+    const preset = SERVICE_MAP[opened];
+    setFormState((p) => ({
+      ...p,
+      ...(preset ? { projectType: preset } : {}),
+      ...(openedPrefill || {}),
+    }));
+  }, [open]);
 
-    firstInputRef.current?.focus({ preventScroll: true });
+  useEffect(() => {
+    if (!open) return;
 
     const onKey = (e) => {
       if (e.key === "Escape") onClose?.();
@@ -57,42 +130,176 @@ export default function QuoteModal({ open = false, service = "", onClose, onSubm
       document.removeEventListener("keydown", onKey);
       document.body.style.overflow = "";
     };
-  }, [open, onClose, service]);
+  }, [open, onClose]);
+
+  // Move focus into each step as it appears.
+  useEffect(() => {
+    if (!open) return;
+    formRef.current
+      ?.querySelector(".quote-step input, .quote-step select, .quote-step textarea")
+      ?.focus({ preventScroll: true });
+  }, [open, step]);
 
   if (!open) return null;
 
+  const isLast = step === STEPS.length - 1;
+  const canAttach = attachmentSupport().supported.length > 0;
+
   const handleChange = (e) => {
     const { name, value } = e.target;
-    setFormState((p) => ({ ...p, [name]: value }));
+    proofOfWork.start();
+    setFormState((p) => ({
+      ...p,
+      [name]: value,
+      // The estimate was priced for the original sizing; drop it once that changes.
+      ...(name === "sites" || name === "endpoints" ? { estimate: "" } : {}),
+    }));
+    setErrors((p) => (p[name] ? { ...p, [name]: undefined } : p));
+  };
+
+  const handleToggle = (e) => {
+    const { name, value, checked } = e.target;
+    setFormState((p) => ({
+      ...p,
+      [name]: checked ? [...p[name], value] : p[name].filter((v) => v !== value),
+    }));
+    setErrors((p) => (p[name] ? { ...p, [name]: undefined } : p));
+  };
+
+  const describe = (name) => ({
+    "aria-invalid": errors[name] ? true : undefined,
+    "aria-describedby": errors[name] ? `q-${name}-error` : undefined,
+  });
+
+  const fieldError = (name) =>
+    errors[name] ? (
+      <span id={`q-${name}-error`} className="quote-field-error">
+        {errors[name]}
+      </span>
+    ) : null;
+
+  const showErrors = (invalid) => {
+    setErrors(invalid);
+    formRef.current?.querySelector(`[name="${Object.keys(invalid)[0]}"]`)?.focus();
+  };
+
+  const downloadSummary = async () => {
+    // Loaded on demand: most visitors never need the PDF writer.
+    const { downloadQuoteSummary } = await import("../services/quoteSummary");
+    downloadQuoteSummary(receipt);
+  };
+
+  const goTo = (next) => {
+    setStep(next);
+    setStatus("idle");
+    setReceipt(null);
+  };
+
+  const clearDraft = () => {
+    draft.clear();
+    setFormState(EMPTY_FORM);
+    setFiles([]);
+    setStep(0);
+    setErrors({});
+    setStatus("idle");
+    setReceipt(null);
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
 
+    if (!isLast) {
+      const invalid = validateMessage("quote", formState, STEPS[step].fields);
+      if (invalid) return showErrors(invalid);
+      return goTo(step + 1);
+    }
+
     const elapsed = Date.now() - openedAtRef.current;
     const isBot = honeypot.trim().length > 0 || elapsed < 1200;
 
     if (isBot) {
       setStatus("success");
+      draft.clear();
       setFormState(EMPTY_FORM);
+      setFiles([]);
+      setStep(0);
       setHoneypot("");
       return;
     }
 
+    const invalid = validateMessage("quote", { ...formState, attachments: files });
+    if (invalid) {
+      // Jump back to the first step that still has a problem.
+      const first = STEPS.findIndex((s) => s.fields.some((f) => invalid[f]));
+      if (first !== -1 && first !== step) setStep(first);
+      setErrors(invalid);
+      setStatus("idle");
+      return;
+    }
+
     setStatus("submitting");
     try {
       if (!onSubmit) throw new Error("QuoteModal missing onSubmit");
-      const res = await onSubmit(formState);
-      if (res && res.ok === false) throw new Error("Message provider returned ok=false");
+      const pow = await proofOfWork.take();
+      const res = await onSubmit({
+        ...formState,
+        ...(files.length ? { attachments: files } : {}),
+        ...(pow ? { pow } : {}),
+      });
+      if (res && res.ok === false && !res.queued) {
+        throw new Error("Message provider returned ok=false");
+      }
 
-      setStatus("success");
+      // Queued in the outbox: safe to clear, it is sent once back online.
+      setStatus(res?.queued ? "queued" : "success");
+      setReceipt({
+        ...formState,
+        attachments: files,
+        service: service || formState.projectType,
+        reference: res?.reference,
+        timestamp: res?.timestamp || new Date().toISOString(),
+      });
+      // Dropped now, not by the autosave effect after the next render.
+      draft.clear();
       setFormState(EMPTY_FORM);
+      setFiles([]);
+      setStep(0);
       setHoneypot("");
-    } catch {
+      cooldown.start(getCooldown("quote"));
+    } catch (err) {
+      if (err?.code === "duplicate" || err?.code === "rate_limited") {
+        setStatus(err.code);
+        setReceipt(err.reference ? { ...formState, reference: err.reference } : null);
+        if (err.code === "rate_limited") cooldown.start(err.retryAfterMs);
+        return;
+      }
+      // Server-side rule failures come back per field as well.
+      if (err?.fields) setErrors(err.fields);
       setStatus("error");
     }
   };
 
+  const checkboxGroup = (name, legend, options) => (
+    <fieldset className="quote-field quote-field-full quote-choices" {...describe(name)}>
+      <legend>{legend}</legend>
+      <div className="quote-choice-list">
+        {options.map((o) => (
+          <label key={o.value} className="quote-choice cursor-target">
+            <input
+              type="checkbox"
+              name={name}
+              value={o.value}
+              checked={formState[name].includes(o.value)}
+              onChange={handleToggle}
+            />
+            {o.label}
+          </label>
+        ))}
+      </div>
+      {fieldError(name)}
+    </fieldset>
+  );
+
   return createPortal(
     <div
       ref={overlayRef}
@@ -102,16 +309,37 @@ export default function QuoteModal({ open = false, service = "", onClose, onSubm
       }}
       aria-modal="true"
       role="dialog"
+      aria-labelledby="quote-modal-title"
     >
       <div className="quote-modal">
         <header className="quote-modal-header">
-          <h3>Request a Quote</h3>
+          <h3 id="quote-modal-title">Request a Quote</h3>
           <button className="quote-modal-close" onClick={onClose} aria-label="Close">
             ×
           </button>
         </header>
 
-        <form onSubmit={handleSubmit} noValidate>
+        {/* ===== STEP INDICATOR ===== */}
+        <ol className="quote-steps" aria-label="Quote progress">
+          {STEPS.map((s, i) => (
+            <li
+              key={s.title}
+              className={i === step ? "active" : i < step ? "done" : undefined}
+              aria-current={i === step ? "step" : undefined}
+            >
+              <span className="quote-step-num">{i + 1}</span>
+              <span className="quote-step-title">{s.title}</span>
+            </li>
+          ))}
+        </ol>
+
+        {formState.estimate && (
+          <p className="quote-estimate">
+            Estimator: <strong>{formState.estimate}</strong>
+          </p>
+        )}
+
+        <form ref={formRef} onSubmit={handleSubmit} noValidate>
           {/* Honeypot */}
           <div
             style={{
@@ -136,92 +364,261 @@ export default function QuoteModal({ open = false, service = "", onClose, onSubm
             />
           </div>
 
-          <div className="quote-form-grid">
-            <div className="quote-field">
-              <label htmlFor="q-name">Name</label>
-              <input
-                ref={firstInputRef}
-                id="q-name"
-                name="name"
-                type="text"
-                placeholder="Your name"
-                value={formState.name}
-                onChange={handleChange}
-                required
-              />
-            </div>
+          {/* ===== STEP 1: CONTACT ===== */}
+          {step === 0 && (
+            <div className="quote-form-grid quote-step">
+              <div className="quote-field">
+                <label htmlFor="q-name">Name</label>
+                <input
+                  id="q-name"
+                  {...describe("name")}
+                  name="name"
+                  type="text"
+                  placeholder="Your name"
+                  autoComplete="name"
+                  value={formState.name}
+                  onChange={handleChange}
+                  required
+                />
+                {fieldError("name")}
+              </div>
 
-            <div className="quote-field">
-              <label htmlFor="q-email">Email</label>
-              <input
-                id="q-email"
-                name="email"
-                type="email"
-                placeholder="you@example.com"
-                value={formState.email}
-                onChange={handleChange}
-                required
-              />
+              <div className="quote-field">
+                <label htmlFor="q-email">Email</label>
+                <input
+                  id="q-email"
+                  {...describe("email")}
+                  name="email"
+                  type="email"
+                  placeholder="you@example.com"
+                  autoComplete="email"
+                  value={formState.email}
+                  onChange={handleChange}
+                  required
+                />
+                {fieldError("email")}
+              </div>
             </div>
+          )}
 
-            <div className="quote-field">
-              <label htmlFor="q-projectType">Project Type</label>
-              <select
-                id="q-projectType"
-                name="projectType"
-                className="cursor-target"
-                value={formState.projectType}
-                onChange={handleChange}
-              >
-                <option value="">Select type</option>
-                <option value="website">Website / App</option>
-                <option value="network">Network Design</option>
-                <option value="security">Security / Hardening</option>
-                <option value="consulting">Consulting</option>
-              </select>
+          {/* ===== STEP 2: SCOPE ===== */}
+          {step === 1 && (
+            <div className="quote-form-grid quote-step">
+              <div className="quote-field quote-field-full">
+                <label htmlFor="q-projectType">Project Type</label>
+                <select
+                  id="q-projectType"
+                  {...describe("projectType")}
+                  name="projectType"
+                  className="cursor-target"
+                  value={formState.projectType}
+                  onChange={handleChange}
+                >
+                  <option value="">Select type</option>
+                  <option value="website">Website / App</option>
+                  <option value="network">Network Design</option>
+                  <option value="security">Security / Hardening</option>
+                  <option value="consulting">Consulting</option>
+                </select>
+                {fieldError("projectType")}
+              </div>
+
+              <div className="quote-field">
+                <label htmlFor="q-sites">Sites</label>
+                <input
+                  id="q-sites"
+                  {...describe("sites")}
+                  name="sites"
+                  type="number"
+                  inputMode="numeric"
+                  min={1}
+                  placeholder="e.g. 3"
+                  value={formState.sites}
+                  onChange={handleChange}
+                  required
+                />
+                {fieldError("sites")}
+              </div>
+
+              <div className="quote-field">
+                <label htmlFor="q-endpoints">Users / Endpoints</label>
+                <input
+                  id="q-endpoints"
+                  {...describe("endpoints")}
+                  name="endpoints"
+                  type="number"
+                  inputMode="numeric"
+                  min={1}
+                  placeholder="e.g. 120"
+                  value={formState.endpoints}
+                  onChange={handleChange}
+                  required
+                />
+                {fieldError("endpoints")}
+              </div>
             </div>
+          )}
 
-            <div className="quote-field">
-              <label htmlFor="q-budget">Budget</label>
-              <select
-                id="q-budget"
-                name="budget"
-                className="cursor-target"
-                value={formState.budget}
-                onChange={handleChange}
-              >
-                <option value="">Select range</option>
-                <option value="under-1k">Under $1k</option>
-                <option value="1k-3k">$1k – $3k</option>
-                <option value="3k-5k">$3k – $5k</option>
-                <option value="5k+">$5k+</option>
-              </select>
+          {/* ===== STEP 3: ENVIRONMENT ===== */}
+          {step === 2 && (
+            <div className="quote-form-grid quote-step">
+              {checkboxGroup("vendors", "Existing vendors", VENDORS)}
+              {checkboxGroup("compliance", "Compliance needs", COMPLIANCE)}
             </div>
+          )}
+
+          {/* ===== STEP 4: TIMELINE ===== */}
+          {step === 3 && (
+            <div className="quote-form-grid quote-step">
+              <div className="quote-field">
+                <label htmlFor="q-timeline">Timeline</label>
+                <select
+                  id="q-timeline"
+                  {...describe("timeline")}
+                  name="timeline"
+                  className="cursor-target"
+                  value={formState.timeline}
+                  onChange={handleChange}
+                >
+                  <option value="">Select timeline</option>
+                  {TIMELINES.map((t) => (
+                    <option key={t.value} value={t.value}>
+                      {t.label}
+                    </option>
+                  ))}
+                </select>
+                {fieldError("timeline")}
+              </div>
+
+              <div className="quote-field">
+                <label htmlFor="q-budget">Budget</label>
+                <select
+                  id="q-budget"
+                  {...describe("budget")}
+                  name="budget"
+                  className="cursor-target"
+                  value={formState.budget}
+                  onChange={handleChange}
+                >
+                  <option value="">Select range</option>
+                  <option value="under-1k">Under $1k</option>
+                  <option value="1k-3k">$1k – $3k</option>
+                  <option value="3k-5k">$3k – $5k</option>
+                  <option value="5k+">$5k+</option>
+                </select>
+                {fieldError("budget")}
+              </div>
+
+              <div className="quote-field quote-field-full">
+                <label htmlFor="q-message">Project Details</label>
+                <textarea
+                  id="q-message"
+                  {...describe("message")}
+                  name="message"
+                  rows={4}
+                  placeholder="Briefly describe your project..."
+                  value={formState.message}
+                  onChange={handleChange}
+                  required
+                />
+                {fieldError("message")}
+              </div>
 
-            <div className="quote-field quote-field-full">
-              <label htmlFor="q-message">Project Details</label>
-              <textarea
-                id="q-message"
-                name="message"
-                rows={4}
-                placeholder="Briefly describe your project..."
-                value={formState.message}
-                onChange={handleChange}
-              />
+              {canAttach ? (
+                <QuoteAttachments
+                  files={files}
+                  onChange={(next) => {
+                    setFiles(next);
+                    setErrors((p) => (p.attachments ? { ...p, attachments: undefined } : p));
+                  }}
+                  disabled={status === "submitting"}
+                  error={errors.attachments}
+                />
+              ) : (
+                <p className="quote-field-full quote-attachments-note">
+                  Files can't be attached here right now. Mention any diagrams or configs in your
+                  message and they can be shared after the first reply.
+                </p>
+              )}
             </div>
-          </div>
+          )}
 
           <div className="quote-actions">
-            <button
-              type="submit"
-              className="quote-submit-btn cursor-target"
-              disabled={status === "submitting"}
-            >
-              {status === "submitting" ? "Submitting..." : "Request Quote"}
-            </button>
+            <div className="quote-nav">
+              {step > 0 && (
+                <button
+                  type="button"
+                  className="quote-back-btn cursor-target"
+                  onClick={() => goTo(step - 1)}
+                  disabled={status === "submitting"}
+                >
+                  Back
+                </button>
+              )}
+
+              <button
+                type="submit"
+                className="quote-submit-btn cursor-target"
+                disabled={status === "submitting" || (isLast && cooldown.seconds > 0)}
+              >
+                {!isLast
+                  ? "Next"
+                  : status === "submitting"
+                    ? "Submitting..."
+                    : cooldown.seconds > 0
+                      ? `Request again in ${cooldown.seconds}s`
+                      : "Request Quote"}
+              </button>
+            </div>
+
+            {draft.saved && (
+              <p className="quote-draft">
+                Draft saved on this device.{" "}
+                <button
+                  type="button"
+                  className="quote-draft-clear cursor-target"
+                  onClick={clearDraft}
+                >
+                  Clear draft
+                </button>
+              </p>
+            )}
 
             {status === "success" && (
-              <span className="quote-status success">Request sent successfully.</span>
+              <span className="quote-status success" role="status">
+                Request sent successfully.
+                {receipt?.reference && <> Reference: <strong>{receipt.reference}</strong></>}
+              </span>
+            )}
+
+            {status === "queued" && (
+              <span className="quote-status queued" role="status">
+                Request queued — it will send when you're back online.
+                {receipt?.reference && <> Reference: <strong>{receipt.reference}</strong></>}
+              </span>
+            )}
+
+            {status === "duplicate" && (
+              <span className="quote-status queued" role="status">
+                You already sent this request.
+                {receipt?.reference && <> Reference: <strong>{receipt.reference}</strong></>}
+              </span>
+            )}
+
+            {status === "rate_limited" && (
+              <span className="quote-status queued" role="status">
+                That's a lot of requests at once — please wait a moment before sending another.
+              </span>
+            )}
+
+            {receipt && (status === "success" || status === "queued") && (
+              <button
+                type="button"
+                className="quote-summary-btn cursor-target"
+                onClick={downloadSummary}
+              >
+                Download PDF summary
+              </button>
             )}
 
             {status === "error" && (
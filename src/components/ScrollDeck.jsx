@@ -1,6 +1,7 @@
 // src/components/ScrollDeck.jsx
 import React, { useEffect, useMemo, useRef, useState, useCallback } from "react";
 import gsap from "gsap";
+import { useMotionPreferences } from "../hooks/useMotionPreferences";
 import "./ScrollDeck.css";
 
 /* =====================================================
@@ -19,7 +20,7 @@ import "./ScrollDeck.css";
    Mobile-safe behavior:
    - Do not attach wheel routing on coarse pointers (phones/tablets)
    - Reduce/disable expensive blur on coarse pointers
-   - Reduced-motion: skip GSAP transitions entirely
+   - Panel transitions off (motion preferences): skip GSAP transitions entirely
 
    Test-mode behavior (Vitest/RTL):
    - Do NOT aria-hide / visibility-hide panels, so headings are discoverable
@@ -44,7 +45,7 @@ const IS_TEST =
 
 export default function ScrollDeck({
   setActive,
-  isQuoteOpen,
+  isModalOpen,
   revealKey,
   pendingSectionId,
   onPendingHandled,
@@ -63,39 +64,32 @@ export default function ScrollDeck({
   const [activeIndex, setActiveIndex] = useState(0);
 
   /* =====================================================
-     Runtime flags (mobile + reduced motion)
+     Runtime flags (mobile + panel transitions)
   ===================================================== */
-  const prefersReducedMotionRef = useRef(false);
+  const { transitions } = useMotionPreferences().effects;
+  const skipTransitionsRef = useRef(!transitions);
   const isCoarsePointerRef = useRef(false);
 
   useEffect(() => {
-    const mqReduce =
-      typeof window !== "undefined" && window.matchMedia
-        ? window.matchMedia("(prefers-reduced-motion: reduce)")
-        : null;
+    skipTransitionsRef.current = !transitions;
+  }, [transitions]);
 
+  useEffect(() => {
     const mqCoarse =
       typeof window !== "undefined" && window.matchMedia
         ? window.matchMedia("(pointer: coarse)")
         : null;
 
     const apply = () => {
-      prefersReducedMotionRef.current = !!mqReduce?.matches;
       isCoarsePointerRef.current = !!mqCoarse?.matches;
     };
 
     apply();
 
-    if (mqReduce?.addEventListener) mqReduce.addEventListener("change", apply);
-    else if (mqReduce?.addListener) mqReduce.addListener(apply);
-
     if (mqCoarse?.addEventListener) mqCoarse.addEventListener("change", apply);
     else if (mqCoarse?.addListener) mqCoarse.addListener(apply);
 
     return () => {
-      if (mqReduce?.removeEventListener) mqReduce.removeEventListener("change", apply);
-      else if (mqReduce?.removeListener) mqReduce.removeListener(apply);
-
       if (mqCoarse?.removeEventListener) mqCoarse.removeEventListener("change", apply);
       else if (mqCoarse?.removeListener) mqCoarse.removeListener(apply);
     };
@@ -379,7 +373,7 @@ export default function ScrollDeck({
       }
 
       if (isTransitioningRef.current) return;
-      if (isQuoteOpen) return;
+      if (isModalOpen) return;
 
       const dir = target > current ? 1 : -1;
       isTransitioningRef.current = true;
@@ -414,7 +408,7 @@ export default function ScrollDeck({
       // 4) Move focus into target panel (immediately, while both are visible)
       focusIntoPanel(target);
 
-      if (prefersReducedMotionRef.current) {
+      if (skipTransitionsRef.current) {
         gsap.killTweensOf([currentEl, nextEl]);
 
         currentEl.style.opacity = "0";
@@ -509,7 +503,7 @@ export default function ScrollDeck({
       blurIfFocusedInside,
       focusDeckContainer,
       focusIntoPanel,
-      isQuoteOpen,
+      isModalOpen,
       panels.length,
       publishDeckState,
       scrollPanelTo,
@@ -591,7 +585,7 @@ export default function ScrollDeck({
     if (!container) return;
 
     const onWheel = (e) => {
-      if (isQuoteOpen) return;
+      if (isModalOpen) return;
 
       const now = performance.now();
       if (now < boundaryCooldownUntilRef.current) {
@@ -652,7 +646,7 @@ export default function ScrollDeck({
 
     container.addEventListener("wheel", onWheel, { passive: false });
     return () => container.removeEventListener("wheel", onWheel);
-  }, [goToIndex, isQuoteOpen, panels.length]);
+  }, [goToIndex, isModalOpen, panels.length]);
 
   /* =====================================================
      Touch routing (iOS / mobile)
@@ -667,7 +661,7 @@ export default function ScrollDeck({
     const COOLDOWN_MS = 80;
 
     const onTouchStart = (e) => {
-      if (isQuoteOpen) return;
+      if (isModalOpen) return;
       if (isTransitioningRef.current) return;
       if (!e.touches || e.touches.length !== 1) return;
 
@@ -676,7 +670,7 @@ export default function ScrollDeck({
     };
 
     const onTouchMove = (e) => {
-      if (isQuoteOpen) return;
+      if (isModalOpen) return;
 
       const now = performance.now();
       if (now < boundaryCooldownUntilRef.current) {
@@ -759,7 +753,7 @@ export default function ScrollDeck({
       container.removeEventListener("touchend", onTouchEnd);
       container.removeEventListener("touchcancel", onTouchEnd);
     };
-  }, [goToIndex, isQuoteOpen, panels.length]);
+  }, [goToIndex, isModalOpen, panels.length]);
 
   /* =====================================================
      Active-panel scroll reporting
@@ -2,6 +2,7 @@ import React from "react";
 import { useNavigate } from "react-router-dom";
 import { navigateAndScroll } from "../utils/scrollToSection";
 import { sendContactMessage } from "../services/messaging";
+import { site, siteLocation } from "../content";
 
 import {
   FaMapMarkerAlt,
@@ -15,7 +16,7 @@ import ContactForm from "./ContactForm";
 import "./footer.css";
 import "./TargetCursor.css";
 
-export default function Footer({ onRequestQuote }) {
+export default function Footer({ onRequestQuote, onBookCall }) {
   const navigate = useNavigate();
 
   return (
@@ -31,7 +32,7 @@ export default function Footer({ onRequestQuote }) {
                 size={14}
                 style={{ color: "var(--accent)", marginRight: "8px" }}
               />
-              <span>Toronto, Canada</span>
+              <span>{siteLocation}</span>
             </p>
 
             <p>
@@ -39,7 +40,9 @@ export default function Footer({ onRequestQuote }) {
                 size={14}
                 style={{ color: "var(--accent)", marginRight: "8px" }}
               />
-              <span>+1(647)802-3224</span>
+              <a href={`tel:${site.contact.phone}`} className="footer-link cursor-target">
+                {site.contact.phoneDisplay}
+              </a>
             </p>
 
             <p>
@@ -48,10 +51,10 @@ export default function Footer({ onRequestQuote }) {
                 style={{ color: "var(--accent)", marginRight: "8px" }}
               />
               <a
-                href="mailto:your.email@example.com"
+                href={`mailto:${site.contact.email}`}
                 className="footer-link cursor-target"
               >
-                mrheidarpoor7@gmail.com
+                {site.contact.email}
               </a>
             </p>
 
@@ -61,7 +64,7 @@ export default function Footer({ onRequestQuote }) {
                 style={{ color: "var(--accent)", marginRight: "8px" }}
               />
               <a
-                href="https://www.linkedin.com/in/mohammadreza-heidarpoor/"
+                href={site.links.linkedin}
                 target="_blank"
                 rel="noreferrer"
                 className="footer-link cursor-target"
@@ -77,6 +80,22 @@ export default function Footer({ onRequestQuote }) {
             >
               Request a Quote
             </button>
+
+            <button
+              type="button"
+              className="footer-link cursor-target footer-cta-btn"
+              onClick={() => onBookCall?.()}
+            >
+              Book a Discovery Call
+            </button>
+
+            <button
+              type="button"
+              className="footer-link cursor-target footer-cta-btn"
+              onClick={() => window.dispatchEvent(new CustomEvent("openContactSheet"))}
+            >
+              Save Contact
+            </button>
           </div>
 
           {/* QUICK LINKS */}
@@ -152,7 +171,7 @@ export default function Footer({ onRequestQuote }) {
         {/* BOTTOM BAR */}
         <div className="footer-bottom">
           <p>
-            © {new Date().getFullYear()} Mohammadreza Heidarpoor — Portfolio Template
+            © {new Date().getFullYear()} {site.owner.name} — Portfolio Template
           </p>
         </div>
       </footer>
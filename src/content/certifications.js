@@ -0,0 +1,29 @@
+/**
+ * src/content/certifications.js
+ * --------------------------------------------------------------------
+ * Certificates shown in the Certifications carousel.
+ * `thumb` is a bundled image, `pdf` a file under /public/assets.
+ */
+
+import { field } from "./schema.js";
+
+export const certificationSchema = field.object({
+  title: field.string(),
+  thumb: field.string(),
+  pdf: field.string({ pattern: /^\/.+\.pdf$/ }),
+});
+
+const thumb = (file) => new URL(`../assets/${file}`, import.meta.url).href;
+
+export const certificationRecords = [
+  { title: "Cisco Certified Specialist – Enterprise Core", thumb: thumb("cert1.png"), pdf: "/assets/cert1.pdf" },
+  { title: "CCNA – Routing & Switching", thumb: thumb("cert2.png"), pdf: "/assets/cert2.pdf" },
+  { title: "Computer Hardware Basics", thumb: thumb("cert3.png"), pdf: "/assets/cert3.pdf" },
+  { title: "Endpoint Security", thumb: thumb("cert4.png"), pdf: "/assets/cert4.pdf" },
+  { title: "Introduction to Cybersecurity", thumb: thumb("cert5.png"), pdf: "/assets/cert5.pdf" },
+  { title: "Introduction to Java", thumb: thumb("cert6.png"), pdf: "/assets/cert6.pdf" },
+  { title: "Network Support & Security", thumb: thumb("cert7.png"), pdf: "/assets/cert7.pdf" },
+  { title: "Networking Basics", thumb: thumb("cert8.png"), pdf: "/assets/cert8.pdf" },
+  { title: "Networking Devices and Initial Configuration", thumb: thumb("cert9.png"), pdf: "/assets/cert9.pdf" },
+  { title: "Python Essentials 1", thumb: thumb("cert10.png"), pdf: "/assets/cert10.pdf" },
+];
@@ -0,0 +1,59 @@
+/**
+ * src/content/index.js
+ * --------------------------------------------------------------------
+ * Content registry: the single source for projects, certifications,
+ * services and the site config (owner identity and contact details, from
+ * the root `site.config.js`). Every collection is validated when this
+ * module is evaluated, so a malformed record throws with a clear message
+ * — in the browser, in tests, and at build time via
+ * `vite-plugin-validate-content.js`.
+ *
+ * Pages import from here, never from the individual record files.
+ */
+
+import { defineCollection } from "./schema.js";
+import { projectSchema, projectRecords } from "./projects.js";
+import { certificationSchema, certificationRecords } from "./certifications.js";
+import { serviceSchema, serviceRecords } from "./services.js";
+
+export const projects = defineCollection("projects", projectSchema, projectRecords, {
+  unique: ["id", "slug"],
+});
+
+export const certifications = defineCollection(
+  "certifications",
+  certificationSchema,
+  certificationRecords,
+  { unique: ["pdf"] }
+);
+
+export const services = defineCollection("services", serviceSchema, serviceRecords, {
+  unique: ["title"],
+});
+
+export { site, siteLocation, contactCard } from "./site.js";
+
+/* =====================================================
+   PROJECT LOOKUPS
+===================================================== */
+export function getProjectBySlug(slug) {
+  return projects.find((p) => p.slug === slug) || null;
+}
+
+export function getProjectById(id) {
+  return projects.find((p) => String(p.id) === String(id)) || null;
+}
+
+/**
+ * Prev/next neighbours in registry order.
+ * `null` means "go back to the Projects section" on that side.
+ */
+export function getProjectNeighbours(slug) {
+  const idx = projects.findIndex((p) => p.slug === slug);
+  if (idx === -1) return { prev: null, next: null };
+
+  return {
+    prev: projects[idx - 1] || null,
+    next: projects[idx + 1] || null,
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * src/content/projects.js
+ * --------------------------------------------------------------------
+ * Project records: the Projects grid card AND the case study rendered by
+ * `pages/ProjectPage.jsx` live in the same record, authored as Markdown in
+ * `content/projects/<slug>.md` (compiled by `vite-plugin-markdown.js`).
+ *
+ * Notes:
+ *   - Grid order and prev/next navigation follow `id`.
+ *   - `id` keeps the old numeric URLs (/projects/1 … /projects/6) working;
+ *     they redirect to the slug route.
+ *   - Adding a project only means adding a .md file. `content/index.js`
+ *     validates it against `projectSchema` at build time.
+ *   - Asset paths in front-matter are relative to the .md file. Add actual
+ *     MP4 files under src/assets/projects/; without `video` the card stays
+ *     image-only.
+ *   - Code fences tagged `ios`, `fortios` or `powershell` are highlighted
+ *     at build time.
+ */
+
+import { field } from "./schema.js";
+
+const mediaItem = field.object({
+  id: field.string(),
+  type: field.oneOf(["image", "video"]),
+  title: field.string(),
+  caption: field.string({ optional: true }),
+  mediaSrc: field.string(),
+});
+
+export const projectSchema = field.object({
+  id: field.number({ min: 1 }),
+  slug: field.string({ pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/ }),
+  title: field.string(),
+  headline: field.string(),
+  summary: field.string(),
+  tech: field.arrayOf(field.string(), { min: 1 }),
+  image: field.string(),
+  video: field.string({ optional: true }),
+  hero: field.object({
+    videoSrc: field.string(),
+    videoTitle: field.string(),
+  }),
+  overview: field.arrayOf(
+    field.object({
+      label: field.string(),
+      title: field.string(),
+      desc: field.string(),
+    }),
+    { min: 1 }
+  ),
+  topology: field.object(
+    {
+      src: field.string(),
+      alt: field.string(),
+      ctaLabel: field.string({ optional: true }),
+      ctaHref: field.string({ optional: true }),
+    },
+    { optional: true }
+  ),
+  body: field.string({ optional: true }),
+  gallery: field.arrayOf(mediaItem, { min: 1 }),
+});
+
+/* One Markdown file per case study; front-matter carries the structured
+   fields, the body is the "Architecture & implementation" write-up. */
+const modules = import.meta.glob("./projects/*.md", { eager: true, import: "default" });
+
+export const projectRecords = Object.values(modules).sort((a, b) => a.id - b.id);
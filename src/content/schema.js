@@ -0,0 +1,162 @@
+/**
+ * src/content/schema.js
+ * --------------------------------------------------------------------
+ * Tiny, dependency-free schema helpers for the content registry.
+ *
+ * Notes:
+ *   - Every field is required unless `{ optional: true }` is passed.
+ *   - `validate()` collects ALL problems instead of stopping at the first,
+ *     so one build run reports every malformed record.
+ *   - This module is imported by Node at build time (see
+ *     `vite-plugin-validate-content.js`), so keep it free of browser APIs.
+ */
+
+export const field = {
+  string: (opts = {}) => ({ kind: "string", ...opts }),
+  number: (opts = {}) => ({ kind: "number", ...opts }),
+  boolean: (opts = {}) => ({ kind: "boolean", ...opts }),
+  oneOf: (values, opts = {}) => ({ kind: "oneOf", values, ...opts }),
+  arrayOf: (of, opts = {}) => ({ kind: "array", of, ...opts }),
+  object: (shape, opts = {}) => ({ kind: "object", shape, ...opts }),
+  // Free-form keys (optionally matching `keyPattern`), every value checked against `of`.
+  mapOf: (of, opts = {}) => ({ kind: "map", of, ...opts }),
+};
+
+function describe(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function check(value, schema, path, errors) {
+  if (value === undefined || value === null || value === "") {
+    if (!schema.optional) errors.push(`${path}: is required`);
+    return;
+  }
+
+  switch (schema.kind) {
+    case "string":
+      if (typeof value !== "string") {
+        errors.push(`${path}: expected string, got ${describe(value)}`);
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(`${path}: "${value}" does not match ${schema.pattern}`);
+      }
+      return;
+
+    case "number":
+      if (typeof value !== "number" || Number.isNaN(value)) {
+        errors.push(`${path}: expected number, got ${describe(value)}`);
+      } else if (schema.min !== undefined && value < schema.min) {
+        errors.push(`${path}: must be >= ${schema.min}`);
+      }
+      return;
+
+    case "boolean":
+      if (typeof value !== "boolean") {
+        errors.push(`${path}: expected boolean, got ${describe(value)}`);
+      }
+      return;
+
+    case "oneOf":
+      if (!schema.values.includes(value)) {
+        errors.push(
+          `${path}: expected one of ${schema.values.map((v) => `"${v}"`).join(", ")}, got "${value}"`
+        );
+      }
+      return;
+
+    case "array":
+      if (!Array.isArray(value)) {
+        errors.push(`${path}: expected array, got ${describe(value)}`);
+        return;
+      }
+      if (schema.min !== undefined && value.length < schema.min) {
+        errors.push(`${path}: expected at least ${schema.min} item(s)`);
+      }
+      value.forEach((item, i) => check(item, schema.of, `${path}[${i}]`, errors));
+      return;
+
+    case "object":
+      if (describe(value) !== "object") {
+        errors.push(`${path}: expected object, got ${describe(value)}`);
+        return;
+      }
+      for (const [key, sub] of Object.entries(schema.shape)) {
+        check(value[key], sub, `${path}.${key}`, errors);
+      }
+      for (const key of Object.keys(value)) {
+        if (!(key in schema.shape)) errors.push(`${path}.${key}: unknown field`);
+      }
+      return;
+
+    case "map":
+      if (describe(value) !== "object") {
+        errors.push(`${path}: expected object, got ${describe(value)}`);
+        return;
+      }
+      for (const [key, item] of Object.entries(value)) {
+        if (schema.keyPattern && !schema.keyPattern.test(key)) {
+          errors.push(`${path}.${key}: key does not match ${schema.keyPattern}`);
+        }
+        check(item, schema.of, `${path}.${key}`, errors);
+      }
+      return;
+
+    default:
+      errors.push(`${path}: schema has unknown kind "${schema.kind}"`);
+  }
+}
+
+/**
+ * Validate a value against a schema.
+ * Returns a list of human-readable problems (empty when valid).
+ */
+export function validate(value, schema, path = "value") {
+  const errors = [];
+  check(value, schema, path, errors);
+  return errors;
+}
+
+/**
+ * Validate a whole collection and return it unchanged, or throw one Error
+ * listing every problem. `unique` names fields that must not repeat.
+ */
+export function defineCollection(name, schema, records, { unique = [] } = {}) {
+  const errors = validate(records, field.arrayOf(schema), `content/${name}`);
+
+  for (const key of unique) {
+    const seen = new Map();
+    records.forEach((record, i) => {
+      const v = record?.[key];
+      if (v === undefined) return;
+      if (seen.has(v)) {
+        errors.push(
+          `content/${name}[${i}].${key}: duplicate "${v}" (also used by [${seen.get(v)}])`
+        );
+      } else {
+        seen.set(v, i);
+      }
+    });
+  }
+
+  assertValid(name, errors);
+  return records;
+}
+
+/**
+ * Validate a single record (e.g. the site config) and return it unchanged,
+ * or throw one Error listing every problem.
+ */
+export function defineRecord(name, schema, record) {
+  assertValid(name, validate(record, schema, `content/${name}`));
+  return record;
+}
+
+/** Throw one Error listing `errors` (problems found outside `validate()`), if any. */
+export function assertValid(name, errors) {
+  if (errors.length) {
+    throw new Error(
+      `Invalid content in "${name}" (${errors.length} problem${errors.length > 1 ? "s" : ""}):\n  - ${errors.join("\n  - ")}`
+    );
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * src/content/services.js
+ * --------------------------------------------------------------------
+ * Service catalogue rendered as terminal cards in `pages/Services.jsx`.
+ * `shell` picks the prompt style: "sh" (neteng@host:~$) or "ps" (PS>).
+ * `pricing` drives the live estimator (see `services/pricing.js`):
+ *   (base + perSite × sites + perDevice × devices) × rushMultiplier?,
+ *   shown as a ± `spread` range in `currency`.
+ */
+
+import { field } from "./schema.js";
+
+export const serviceSchema = field.object({
+  title: field.string(),
+  meta: field.string(),
+  price: field.string(),
+  host: field.string(),
+  shell: field.oneOf(["sh", "ps"]),
+  cmd: field.string(),
+  pricing: field.object({
+    currency: field.string({ pattern: /^[A-Z]{3}$/ }),
+    base: field.number({ min: 0 }),
+    perSite: field.number({ min: 0 }),
+    perDevice: field.number({ min: 0 }),
+    rushMultiplier: field.number({ min: 1 }),
+    spread: field.number({ min: 0 }),
+  }),
+});
+
+export const serviceRecords = [
+  {
+    title: "Enterprise Network Design & Implementation",
+    meta: "LAN/WAN Architecture, VLAN Design, Routing, Redundancy",
+    price: "$250 – $1,500 CAD",
+    host: "r1-core",
+    shell: "sh",
+    cmd: "show ip bgp summary && show ip ospf neighbor",
+    pricing: {
+      currency: "CAD",
+      base: 250,
+      perSite: 200,
+      perDevice: 8,
+      rushMultiplier: 1.35,
+      spread: 0.2,
+    },
+  },
+  {
+    title: "Cisco Router & Switch Configuration",
+    meta: "IOS Configuration, VLANs, ACLs, NAT, DHCP, Optimization",
+    price: "$120 – $900 CAD",
+    host: "sw1-dist",
+    shell: "sh",
+    cmd: "show vlan brief && show ip interface brief",
+    pricing: {
+      currency: "CAD",
+      base: 120,
+      perSite: 80,
+      perDevice: 12,
+      rushMultiplier: 1.3,
+      spread: 0.2,
+    },
+  },
+  {
+    title: "Firewall Deployment & Security Hardening",
+    meta: "FortiGate, Palo Alto, Policies, Segmentation, Zero Trust",
+    price: "$350 – $1,800 CAD",
+    host: "fw01-edge",
+    shell: "sh",
+    cmd: "diagnose firewall iprope show 100 && show firewall policy",
+    pricing: {
+      currency: "CAD",
+      base: 350,
+      perSite: 250,
+      perDevice: 5,
+      rushMultiplier: 1.4,
+      spread: 0.2,
+    },
+  },
+  {
+    title: "VPN & Secure Remote Access",
+    meta: "Site-to-Site VPN, SSL/IPsec, Remote Workforce Access",
+    price: "$250 – $900 CAD",
+    host: "fw01-edge",
+    shell: "sh",
+    cmd: "get vpn ipsec tunnel summary && diagnose vpn tunnel list",
+    pricing: {
+      currency: "CAD",
+      base: 250,
+      perSite: 150,
+      perDevice: 4,
+      rushMultiplier: 1.3,
+      spread: 0.15,
+    },
+  },
+  {
+    title: "Windows Server & Active Directory",
+    meta: "AD DS, DNS, DHCP, Group Policy, NTFS Security",
+    price: "$500 – $1,200 CAD",
+    host: "dc01",
+    shell: "ps",
+    cmd: "Get-ADDomainController -Filter *; Get-DnsServerZone",
+    pricing: {
+      currency: "CAD",
+      base: 500,
+      perSite: 150,
+      perDevice: 6,
+      rushMultiplier: 1.35,
+      spread: 0.2,
+    },
+  },
+  {
+    title: "Network Security Audits & Hardening",
+    meta: "Configuration Review, Risk Analysis, Remediation Planning",
+    price: "$300 – $1,500 CAD",
+    host: "audit01",
+    shell: "sh",
+    cmd: "nmap -sV --script vuln 10.10.0.0/24 && sudo lynis audit system",
+    pricing: {
+      currency: "CAD",
+      base: 300,
+      perSite: 200,
+      perDevice: 5,
+      rushMultiplier: 1.25,
+      spread: 0.25,
+    },
+  },
+];
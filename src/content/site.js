@@ -0,0 +1,59 @@
+/**
+ * src/content/site.js
+ * --------------------------------------------------------------------
+ * Schema for the root `site.config.js` and the shapes derived from it.
+ * `contactCard` is the flat card the contact sheet and vCard use
+ * (see `services/vcard.js`).
+ *
+ * Also imported by `vite-plugin-site-config.js` in Node, so keep the
+ * `.js` extensions and stay free of browser APIs.
+ */
+
+import siteConfig from "../../site.config.js";
+import { defineRecord, field } from "./schema.js";
+
+const URL_PATTERN = /^https?:\/\/\S+$/;
+
+export const siteSchema = field.object({
+  title: field.string(),
+  owner: field.object({
+    name: field.string(),
+    givenName: field.string(),
+    familyName: field.string(),
+    title: field.string(),
+    headline: field.string(),
+    handle: field.string({ pattern: /^[\w.-]+$/ }),
+    status: field.string({ optional: true }),
+    avatar: field.string({ pattern: /^(\/|https?:\/\/)\S+$/ }),
+  }),
+  contact: field.object({
+    email: field.string({ pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ }),
+    phone: field.string({ pattern: /^\+[1-9]\d{6,14}$/ }),
+    phoneDisplay: field.string(),
+    city: field.string(),
+    country: field.string(),
+  }),
+  links: field.object({
+    linkedin: field.string({ pattern: URL_PATTERN }),
+    credly: field.string({ pattern: URL_PATTERN, optional: true }),
+  }),
+  intro: field.object({
+    // See services/intro.js.
+    play: field.oneOf(["first-visit", "always", "never"]),
+    skippable: field.boolean(),
+  }),
+});
+
+export const site = defineRecord("site", siteSchema, siteConfig);
+
+export const contactCard = {
+  name: site.owner.name,
+  givenName: site.owner.givenName,
+  familyName: site.owner.familyName,
+  title: site.owner.title,
+  ...site.contact,
+  linkedin: site.links.linkedin,
+};
+
+/** "Toronto, Canada" */
+export const siteLocation = `${site.contact.city}, ${site.contact.country}`;
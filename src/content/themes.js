@@ -0,0 +1,283 @@
+/**
+ * src/content/themes.js
+ * --------------------------------------------------------------------
+ * Theme registry: every colour theme the site can show, in Dock order.
+ *
+ *   - `tokens` become CSS custom properties on `html[data-theme="<id>"]`
+ *     (`"bg-color"` → `--bg-color`); the stylesheet is generated from this
+ *     file and inlined into index.html (see `vite-plugin-themes.js`).
+ *   - `scheme` ("dark" | "light") is mirrored to `data-scheme`, which is
+ *     what component CSS keys its light/dark overrides on.
+ *   - `glitch` drives the LetterGlitch canvas; `cursor` the TargetCursor.
+ *   - `extends` copies another theme's tokens, so a new theme only lists
+ *     what it changes.
+ *   - `media` lets "System" pick the theme when the query matches; later
+ *     themes win, so put more specific queries further down.
+ *
+ * Imported by Node at build time: keep the `.js` extensions and stay free
+ * of browser APIs.
+ */
+
+import { assertValid, defineCollection, field } from "./schema.js";
+
+const color = field.string();
+
+export const themeSchema = field.object({
+  id: field.string({ pattern: /^[a-z][a-z0-9-]*$/ }),
+  label: field.string(),
+  scheme: field.oneOf(["dark", "light"]),
+  extends: field.string({ optional: true }),
+  media: field.string({ optional: true, pattern: /^\(.+\)$/ }),
+  tokens: field.mapOf(field.string(), { keyPattern: /^[a-z][a-z0-9-]*$/ }),
+  glitch: field.object({
+    colors: field.arrayOf(color, { min: 1 }),
+    background: color,
+    opacity: field.number({ min: 0 }),
+    blendMode: field.string(),
+    outerVignette: color,
+    centerVignette: color,
+  }),
+  cursor: field.object({
+    color,
+    glow: color,
+    blendMode: field.string(),
+  }),
+});
+
+export const themeRecords = [
+  {
+    id: "night",
+    label: "Night",
+    scheme: "dark",
+    tokens: {
+      "bg-color": "#000000",
+      "text-color": "#e6f7ef",
+      "muted": "#9fb6a8",
+
+      "accent": "#61dca3",
+      "accent-alt": "#61b3dc",
+      "accent-dark": "#2fa97a",
+
+      "accent-glow": "rgba(97, 220, 163, 0.6)",
+      "accent-border": "rgba(97, 220, 163, 0.3)",
+      "card-hover": "rgba(97, 220, 163, 0.45)",
+
+      "section-bg": "rgba(10, 10, 10, 0.85)",
+      "card-bg": "rgba(10, 10, 10, 0.85)",
+      "card-shadow": "rgba(0, 0, 0, 0.6)",
+
+      "grid-line": "rgba(97, 220, 163, 0.05)",
+
+      "bg-color-footer": "#0a0a0a",
+      "border-footer": "rgba(97, 220, 163, 0.4)",
+      "grid-color": "rgba(97, 220, 163, 0.05)",
+
+      // Dock / Navbar
+      "dock-bg": "#060010",
+      "dock-border": "#222",
+      "dock-item-bg": "#060010",
+      "dock-item-border": "#222",
+      "dock-label-bg": "#060010",
+      "dock-label-border": "#222",
+      "dock-label-color": "#ffffff",
+
+      "nav-active": "#61dca3",
+      "nav-inactive": "#9fb6a8",
+
+      // Footer surface
+      "footer-surface": "linear-gradient(to top, rgba(0, 0, 0, 0.85), rgba(0, 0, 0, 0.95))",
+
+      // Form surface
+      "form-surface": "linear-gradient(180deg, rgba(14, 14, 14, 0.95), rgba(8, 8, 8, 0.98))",
+
+      // Service card surface
+      "service-card-surface":
+        "linear-gradient(180deg, rgba(15, 15, 15, 0.95), rgba(10, 10, 10, 0.98))",
+
+      // Profile Card visuals
+      "behind-glow-color": "rgba(97, 220, 163, 0.25)",
+      "behind-glow-size": "25%",
+      "name-gradient": "linear-gradient(to bottom, #ffffff, #6f6fbe)",
+      "title-gradient": "linear-gradient(to bottom, #ffffff, #4a4ac0)",
+      "avatar-blend-mode": "luminosity",
+
+      // Sunpillars
+      "sunpillar-1": "hsl(210, 55%, 58%)",
+      "sunpillar-2": "hsl(190, 45%, 56%)",
+      "sunpillar-3": "hsl(170, 40%, 54%)",
+      "sunpillar-4": "hsl(230, 45%, 60%)",
+      "sunpillar-5": "hsl(260, 45%, 62%)",
+      "sunpillar-6": "hsl(200, 50%, 55%)",
+    },
+    glitch: {
+      colors: ["#2b4539", "#61dca3", "#61b3dc"],
+      background: "#000000",
+      opacity: 0.22,
+      blendMode: "screen",
+      outerVignette: "radial-gradient(circle, rgba(0,0,0,0) 60%, rgba(0,0,0,1) 100%)",
+      centerVignette: "radial-gradient(circle, rgba(0,0,0,0.8) 0%, rgba(0,0,0,0) 60%)",
+    },
+    cursor: { color: "#ffffff", glow: "rgba(97, 220, 163, 0.25)", blendMode: "difference" },
+  },
+  {
+    id: "day",
+    label: "Day",
+    scheme: "light",
+    media: "(prefers-color-scheme: light)",
+    tokens: {
+      "bg-color": "#ffffff",
+      "text-color": "#0f0f0f",
+      "muted": "#4b4b4b",
+
+      "accent": "#ff7b54",
+      "accent-alt": "#61b3dc",
+      "accent-dark": "#e85d04",
+
+      "accent-glow": "rgba(255, 123, 84, 0.6)",
+      "accent-border": "rgba(235, 105, 70, 0.7)",
+      "card-hover": "rgba(255, 123, 84, 0.45)",
+
+      "section-bg": "rgba(255, 255, 255, 0.9)",
+      "card-bg": "rgba(255, 255, 255, 0.9)",
+      "card-shadow": "rgba(0, 0, 0, 0.15)",
+
+      "grid-line": "rgba(255, 123, 84, 0.08)",
+
+      "bg-color-footer": "#fdfdfd",
+      "border-footer": "rgba(255, 123, 84, 0.6)",
+      "grid-color": "rgba(255, 123, 84, 0.08)",
+
+      "dock-bg": "#fdfdfd",
+      "dock-border": "#dddddd",
+      "dock-item-bg": "#ffffff",
+      "dock-item-border": "#cccccc",
+      "dock-label-bg": "#ffffff",
+      "dock-label-border": "#cccccc",
+      "dock-label-color": "#0f0f0f",
+
+      "nav-active": "#ff7b54",
+      "nav-inactive": "#7a7a7a",
+
+      // Footer surface
+      "footer-surface":
+        "linear-gradient(to top, rgba(255, 255, 255, 0.96), rgba(248, 248, 248, 1))",
+
+      // Form surface
+      "form-surface": "linear-gradient(180deg, rgba(255, 255, 255, 0.98), rgba(248, 248, 248, 1))",
+
+      // Service card surface
+      "service-card-surface":
+        "linear-gradient(180deg, rgba(255, 255, 255, 0.98), rgba(250, 250, 250, 1))",
+
+      // Profile Card visuals
+      "behind-glow-color": "rgba(255, 123, 84, 0.25)",
+      "behind-glow-size": "25%",
+      "name-gradient": "linear-gradient(to bottom, #ff7b54, #ff9e3c)",
+      "title-gradient": "linear-gradient(to bottom, #ff9e3c, #ffb88c)",
+      "avatar-blend-mode": "normal",
+
+      // Sunpillars
+      "sunpillar-1": "hsl(35, 90%, 65%)",
+      "sunpillar-2": "hsl(25, 85%, 62%)",
+      "sunpillar-3": "hsl(15, 80%, 60%)",
+      "sunpillar-4": "hsl(200, 70%, 60%)",
+      "sunpillar-5": "hsl(280, 65%, 68%)",
+      "sunpillar-6": "hsl(150, 55%, 55%)",
+    },
+    glitch: {
+      colors: ["#ff7b54", "#ffb347", "#e85d04"],
+      background: "linear-gradient(135deg, #fefefe 0%, #f5f5f5 100%)",
+      opacity: 0.4,
+      blendMode: "multiply",
+      outerVignette:
+        "radial-gradient(circle, rgba(255,255,255,0) 60%, rgba(240,240,240,0.9) 100%)",
+      centerVignette:
+        "radial-gradient(circle, rgba(255,255,255,0.6) 0%, rgba(255,255,255,0) 60%)",
+    },
+    cursor: { color: "#ffffff", glow: "rgba(255, 123, 84, 0.25)", blendMode: "difference" },
+  },
+  {
+    // Solid surfaces, white text and one saturated accent; no translucency
+    // or blend modes that lower contrast.
+    id: "contrast",
+    label: "High contrast",
+    scheme: "dark",
+    extends: "night",
+    media: "(prefers-contrast: more)",
+    tokens: {
+      "text-color": "#ffffff",
+      "muted": "#e6e6e6",
+
+      "accent": "#ffd400",
+      "accent-alt": "#00e5ff",
+      "accent-dark": "#ffb700",
+
+      "accent-glow": "rgba(255, 212, 0, 0.6)",
+      "accent-border": "#ffd400",
+      "card-hover": "rgba(255, 212, 0, 0.6)",
+
+      "section-bg": "#000000",
+      "card-bg": "#000000",
+
+      "grid-line": "rgba(255, 255, 255, 0.08)",
+
+      "bg-color-footer": "#000000",
+      "border-footer": "#ffd400",
+      "grid-color": "rgba(255, 255, 255, 0.08)",
+
+      "dock-bg": "#000000",
+      "dock-border": "#ffffff",
+      "dock-item-bg": "#000000",
+      "dock-item-border": "#ffffff",
+      "dock-label-bg": "#000000",
+      "dock-label-border": "#ffffff",
+
+      "nav-active": "#ffd400",
+      "nav-inactive": "#ffffff",
+
+      "footer-surface": "#000000",
+      "form-surface": "#000000",
+      "service-card-surface": "#000000",
+
+      "behind-glow-color": "rgba(255, 212, 0, 0.2)",
+      "name-gradient": "linear-gradient(to bottom, #ffffff, #ffffff)",
+      "title-gradient": "linear-gradient(to bottom, #ffd400, #ffd400)",
+      "avatar-blend-mode": "normal",
+    },
+    glitch: {
+      colors: ["#333333", "#ffffff", "#ffd400"],
+      background: "#000000",
+      opacity: 0.12,
+      blendMode: "normal",
+      outerVignette: "radial-gradient(circle, rgba(0,0,0,0) 50%, rgba(0,0,0,1) 100%)",
+      centerVignette: "radial-gradient(circle, rgba(0,0,0,0.9) 0%, rgba(0,0,0,0) 60%)",
+    },
+    cursor: { color: "#ffd400", glow: "rgba(0, 0, 0, 0)", blendMode: "normal" },
+  },
+];
+
+/* =====================================================
+   RESOLVE `extends`
+===================================================== */
+function resolveThemes(records) {
+  const byId = new Map(records.map((t) => [t.id, t]));
+  const problems = [];
+
+  const tokensOf = (theme, seen = []) => {
+    if (!theme.extends) return theme.tokens;
+    const base = byId.get(theme.extends);
+    if (!base || seen.includes(base.id)) {
+      problems.push(`content/themes.${theme.id}.extends: cannot extend "${theme.extends}"`);
+      return theme.tokens;
+    }
+    return { ...tokensOf(base, [...seen, theme.id]), ...theme.tokens };
+  };
+
+  const resolved = records.map((theme) => ({ ...theme, tokens: tokensOf(theme) }));
+  assertValid("themes", problems);
+  return resolved;
+}
+
+export const themes = resolveThemes(
+  defineCollection("themes", themeSchema, themeRecords, { unique: ["id"] })
+);
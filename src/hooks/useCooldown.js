@@ -0,0 +1,31 @@
+import { useCallback, useEffect, useState } from "react";
+
+/* =====================================================
+   COOLDOWN COUNTDOWN
+   - seconds: whole seconds left (0 when ready), ticking once a second
+   - start(ms): begin (or replace) a cooldown of `ms`
+   Pass `initialMs` (number or lazy function) to resume one after a reload.
+===================================================== */
+
+export function useCooldown(initialMs = 0) {
+  const [until, setUntil] = useState(() => {
+    const ms = typeof initialMs === "function" ? initialMs() : initialMs;
+    return ms > 0 ? Date.now() + ms : 0;
+  });
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (until <= now) return;
+    // Tick on whole-second boundaries so the display counts down evenly.
+    const timer = setTimeout(() => setNow(Date.now()), (until - now) % 1000 || 1000);
+    return () => clearTimeout(timer);
+  }, [until, now]);
+
+  const start = useCallback((ms) => {
+    const t = Date.now();
+    setNow(t);
+    setUntil(ms > 0 ? t + ms : 0);
+  }, []);
+
+  return { seconds: Math.max(0, Math.ceil((until - now) / 1000)), start };
+}
@@ -0,0 +1,24 @@
+import { useCallback, useEffect } from "react";
+import { clearDraft, isDraftEmpty, saveDraft } from "../services/drafts";
+
+/* =====================================================
+   DRAFT AUTOSAVE
+   Saves `data` under `name` whenever it changes (while `enabled`).
+   `form` decides emptiness: an empty form removes the draft instead.
+   - saved: whether a draft is being kept for this form
+   - clear(): drop the stored draft (the caller resets its own state)
+===================================================== */
+
+export function useDraft(name, data, { form = data, enabled = true } = {}) {
+  const empty = isDraftEmpty(form);
+
+  useEffect(() => {
+    if (!enabled) return;
+    if (empty) clearDraft(name);
+    else saveDraft(name, data);
+  }, [name, data, empty, enabled]);
+
+  const clear = useCallback(() => clearDraft(name), [name]);
+
+  return { saved: enabled && !empty, clear };
+}
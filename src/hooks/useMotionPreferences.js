@@ -0,0 +1,30 @@
+import { createContext, useContext, useMemo } from "react";
+import { loadMotionPreferences, resolveMotion } from "../services/motion";
+
+/* =====================================================
+   MOTION PREFERENCES
+   - preferences: { reduceMotion, glitch, cursor, decrypt, transitions }
+   - effects: which animations may run ({ glitch, cursor, decrypt, transitions })
+   - followsSystem: true until the visitor changes something
+   - setPreference(key, value) / reset()
+   Provided by MotionPreferencesProvider. Outside it (tests, isolated
+   renders) this falls back to the saved / system values as of mount,
+   read-only, so animation ticks do not re-read storage.
+===================================================== */
+
+export const MotionPreferencesContext = createContext(null);
+
+const noop = () => {};
+
+export function useMotionPreferences() {
+  const context = useContext(MotionPreferencesContext);
+  const fallback = useMemo(
+    () =>
+      context
+        ? null
+        : { ...resolveMotion(loadMotionPreferences()), setPreference: noop, reset: noop },
+    [context]
+  );
+
+  return context || fallback;
+}
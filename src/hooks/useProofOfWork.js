@@ -0,0 +1,85 @@
+import { useCallback, useEffect, useRef } from "react";
+import {
+  POW_DEFAULT_DIFFICULTY,
+  createChallenge,
+  solveChallenge,
+} from "../services/messaging/antispam";
+
+/* =====================================================
+   PROOF-OF-WORK TOKEN FOR A FORM
+   - start(): begin solving in a Web Worker (call while the visitor types;
+     repeat calls are no-ops until the token is taken)
+   - take(): resolve the token for this submission, or null if it is not
+     ready within POW_WAIT_MS (the server then flags instead of trusting it)
+   Env: VITE_POW_DIFFICULTY (leading zero bits, default 16; 0 disables)
+===================================================== */
+
+const POW_WAIT_MS = 4000;
+
+function getDifficulty() {
+  const raw = import.meta.env.VITE_POW_DIFFICULTY;
+  const n = Number(raw);
+  return raw !== undefined && raw !== "" && Number.isInteger(n) && n >= 0
+    ? n
+    : POW_DEFAULT_DIFFICULTY;
+}
+
+function solveInBackground(challenge, difficulty) {
+  // No workers (old browsers, jsdom): solve on the main thread; every hash
+  // awaits, so the page still gets a turn in between.
+  if (typeof Worker === "undefined") {
+    const controller = new AbortController();
+    return {
+      promise: solveChallenge(challenge, difficulty, { signal: controller.signal }),
+      cancel: () => controller.abort(),
+    };
+  }
+
+  const worker = new Worker(new URL("../services/messaging/pow.worker.js", import.meta.url), {
+    type: "module",
+  });
+  const promise = new Promise((resolve) => {
+    worker.onmessage = ({ data }) => {
+      resolve(data);
+      worker.terminate();
+    };
+    worker.onerror = () => {
+      resolve(null);
+      worker.terminate();
+    };
+  });
+  worker.postMessage({ challenge, difficulty });
+  return { promise, cancel: () => worker.terminate() };
+}
+
+export function useProofOfWork() {
+  const jobRef = useRef(null);
+
+  const start = useCallback(() => {
+    const difficulty = getDifficulty();
+    if (jobRef.current || !difficulty) return;
+    jobRef.current = solveInBackground(createChallenge(), difficulty);
+  }, []);
+
+  const take = useCallback(async () => {
+    start();
+    const job = jobRef.current;
+    jobRef.current = null; // single use: the next submission solves a fresh one
+    if (!job) return null;
+
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        job.cancel();
+        resolve(null);
+      }, POW_WAIT_MS);
+    });
+    const token = await Promise.race([job.promise, timeout]);
+    clearTimeout(timer);
+    return token;
+  }, [start]);
+
+  useEffect(() => () => jobRef.current?.cancel(), []);
+
+  return { start, take };
+}
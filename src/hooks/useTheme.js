@@ -0,0 +1,50 @@
+import { useCallback, useEffect, useState, useSyncExternalStore } from "react";
+import {
+  THEMES,
+  THEME_STORAGE_KEY,
+  applyTheme,
+  loadThemePreference,
+  nextThemePreference,
+  resolveTheme,
+  saveThemePreference,
+  subscribeSystemTheme,
+  systemTheme,
+} from "../services/theme";
+
+/* =====================================================
+   THEME
+   - preference: "system" or a registered theme id (persisted)
+   - theme: the resolved theme id, mirrored to <html data-theme / data-scheme>
+   - cycle(): next preference, as the Dock toggle does
+   "system" follows OS changes live; other tabs' choices are picked up too.
+===================================================== */
+
+export function useTheme() {
+  const [preference, setPreferenceState] = useState(loadThemePreference);
+  const system = useSyncExternalStore(subscribeSystemTheme, systemTheme, () => THEMES[0]);
+  const theme = resolveTheme(preference, system);
+
+  useEffect(() => {
+    applyTheme(theme);
+  }, [theme]);
+
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === THEME_STORAGE_KEY) setPreferenceState(loadThemePreference());
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, []);
+
+  const setPreference = useCallback((next) => {
+    saveThemePreference(next);
+    setPreferenceState(next);
+  }, []);
+
+  const cycle = useCallback(
+    () => setPreference(nextThemePreference(preference)),
+    [preference, setPreference]
+  );
+
+  return { preference, theme, setPreference, cycle };
+}
@@ -2,13 +2,16 @@ import React from 'react';
 import { createRoot } from 'react-dom/client';
 import { BrowserRouter } from 'react-router-dom';
 import App from './App';
+import MotionPreferencesProvider from './components/MotionPreferencesProvider';
 
 import './index.css';
 
 createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <BrowserRouter>
-      <App />
+      <MotionPreferencesProvider>
+        <App />
+      </MotionPreferencesProvider>
     </BrowserRouter>
   </React.StrictMode>
 );
@@ -1,8 +1,13 @@
 import { useState } from "react";
 import DecryptedText from "../components/DecryptedText";
 import ProfileCard from "../components/ProfileCard";
+import { site } from "../content";
 import "./AboutModern.css";
 
+// Opened by App, so the deck knows a modal is up. Module-level, so the memoised
+// ProfileCard does not re-render with the page.
+const openContact = () => window.dispatchEvent(new CustomEvent("openContactSheet"));
+
 export default function About() {
   const [activePanel, setActivePanel] = useState(0);
 
@@ -35,15 +40,16 @@ export default function About() {
           {/* LEFT — PROFILE CARD */}
           <div className="about-left">
             <ProfileCard
-              name="Mohammadreza Heidarpoor"
-              title="Networking & IT Security Student"
-              handle="mammadcodes"
-              status="busy"
+              name={site.owner.name}
+              title={site.owner.title}
+              handle={site.owner.handle}
+              status={site.owner.status}
               contactText="Contact Me"
-              avatarUrl="/my-avatar.jpg"
-              miniAvatarUrl="/my-avatar.jpg"
+              avatarUrl={site.owner.avatar}
+              miniAvatarUrl={site.owner.avatar}
               enableTilt={false}
               enableMobileTilt={false}
+              onContactClick={openContact}
             />
           </div>
 
@@ -5,6 +5,7 @@ import { useState, useEffect, useMemo } from "react";
 import DecryptedText from "../components/DecryptedText";
 import LightboxPortal from "../components/LightboxPortal";
 import Carousel from "../components/Carousel";
+import { certifications, site } from "../content";
 
 import { Viewer, Worker } from "@react-pdf-viewer/core";
 import { defaultLayoutPlugin } from "@react-pdf-viewer/default-layout";
@@ -13,32 +14,6 @@ import "@react-pdf-viewer/core/lib/styles/index.css";
 import "@react-pdf-viewer/default-layout/lib/styles/index.css";
 import "./Certifications.css";
 
-/* Thumbnails */
-import cert1 from "../assets/cert1.png"
-import cert2 from "../assets/cert2.png";
-import cert3 from "../assets/cert3.png";
-import cert4 from "../assets/cert4.png";
-import cert5 from "../assets/cert5.png";
-import cert6 from "../assets/cert6.png";
-import cert7 from "../assets/cert7.png";
-import cert8 from "../assets/cert8.png";
-import cert9 from "../assets/cert9.png";
-import cert10 from "../assets/cert10.png";
-
-/* Certificates */
-const certs = [
-  { title: "Cisco Certified Specialist – Enterprise Core", thumb: cert1, pdf: "/assets/cert1.pdf" },
-  { title: "CCNA – Routing & Switching", thumb: cert2, pdf: "/assets/cert2.pdf" },
-  { title: "Computer Hardware Basics", thumb: cert3, pdf: "/assets/cert3.pdf" },
-  { title: "Endpoint Security", thumb: cert4, pdf: "/assets/cert4.pdf" },
-  { title: "Introduction to Cybersecurity", thumb: cert5, pdf: "/assets/cert5.pdf" },
-  { title: "Introduction to Java", thumb: cert6, pdf: "/assets/cert6.pdf" },
-  { title: "Network Support & Security", thumb: cert7, pdf: "/assets/cert7.pdf" },
-  { title: "Networking Basics", thumb: cert8, pdf: "/assets/cert8.pdf" },
-  { title: "Networking Devices and Initial Configuration", thumb: cert9, pdf: "/assets/cert9.pdf" },
-  { title: "Python Essentials 1", thumb: cert10, pdf: "/assets/cert10.pdf" },
-];
-
 export default function Certifications() {
   const [lightboxPdf, setLightboxPdf] = useState(null);
   const defaultLayoutPluginInstance = defaultLayoutPlugin();
@@ -51,7 +26,7 @@ export default function Certifications() {
   /* Convert certs to carousel items */
   const carouselItems = useMemo(
     () =>
-      certs.map((cert, i) => ({
+      certifications.map((cert, i) => ({
         id: `cert-${i}`,
         title: cert.title,
         caption: "Click to view certificate",
@@ -91,15 +66,17 @@ export default function Certifications() {
               security, and systems expertise.
             </p>
 
-            <a
-              href="https://www.credly.com/users/mohammadreza-heidarpoor"
-              target="_blank"
-              rel="noreferrer"
-              className="btn-pill primary credly-btn cursor-target"
-            >
-              <FontAwesomeIcon icon={faLink} />
-              <span>Verify on Credly</span>
-            </a>
+            {site.links.credly && (
+              <a
+                href={site.links.credly}
+                target="_blank"
+                rel="noreferrer"
+                className="btn-pill primary credly-btn cursor-target"
+              >
+                <FontAwesomeIcon icon={faLink} />
+                <span>Verify on Credly</span>
+              </a>
+            )}
         </section>
 
         {/* ===============================
@@ -4,6 +4,7 @@ import gsap from "gsap";
 
 import DecryptedText from "../components/DecryptedText";
 import { navigateAndScroll } from "../utils/scrollToSection";
+import { site } from "../content";
 
 import "./HomeModern.css";
 import "../components/TargetCursor.css";
@@ -46,7 +47,7 @@ export default function Home({ revealKey }) {
           <div className="hero-right hero-enter">
             <h1 className="home-title">
               <DecryptedText
-                text="Mohammadreza Heidarpoor"
+                text={site.owner.name}
                 animateOn="both"
                 sequential
                 speed={150}
@@ -60,7 +61,7 @@ export default function Home({ revealKey }) {
 
             <h2 className="home-subtitle">
               <DecryptedText
-                text="Network Engineer & Network Technician"
+                text={site.owner.headline}
                 animateOn="both"
                 sequential
                 speed={80}
@@ -101,7 +102,7 @@ export default function Home({ revealKey }) {
               </button>
 
               <a
-                href="mailto:mrheidarpoor7@gmail.com"
+                href={`mailto:${site.contact.email}`}
                 className="btn-pill cursor-target"
                 onClick={(e) => e.stopPropagation()}
               >
@@ -17,7 +17,8 @@ export default function Main({
   setActive,
   revealKey,
   onRequestQuote,
-  isQuoteOpen
+  onBookCall,
+  isModalOpen
 }) {
   const location = useLocation();
   const navigate = useNavigate();
@@ -62,7 +63,7 @@ export default function Main({
     <div className="main-page">
       <ScrollDeck
         setActive={setActive}
-        isQuoteOpen={isQuoteOpen}
+        isModalOpen={isModalOpen}
         revealKey={revealKey}
         pendingSectionId={pendingSectionId}
         onPendingHandled={() => setPendingSectionId(null)}
@@ -72,8 +73,8 @@ export default function Main({
         <Projects />
         <Certifications />
         <>
-          <Services onRequestQuote={onRequestQuote} />
-          <Footer onRequestQuote={onRequestQuote} />
+          <Services onRequestQuote={onRequestQuote} onBookCall={onBookCall} />
+          <Footer onRequestQuote={onRequestQuote} onBookCall={onBookCall} />
         </>
       </ScrollDeck>
     </div>
@@ -0,0 +1,226 @@
+import { useEffect, useState } from "react";
+import { Link, Navigate, useParams } from "react-router-dom";
+import DecryptedText from "../components/DecryptedText";
+import CarouselProject from "../components/CarouselProject";
+import LightboxPortal from "../components/LightboxPortal";
+import {
+  projects,
+  getProjectBySlug,
+  getProjectById,
+  getProjectNeighbours,
+} from "../content";
+import "./ProjectPage.css";
+
+/**
+ * src/pages/ProjectPage.jsx
+ * --------------------------------------------------------------------
+ * Renders one case study from a project record in the content registry.
+ * Mounted on `/projects/:slug`; numeric legacy ids redirect to the slug.
+ */
+
+function ProjectNotFound() {
+  return (
+    <div className="project-page" id="project-not-found">
+      <span className="spy-marker" />
+
+      <div className="project-container">
+        <section className="project-not-found">
+          <h1 className="project-title">Project not found</h1>
+          <p className="meta">
+            The case study you are looking for does not exist or has moved.
+          </p>
+
+          <div className="cta-row">
+            <Link
+              to="/"
+              state={{ scrollTo: "projects" }}
+              className="btn-pill primary cursor-target"
+            >
+              ← Back to Projects
+            </Link>
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+export default function ProjectPage() {
+  const { slug } = useParams();
+  const project = getProjectBySlug(slug);
+  const legacy = project ? null : getProjectById(slug);
+
+  const [activeItem, setActiveItem] = useState(null);
+
+  /* Always enter from the top (also when moving prev/next) */
+  useEffect(() => {
+    requestAnimationFrame(() => {
+      window.scrollTo({ top: 0, left: 0, behavior: "auto" });
+    });
+  }, [slug]);
+
+  /* Lock body scroll when lightbox open */
+  useEffect(() => {
+    document.body.style.overflow = activeItem ? "hidden" : "";
+    return () => (document.body.style.overflow = "");
+  }, [activeItem]);
+
+  if (legacy) return <Navigate to={`/projects/${legacy.slug}`} replace />;
+  if (!project) return <ProjectNotFound />;
+
+  const position = projects.indexOf(project) + 1;
+  const { prev, next } = getProjectNeighbours(project.slug);
+
+  return (
+    <div className="project-page" id={`project-${project.slug}`}>
+      <span className="spy-marker" />
+
+      <div className="project-container">
+
+        {/* ================= HERO ================= */}
+        <section className="project-hero">
+          <div className="project-hero-inner">
+            <div className="project-hero-frame">
+              <div className="project-hero-video">
+                <iframe
+                  title={project.hero.videoTitle}
+                  src={project.hero.videoSrc}
+                  allowFullScreen
+                />
+              </div>
+            </div>
+
+            <div className="project-title-section">
+              <h1 className="project-title">
+                <span className="decrypt-stable">
+                  <DecryptedText
+                    text={project.headline}
+                    animateOn="view"
+                    sequential
+                    speed={55}
+                    revealDirection="start"
+                    className="revealed"
+                    encryptedClassName="encrypted"
+                  />
+                </span>
+              </h1>
+            </div>
+          </div>
+        </section>
+
+        {/* ================= OVERVIEW ================= */}
+        <section className="project-overview">
+          <h2 className="section-title">Project overview</h2>
+
+          <div className="project-overview-grid">
+            {project.overview.map((item, i) => (
+              <div key={i} className="project-overview-card">
+                <div className="project-overview-label">{item.label}</div>
+                <div className="project-overview-title">{item.title}</div>
+                <div className="meta project-overview-desc">{item.desc}</div>
+              </div>
+            ))}
+          </div>
+        </section>
+
+        {/* ================= TOPOLOGY ================= */}
+        {project.topology && (
+          <section className="project-topology">
+            <div className="project-section-inner">
+              <div className="project-topology-image">
+                <img src={project.topology.src} alt={project.topology.alt} />
+              </div>
+
+              {project.topology.ctaLabel && (
+                <div className="cta-row project-topology-cta">
+                  <a className="btn-pill cursor-target" href={project.topology.ctaHref}>
+                    {project.topology.ctaLabel}
+                  </a>
+                </div>
+              )}
+            </div>
+          </section>
+        )}
+
+        {/* ================= ARCHITECTURE ================= */}
+        {project.body && (
+          <section className="project-architecture">
+            <h2 className="section-title">Architecture & implementation</h2>
+
+            {/* Compiled from the project's Markdown at build time */}
+            <div
+              className="project-writeup"
+              dangerouslySetInnerHTML={{ __html: project.body }}
+            />
+          </section>
+        )}
+
+        {/* ================= GALLERY ================= */}
+        <section className="project-gallery">
+          <h2 className="section-title">Implementation gallery</h2>
+
+          <CarouselProject
+            items={project.gallery}
+            onOpen={(item) => setActiveItem(item)}
+            isLightboxOpen={!!activeItem}
+          />
+        </section>
+
+        {/* ================= NAV ================= */}
+        <section className="project-navigation">
+          <div className="cta-row">
+            {prev ? (
+              <Link to={`/projects/${prev.slug}`} className="btn-pill cursor-target">
+                ← Back to Project {position - 1}
+              </Link>
+            ) : (
+              <Link
+                to="/"
+                state={{ scrollTo: "projects" }}
+                className="btn-pill cursor-target"
+              >
+                ← Back to Projects
+              </Link>
+            )}
+
+            {next ? (
+              <Link
+                to={`/projects/${next.slug}`}
+                className="btn-pill primary cursor-target"
+              >
+                Continue to Project {position + 1} →
+              </Link>
+            ) : (
+              <Link
+                to="/"
+                state={{ scrollTo: "projects" }}
+                className="btn-pill primary cursor-target"
+              >
+                Return to Portfolio Overview →
+              </Link>
+            )}
+          </div>
+        </section>
+
+        {/* ================= LIGHTBOX ================= */}
+        {activeItem && (
+          <LightboxPortal>
+            <div
+              className="lightbox-project"
+              role="dialog"
+              aria-modal="true"
+              onClick={() => setActiveItem(null)}
+            >
+              <div
+                className="lightbox-project-inner"
+                onClick={(e) => e.stopPropagation()}
+              >
+                <img src={activeItem.mediaSrc} alt={activeItem.title} />
+              </div>
+            </div>
+          </LightboxPortal>
+        )}
+      </div>
+    </div>
+  );
+}
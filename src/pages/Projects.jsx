@@ -1,88 +1,19 @@
 import React, { useEffect, useMemo, useRef, useCallback } from "react";
 import { useNavigate } from "react-router-dom";
 import DecryptedText from "../components/DecryptedText";
+import { projects } from "../content";
+import { useMotionPreferences } from "../hooks/useMotionPreferences";
 import "./Projects.css";
 
-/**
- * Notes:
- * - Add actual MP4 files under /public/projects/ and update `video` paths.
- * - If a project has no video, the card gracefully stays image-only.
- */
-
-const projects = [
-  {
-    id: 1,
-    title: "Enterprise Office Network",
-    summary:
-      "HQ + Branches with dual-ISP edge, segmented VLANs, secure routing, and Windows services.",
-    tech: ["BGP", "OSPF", "FortiGate", "VLANs", "AD DS"],
-    image: new URL("../assets/projects/p1-topology.png", import.meta.url).href,
-    video: new URL("../assets/projects/p1-topology.mp4", import.meta.url).href,
-  },
-  {
-    id: 2,
-    title: "Multi-Branch WAN Architecture",
-    summary: "OSPF internal routing with BGP redistribution and resilient WAN design.",
-    tech: ["OSPF", "BGP", "Redistribution"],
-    image: new URL("../assets/projects/p2-wan.png", import.meta.url).href,
-    video: new URL("../assets/projects/p2-wan.mp4", import.meta.url).href,
-  },
-  {
-    id: 3,
-    title: "Firewall & VPN Security",
-    summary:
-      "Zone-based firewalling with site-to-site IPsec overlays and policy enforcement.",
-    tech: ["FortiGate", "IPsec", "NAT"],
-    image: new URL("../assets/projects/p3-firewall.png", import.meta.url).href,
-    video: new URL("../assets/projects/p3-firewall.mp4", import.meta.url).href,
-  },
-  {
-    id: 4,
-    title: "Windows Server Infrastructure",
-    summary: "Active Directory, DNS, DHCP, and Group Policy across enterprise sites.",
-    tech: ["AD DS", "GPO", "DNS", "DHCP"],
-    image: new URL("../assets/projects/p4-ad.png", import.meta.url).href,
-    video: new URL("../assets/projects/p4-ad.mp4", import.meta.url).href,
-  },
-  {
-    id: 5,
-    title: "Layer-2 Network Defense",
-    summary:
-      "Protection against rogue devices using DHCP Snooping and Dynamic ARP Inspection.",
-    tech: ["DHCP Snooping", "DAI", "Port Security"],
-    image: new URL("../assets/projects/p5-l2.png", import.meta.url).href,
-    video: new URL("../assets/projects/p5-l2.mp4", import.meta.url).href,
-  },
-  {
-    id: 6,
-    title: "Enterprise Operations & Hardening",
-    summary: "Monitoring, logging, baselining, and operational hardening across the network.",
-    tech: ["Syslog", "SNMP", "Hardening"],
-    image: new URL("../assets/projects/p6-ops.png", import.meta.url).href,
-    video: new URL("../assets/projects/p6-ops.mp4", import.meta.url).href,
-  },
-];
-
-function usePrefersReducedMotion() {
-  const reducedRef = useRef(false);
+// "Reduce motion" from the motion preferences, as a ref so the hover /
+// scroll handlers stay stable.
+function useReducedMotionRef() {
+  const { reduceMotion } = useMotionPreferences().preferences;
+  const reducedRef = useRef(reduceMotion);
 
   useEffect(() => {
-    const mq = window.matchMedia?.("(prefers-reduced-motion: reduce)");
-    if (!mq) return;
-
-    const apply = () => {
-      reducedRef.current = !!mq.matches;
-    };
-    apply();
-
-    if (mq.addEventListener) mq.addEventListener("change", apply);
-    else mq.addListener(apply);
-
-    return () => {
-      if (mq.removeEventListener) mq.removeEventListener("change", apply);
-      else mq.removeListener(apply);
-    };
-  }, []);
+    reducedRef.current = reduceMotion;
+  }, [reduceMotion]);
 
   return reducedRef;
 }
@@ -90,7 +21,7 @@ function usePrefersReducedMotion() {
 export default function Projects() {
   const navigate = useNavigate();
 
-  const reducedMotionRef = usePrefersReducedMotion();
+  const reducedMotionRef = useReducedMotionRef();
   const cardsRef = useRef([]);
   const rafMagnetRef = useRef(new Map());
   const rafParallaxRef = useRef(0);
@@ -406,7 +337,7 @@ export default function Projects() {
                   <div className="project-cta">
                     <button
                       className="btn-pill primary cursor-target"
-                      onClick={() => navigate(`/projects/${project.id}`)}
+                      onClick={() => navigate(`/projects/${project.slug}`)}
                       aria-label={`View architecture for ${project.title}`}
                     >
                       View Architecture →
@@ -1,57 +1,8 @@
 import DecryptedText from "../components/DecryptedText";
+import PriceEstimator from "../components/PriceEstimator";
+import { services } from "../content";
 import "./Services.css";
 
-const services = [
-  {
-    title: "Enterprise Network Design & Implementation",
-    meta: "LAN/WAN Architecture, VLAN Design, Routing, Redundancy",
-    price: "$250 – $1,500 CAD",
-    host: "r1-core",
-    shell: "sh",
-    cmd: "show ip bgp summary && show ip ospf neighbor",
-  },
-  {
-    title: "Cisco Router & Switch Configuration",
-    meta: "IOS Configuration, VLANs, ACLs, NAT, DHCP, Optimization",
-    price: "$120 – $900 CAD",
-    host: "sw1-dist",
-    shell: "sh",
-    cmd: "show vlan brief && show ip interface brief",
-  },
-  {
-    title: "Firewall Deployment & Security Hardening",
-    meta: "FortiGate, Palo Alto, Policies, Segmentation, Zero Trust",
-    price: "$350 – $1,800 CAD",
-    host: "fw01-edge",
-    shell: "sh",
-    cmd: "diagnose firewall iprope show 100 && show firewall policy",
-  },
-  {
-    title: "VPN & Secure Remote Access",
-    meta: "Site-to-Site VPN, SSL/IPsec, Remote Workforce Access",
-    price: "$250 – $900 CAD",
-    host: "fw01-edge",
-    shell: "sh",
-    cmd: "get vpn ipsec tunnel summary && diagnose vpn tunnel list",
-  },
-  {
-    title: "Windows Server & Active Directory",
-    meta: "AD DS, DNS, DHCP, Group Policy, NTFS Security",
-    price: "$500 – $1,200 CAD",
-    host: "dc01",
-    shell: "ps",
-    cmd: "Get-ADDomainController -Filter *; Get-DnsServerZone",
-  },
-  {
-    title: "Network Security Audits & Hardening",
-    meta: "Configuration Review, Risk Analysis, Remediation Planning",
-    price: "$300 – $1,500 CAD",
-    host: "audit01",
-    shell: "sh",
-    cmd: "nmap -sV --script vuln 10.10.0.0/24 && sudo lynis audit system",
-  },
-];
-
 function getPrompt({ host, shell }) {
   return shell === "ps" ? `neteng@${host}: PS>` : `neteng@${host}:~$`;
 }
@@ -69,7 +20,7 @@ function buildCmdOutputPairs({ title, meta, price }) {
   ];
 }
 
-export default function Services({ onRequestQuote }) {
+export default function Services({ onRequestQuote, onBookCall }) {
   return (
     <div id="services" className="services-page">
       <span className="spy-marker" />
@@ -189,6 +140,22 @@ export default function Services({ onRequestQuote }) {
             );
           })}
         </section>
+
+        {/* ESTIMATOR */}
+        <PriceEstimator onRequestQuote={onRequestQuote} />
+
+        {/* DISCOVERY CALL */}
+        <section className="services-call" aria-label="Discovery call">
+          <p className="services-call-text">
+            Not sure what you need yet? Book a free 30-minute discovery call.
+          </p>
+          <button type="button" className="term-btn cursor-target" onClick={() => onBookCall?.()}>
+            <span className="btn-row">
+              <span className="cmd-prefix">&gt;</span>
+              <span className="btn-cmd">book-call --minutes 30</span>
+            </span>
+          </button>
+        </section>
       </div>
     </div>
   );
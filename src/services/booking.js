@@ -0,0 +1,385 @@
+// src/services/booking.js
+//
+// Discovery-call booking without a live calendar API. Availability is a
+// static file (default /availability.json, or VITE_BOOKING_AVAILABILITY_URL)
+// in one of two shapes:
+//
+//   JSON  { "timeZone": "America/Toronto",
+//           "weekly": { "mon": ["10:00-12:00", "14:00-16:00"], ... },
+//           "blocked": [{ "start": "2026-12-24T00:00", "end": "2026-12-28T00:00" }],
+//           "noticeHours": 24, "horizonDays": 21 }
+//         Times are wall-clock times in `timeZone` (the owner's).
+//
+//   ICS   every VEVENT is an open window. DTSTART/DTEND may be UTC, carry a
+//         TZID, or float (read in X-WR-TIMEZONE). RRULE FREQ=DAILY|WEEKLY
+//         with INTERVAL, BYDAY, COUNT and UNTIL is expanded; cancelled and
+//         all-day events are skipped.
+//
+// Windows are cut into BOOKING_MINUTES slots. The chosen slot travels as a
+// UTC instant through the messaging layer (kind "booking"), and the visitor
+// gets a matching .ics invite to download.
+
+import { downloadText, escapeText, joinLines } from "./contentLines";
+
+export const BOOKING_MINUTES = 30;
+
+const DEFAULTS = { noticeHours: 24, horizonDays: 21 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const ICS_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+function availabilityError(message) {
+  return Object.assign(new Error(message), { code: "availability_unavailable" });
+}
+
+/* =====================================================
+   TIME ZONES
+===================================================== */
+function zoneParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+}
+
+function zoneOffsetMs(date, timeZone) {
+  const p = zoneParts(date, timeZone);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time in `timeZone` refers to. Times skipped by a
+ * DST jump resolve to the hour after.
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const first = wall - zoneOffsetMs(new Date(wall), timeZone);
+  const second = wall - zoneOffsetMs(new Date(first), timeZone);
+  return new Date(second);
+}
+
+// Calendar days (no time zone involved) as { year, month, day }.
+function addDays({ year, month, day }, n) {
+  const d = new Date(Date.UTC(year, month - 1, day + n));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+const weekday = ({ year, month, day }) => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+/* =====================================================
+   JSON
+===================================================== */
+const CLOCK_RE = /^(\d{1,2}):(\d{2})$/;
+const RANGE_RE = /^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/;
+const LOCAL_RE = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/;
+
+function clock(text) {
+  const [, h, m] = CLOCK_RE.exec(text) || [];
+  return h === undefined ? null : { hour: Number(h), minute: Number(m) };
+}
+
+function localInstant(text, timeZone) {
+  if (/(Z|[+-]\d{2}:\d{2})$/.test(text)) return new Date(text);
+  const [, year, month, day, hour = 0, minute = 0] = (LOCAL_RE.exec(text) || []).map(Number);
+  if (!year) return new Date(NaN);
+  return zonedTimeToUtc({ year, month, day, hour, minute }, timeZone);
+}
+
+function settings(source) {
+  return {
+    noticeHours: Number.isFinite(source.noticeHours) ? source.noticeHours : DEFAULTS.noticeHours,
+    horizonDays: Number.isFinite(source.horizonDays) ? source.horizonDays : DEFAULTS.horizonDays,
+  };
+}
+
+/** Availability from the JSON shape: `{ windows, blocked, noticeHours, horizonDays }`. */
+export function availabilityFromJson(json, { now = Date.now() } = {}) {
+  if (!json || typeof json !== "object" || !json.timeZone) {
+    throw availabilityError("Availability needs a timeZone.");
+  }
+  const { timeZone, weekly = {}, blocked = [] } = json;
+  const { noticeHours, horizonDays } = settings(json);
+
+  const p = zoneParts(new Date(now), timeZone);
+  const today = { year: p.year, month: p.month, day: p.day };
+  const windows = [];
+
+  for (let i = 0; i <= horizonDays; i++) {
+    const date = addDays(today, i);
+    for (const range of weekly[WEEKDAYS[weekday(date)]] || []) {
+      const [, from, to] = RANGE_RE.exec(range) || [];
+      const start = from && clock(from);
+      const end = to && clock(to);
+      if (!start || !end) continue;
+      windows.push({
+        start: zonedTimeToUtc({ ...date, ...start }, timeZone),
+        end: zonedTimeToUtc({ ...date, ...end }, timeZone),
+      });
+    }
+  }
+
+  return {
+    windows,
+    blocked: blocked.map((b) => ({
+      start: localInstant(String(b.start), timeZone),
+      end: localInstant(String(b.end), timeZone),
+    })),
+    noticeHours,
+    horizonDays,
+  };
+}
+
+/* =====================================================
+   ICS
+===================================================== */
+function unfold(text) {
+  return String(text).replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+}
+
+function parseLine(line) {
+  const colon = line.indexOf(":");
+  if (colon === -1) return null;
+  const [name, ...params] = line.slice(0, colon).split(";");
+  return {
+    name: name.toUpperCase(),
+    params: Object.fromEntries(
+      params.map((p) => {
+        const [k, v = ""] = p.split("=");
+        return [k.toUpperCase(), v.replace(/^"|"$/g, "")];
+      })
+    ),
+    value: line.slice(colon + 1),
+  };
+}
+
+const ICS_DATE_RE = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/;
+
+// { date, time, utc } from an ICS value, or null.
+function icsDate(value) {
+  const m = ICS_DATE_RE.exec(value || "");
+  if (!m) return null;
+  const [, year, month, day, hour, minute, , utc] = m;
+  return {
+    date: { year: Number(year), month: Number(month), day: Number(day) },
+    time: hour === undefined ? null : { hour: Number(hour), minute: Number(minute) },
+    utc: Boolean(utc),
+  };
+}
+
+function icsInstant(date, time, zone) {
+  if (zone === "UTC") {
+    return new Date(Date.UTC(date.year, date.month - 1, date.day, time.hour, time.minute));
+  }
+  return zonedTimeToUtc({ ...date, ...time }, zone);
+}
+
+function parseRule(value = "") {
+  const rule = Object.fromEntries(value.split(";").map((p) => p.split("=")));
+  return {
+    freq: rule.FREQ,
+    interval: Math.max(Number(rule.INTERVAL) || 1, 1),
+    count: rule.COUNT ? Number(rule.COUNT) : Infinity,
+    until: rule.UNTIL ? icsDate(rule.UNTIL) : null,
+    byDay: rule.BYDAY ? rule.BYDAY.split(",").map((d) => ICS_WEEKDAYS.indexOf(d.slice(-2))) : null,
+  };
+}
+
+// Each occurrence's start date for an event, up to `lastDay` (a Date.UTC day).
+function occurrenceDates(start, rule, lastDay) {
+  const toDay = (d) => Date.UTC(d.year, d.month - 1, d.day);
+  if (!rule || !["DAILY", "WEEKLY"].includes(rule.freq)) return [start];
+
+  const untilDay = rule.until ? toDay(rule.until.date) : Infinity;
+  const days = rule.byDay || [weekday(start)];
+  const dates = [];
+
+  for (let i = 0; dates.length < rule.count; i++) {
+    const date = addDays(start, i);
+    const day = toDay(date);
+    if (day > lastDay || day > untilDay) break;
+    const periods = rule.freq === "DAILY" ? i : Math.floor((i + weekday(start)) / 7);
+    if (periods % rule.interval !== 0) continue;
+    if (rule.freq === "WEEKLY" && !days.includes(weekday(date))) continue;
+    dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Availability from an iCalendar file whose events are open windows.
+ * `timeZone` applies to floating times when the file names none.
+ */
+export function availabilityFromIcs(text, { now = Date.now(), timeZone = "UTC" } = {}) {
+  const lines = unfold(text).map(parseLine).filter(Boolean);
+  if (!lines.some((l) => l.name === "BEGIN" && l.value === "VCALENDAR")) {
+    throw availabilityError("Availability is not an iCalendar file.");
+  }
+
+  const calendarZone = lines.find((l) => l.name === "X-WR-TIMEZONE")?.value || timeZone;
+  const { noticeHours, horizonDays } = settings({});
+  const lastDay = now + (horizonDays + 1) * DAY_MS;
+  const windows = [];
+
+  let event = null;
+  for (const line of lines) {
+    if (line.name === "BEGIN" && line.value === "VEVENT") event = {};
+    else if (line.name === "END" && line.value === "VEVENT" && event) {
+      windows.push(...eventWindows(event, calendarZone, lastDay));
+      event = null;
+    } else if (event) event[line.name] = line;
+  }
+
+  return { windows, blocked: [], noticeHours, horizonDays };
+}
+
+function eventWindows(event, calendarZone, lastDay) {
+  if (event.STATUS?.value === "CANCELLED") return [];
+  const start = icsDate(event.DTSTART?.value);
+  const end = icsDate(event.DTEND?.value);
+  if (!start?.time || !end?.time) return []; // all-day or malformed
+
+  const zoneOf = (prop, parsed) => (parsed.utc ? "UTC" : prop.params.TZID || calendarZone);
+  const startZone = zoneOf(event.DTSTART, start);
+  const endZone = zoneOf(event.DTEND, end);
+  // Days the window spans (overnight windows end on a later date).
+  const span = Math.round(
+    (Date.UTC(end.date.year, end.date.month - 1, end.date.day) -
+      Date.UTC(start.date.year, start.date.month - 1, start.date.day)) /
+      DAY_MS
+  );
+
+  return occurrenceDates(start.date, event.RRULE && parseRule(event.RRULE.value), lastDay).map(
+    (date) => ({
+      start: icsInstant(date, start.time, startZone),
+      end: icsInstant(addDays(date, span), end.time, endZone),
+    })
+  );
+}
+
+/* =====================================================
+   SLOTS
+===================================================== */
+
+/**
+ * Bookable slots, soonest first: `[{ start, end }]` as ISO strings. Skips
+ * anything inside the notice period, past the horizon or overlapping a
+ * blocked range.
+ */
+export function listSlots(availability, { now = Date.now() } = {}) {
+  const { windows, blocked = [], noticeHours, horizonDays } = availability;
+  const earliest = now + noticeHours * 60 * 60 * 1000;
+  const latest = now + horizonDays * DAY_MS;
+  const length = BOOKING_MINUTES * 60 * 1000;
+  const seen = new Set();
+  const slots = [];
+
+  for (const w of windows) {
+    for (let t = w.start.getTime(); t + length <= w.end.getTime(); t += length) {
+      if (t < earliest || t > latest || seen.has(t)) continue;
+      if (blocked.some((b) => t < b.end.getTime() && t + length > b.start.getTime())) continue;
+      seen.add(t);
+      slots.push(t);
+    }
+  }
+
+  return slots
+    .sort((a, b) => a - b)
+    .map((t) => ({ start: new Date(t).toISOString(), end: new Date(t + length).toISOString() }));
+}
+
+function availabilityUrl() {
+  return import.meta.env.VITE_BOOKING_AVAILABILITY_URL || "/availability.json";
+}
+
+/** Fetch and parse the availability file (JSON or ICS, by content type or extension). */
+export async function loadAvailability(url = availabilityUrl(), { now = Date.now() } = {}) {
+  let res;
+  try {
+    res = await fetch(url, { headers: { Accept: "application/json, text/calendar" } });
+  } catch {
+    throw availabilityError("Availability could not be loaded.");
+  }
+  if (!res.ok) throw availabilityError(`Availability could not be loaded (${res.status}).`);
+
+  const type = res.headers.get("Content-Type") || "";
+  if (type.includes("text/calendar") || /\.ics(\?|$)/i.test(url)) {
+    return availabilityFromIcs(await res.text(), { now });
+  }
+  try {
+    return availabilityFromJson(await res.json(), { now });
+  } catch (err) {
+    throw err.code ? err : availabilityError("Availability is not valid JSON.");
+  }
+}
+
+/* =====================================================
+   INVITE (.ics)
+===================================================== */
+const icsStamp = (iso) => new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * iCalendar invite for a requested call. The event is TENTATIVE: the
+ * owner confirms it by email.
+ */
+export function createInvite({
+  start,
+  end,
+  reference,
+  name,
+  siteName = "Portfolio",
+  siteUrl = "",
+}) {
+  const host = siteUrl ? new URL(siteUrl).host : "portfolio.local";
+  const description = [
+    `Discovery call requested${name ? ` by ${name}` : ""}.`,
+    reference ? `Reference: ${reference}` : null,
+    "Pending confirmation by email.",
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return joinLines([
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:-//${escapeText(siteName)}//Discovery call//EN`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${reference || icsStamp(start)}@${host}`,
+    `DTSTAMP:${icsStamp(new Date().toISOString())}`,
+    `DTSTART:${icsStamp(start)}`,
+    `DTEND:${icsStamp(end)}`,
+    `SUMMARY:${escapeText(`Discovery call — ${siteName}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    siteUrl ? `URL:${siteUrl}` : null,
+    "STATUS:TENTATIVE",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ]);
+}
+
+/** Trigger a browser download of the invite. */
+export function downloadInvite(booking) {
+  downloadText(
+    createInvite(booking),
+    `discovery-call${booking.reference ? `-${booking.reference}` : ""}.ics`,
+    "text/calendar;charset=utf-8"
+  );
+}
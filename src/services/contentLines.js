@@ -0,0 +1,61 @@
+// src/services/contentLines.js
+//
+// Text "content lines" shared by iCalendar (RFC 5545) and vCard (RFC 6350):
+// property values escape backslashes, commas, semicolons and newlines, and
+// lines longer than 75 octets fold onto continuation lines that start with
+// a space. Files use CRLF line endings.
+
+/** Escape a TEXT property value. */
+export const escapeText = (text = "") =>
+  String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/** Fold one content line at 75 octets, never splitting a character. */
+export function foldLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+
+  const out = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const n = encoder.encode(char).length;
+    // Continuation lines lose one octet to the leading space.
+    if (size + n > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += n;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+/** Join content lines (skipping null) into a CRLF-terminated file body. */
+export const joinLines = (lines) =>
+  lines
+    .filter((line) => line !== null && line !== undefined)
+    .map(foldLine)
+    .join("\r\n")
+    .concat("\r\n");
+
+/** Trigger a browser download of `text` as `filename`. */
+export function downloadText(text, filename, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+
+  // Give the browser a moment to start the download before revoking.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,76 @@
+// src/services/drafts.js
+//
+// Autosaved form drafts, one per form, in localStorage under
+// "draft:<name>". A draft survives closing the quote modal, a reload or a
+// closed tab, and expires after DRAFT_TTL_MS so a shared computer does not
+// keep someone's message around for long.
+//
+// Spam traps and per-submission data are never written, whatever the form
+// passes in: see UNSAVED_KEYS.
+
+const PREFIX = "draft:";
+
+export const DRAFT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Honeypot fields, proof-of-work tokens and files (too large for storage).
+const UNSAVED_KEYS = ["website", "honeypot", "pow", "attachments"];
+
+function storage() {
+  try {
+    return window.localStorage;
+  } catch {
+    return null; // disabled (privacy mode, sandboxed iframe)
+  }
+}
+
+function strip(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return value;
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([k]) => !UNSAVED_KEYS.includes(k))
+      .map(([k, v]) => [k, strip(v)])
+  );
+}
+
+/** True when no field holds anything worth keeping. */
+export function isDraftEmpty(form = {}) {
+  return Object.values(form).every((v) =>
+    Array.isArray(v) ? v.length === 0 : v === undefined || v === null || String(v).trim() === ""
+  );
+}
+
+/** The saved `{ data, savedAt }` for `name`, or null (missing, expired, unreadable). */
+export function loadDraft(name, now = Date.now()) {
+  try {
+    const saved = JSON.parse(storage()?.getItem(PREFIX + name));
+    if (!saved || typeof saved !== "object") return null;
+    if (!(saved.expiresAt > now)) {
+      clearDraft(name);
+      return null;
+    }
+    return { data: saved.data, savedAt: saved.savedAt };
+  } catch {
+    return null;
+  }
+}
+
+/** Save `data` for `name`; returns the save time, or null when nothing was stored. */
+export function saveDraft(name, data, now = Date.now()) {
+  try {
+    storage()?.setItem(
+      PREFIX + name,
+      JSON.stringify({ data: strip(data), savedAt: now, expiresAt: now + DRAFT_TTL_MS })
+    );
+    return now;
+  } catch {
+    return null; // storage full: the form keeps working, it just won't resume
+  }
+}
+
+export function clearDraft(name) {
+  try {
+    storage()?.removeItem(PREFIX + name);
+  } catch {
+    // ignore
+  }
+}
@@ -0,0 +1,44 @@
+// src/services/intro.js
+//
+// Whether the Preloader → Curtains intro plays on this page load. The mode
+// comes from `site.intro.play` in site.config.js:
+//   - "first-visit": once per browser, then straight to the site
+//   - "always":      every load of the home page
+//   - "never":       never
+// Deep links (another route, or a section hash like /#projects) always skip
+// it so the visitor lands on what they asked for.
+
+export const INTRO_STORAGE_KEY = "ui:intro-seen";
+
+/* =====================================================
+   STORAGE
+===================================================== */
+export function hasSeenIntro() {
+  try {
+    return window.localStorage.getItem(INTRO_STORAGE_KEY) === "1";
+  } catch {
+    return false;
+  }
+}
+
+export function markIntroSeen() {
+  try {
+    window.localStorage.setItem(INTRO_STORAGE_KEY, "1");
+  } catch {
+    // Storage disabled: the intro plays again next visit.
+  }
+}
+
+/* =====================================================
+   DECISION
+===================================================== */
+
+/** True when the intro should play for `location` ({ pathname, hash }). */
+export function shouldPlayIntro(mode, location, seen = hasSeenIntro()) {
+  if (mode === "never") return false;
+
+  const deepLink = location.pathname !== "/" || !!location.hash;
+  if (deepLink) return false;
+
+  return mode === "always" || !seen;
+}
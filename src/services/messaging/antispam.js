@@ -0,0 +1,158 @@
+// src/services/messaging/antispam.js
+//
+// Spam defences that need no third-party CAPTCHA, shared by the forms, the
+// messaging layer and the server handler (api/contact.js). DOM-free so Node
+// can import it as-is.
+//
+// Proof of work: the browser finds a `nonce` such that
+//   SHA-256(`${challenge}:${nonce}`)
+// starts with `difficulty` zero bits (see ./pow.worker.js). Cheap for one
+// visitor, expensive for a bot sending thousands. The challenge embeds its
+// creation time, so the server can check it statelessly.
+//
+// Content heuristics: `scoreMessage` adds up points for links, runs of
+// repeated characters, shouting and known spam phrases (0–100). The client
+// sends its score along; the server recomputes it and decides.
+
+export const POW_DEFAULT_DIFFICULTY = 16;
+// Long enough for outbox retries; short enough that old tokens go stale.
+export const POW_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const POW_MAX_DIFFICULTY = 24;
+
+export const SPAM_THRESHOLDS = { flag: 30, reject: 60 };
+
+export const SPAM_PHRASES = [
+  "seo services",
+  "first page of google",
+  "backlinks",
+  "guest post",
+  "increase your traffic",
+  "bitcoin",
+  "forex",
+  "casino",
+  "viagra",
+  "loan offer",
+  "click here",
+  "100% free",
+  "dear sir/madam",
+  "limited time offer",
+];
+
+/* =====================================================
+   PROOF OF WORK
+===================================================== */
+function randomHex(bytes) {
+  const out = new Uint8Array(bytes);
+  if (typeof crypto !== "undefined" && crypto.getRandomValues) crypto.getRandomValues(out);
+  else for (let i = 0; i < bytes; i++) out[i] = Math.floor(Math.random() * 256);
+  return [...out].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** "<issued at, base 36>.<random hex>" */
+export function createChallenge(now = Date.now()) {
+  return `${now.toString(36)}.${randomHex(12)}`;
+}
+
+function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const b of bytes) {
+    if (b === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(b) - 24;
+  }
+  return bits;
+}
+
+async function workBits(challenge, nonce) {
+  const data = new TextEncoder().encode(`${challenge}:${nonce}`);
+  return leadingZeroBits(new Uint8Array(await crypto.subtle.digest("SHA-256", data)));
+}
+
+/**
+ * Find a nonce for `challenge`. Resolves the token sent as `payload.pow`,
+ * or null once `signal` aborts.
+ */
+export async function solveChallenge(
+  challenge,
+  difficulty = POW_DEFAULT_DIFFICULTY,
+  { signal } = {}
+) {
+  let nonce = 0;
+  while ((await workBits(challenge, nonce)) < difficulty) {
+    if (signal?.aborted) return null;
+    nonce++;
+  }
+  return { challenge, nonce, difficulty };
+}
+
+/**
+ * Check a `payload.pow` token. Resolves null when it is valid, otherwise a
+ * short reason: "missing", "malformed", "too_easy", "expired" or "invalid".
+ */
+export async function verifyProofOfWork(
+  pow,
+  { difficulty = POW_DEFAULT_DIFFICULTY, maxAgeMs = POW_MAX_AGE_MS, now = Date.now() } = {}
+) {
+  if (!pow) return "missing";
+
+  const { challenge, nonce } = pow;
+  const [issued, random] = typeof challenge === "string" ? challenge.split(".") : [];
+  const issuedAt = parseInt(issued, 36);
+  if (
+    !/^[0-9a-z]+$/.test(issued || "") ||
+    !/^[0-9a-f]{8,64}$/.test(random || "") ||
+    !Number.isSafeInteger(nonce) ||
+    nonce < 0
+  ) {
+    return "malformed";
+  }
+  if (Number(pow.difficulty) < difficulty) return "too_easy";
+  // A little slack for clocks that run ahead.
+  if (now - issuedAt > maxAgeMs || issuedAt - now > 5 * 60 * 1000) return "expired";
+
+  const required = Math.min(Number(pow.difficulty), POW_MAX_DIFFICULTY);
+  return (await workBits(challenge, nonce)) >= required ? null : "invalid";
+}
+
+/* =====================================================
+   CONTENT HEURISTICS
+===================================================== */
+const LINK_RE = /\bhttps?:\/\/|\bwww\./i;
+const LINKS_RE = new RegExp(LINK_RE.source, "gi");
+const MARKUP_LINK_RE = /\[url[=\]]|<a\s+href/i;
+
+/**
+ * Heuristic spam score for a message: `{ score, reasons }`, score 0–100.
+ * One link is normal ("here is our current site"); piles of them are not.
+ */
+export function scoreMessage(msg = {}) {
+  const text = String(msg.message || "");
+  const name = String(msg.name || "");
+  const reasons = [];
+  let score = 0;
+
+  const add = (points, reason) => {
+    score += points;
+    reasons.push(reason);
+  };
+
+  const links = (text.match(LINKS_RE) || []).length;
+  if (links > 1) add(Math.min((links - 1) * 15, 45), `links:${links}`);
+  if (LINK_RE.test(name)) add(40, "link_in_name");
+  if (MARKUP_LINK_RE.test(text)) add(30, "markup_link");
+
+  if (/(.)\1{7,}/.test(text) || /(.)\1{7,}/.test(name)) add(20, "repeated_chars");
+
+  const letters = text.replace(/[^a-z]/gi, "");
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, "").length / letters.length > 0.7) {
+    add(15, "shouting");
+  }
+
+  const lower = `${name} ${text}`.toLowerCase();
+  const phrases = SPAM_PHRASES.filter((p) => lower.includes(p));
+  if (phrases.length) add(Math.min(phrases.length * 20, 60), `phrases:${phrases.join("|")}`);
+
+  return { score: Math.min(score, 100), reasons };
+}
@@ -0,0 +1,98 @@
+// src/services/messaging/fanout.js
+//
+// Delivering one message to several providers (VITE_CONTACT_PROVIDER is a
+// comma-separated list) and deciding whether the submission as a whole
+// counts as delivered.
+//
+// Env:
+//   VITE_CONTACT_FANOUT    parallel | sequential (default: parallel)
+//   VITE_CONTACT_DELIVERY  any | all | primary (default: any)
+//     any      at least one provider delivered
+//     all      every provider delivered
+//     primary  the first provider in the list delivered
+//
+// Failures that are worth retrying count as "queued" rather than failed:
+// the outbox retries exactly those providers later.
+
+import { isRetryable } from "./outbox";
+
+export const FANOUT_MODES = ["parallel", "sequential"];
+export const DELIVERY_RULES = ["any", "all", "primary"];
+
+/** Provider names from a "emailjs, webhook" style list, lower-cased and de-duplicated. */
+export function parseProviders(value, fallback = "mock") {
+  const names = String(value || fallback)
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(names.length ? names : [fallback])];
+}
+
+function settle(provider, promise) {
+  return promise.then(
+    (res) =>
+      res && res.ok === false
+        ? { provider, ok: false, error: new Error(`${provider} returned ok=false`) }
+        : { provider, ok: true, result: res },
+    (error) => ({ provider, ok: false, queued: isRetryable(error), error })
+  );
+}
+
+/**
+ * Run `send(name)` for every provider. Never throws: each entry is
+ * `{ provider, ok, result? , error?, queued? }`, in list order.
+ */
+export async function deliverAll(names, send, { mode = "parallel" } = {}) {
+  const attempt = (name) => settle(name, Promise.resolve().then(() => send(name)));
+
+  if (mode === "sequential") {
+    const results = [];
+    for (const name of names) results.push(await attempt(name));
+    return results;
+  }
+  return Promise.all(names.map(attempt));
+}
+
+/**
+ * Apply the delivery rule. `names` is the full provider list (its first
+ * entry is the primary). Returns `{ ok, queued }`:
+ *   ok      the rule is met by providers that already delivered
+ *   queued  not met yet, but would be once the queued providers succeed
+ */
+export function decideDelivery(rule, names, results) {
+  const state = (name) => {
+    const r = results.find((x) => x.provider === name);
+    if (!r) return "missing";
+    if (r.ok) return "delivered";
+    return r.queued ? "queued" : "failed";
+  };
+  const states = names.map(state);
+
+  switch (rule) {
+    case "all":
+      if (states.every((s) => s === "delivered")) return { ok: true, queued: false };
+      return { ok: false, queued: !states.includes("failed") };
+
+    case "primary":
+      return { ok: states[0] === "delivered", queued: states[0] === "queued" };
+
+    case "any":
+    default:
+      if (states.includes("delivered")) return { ok: true, queued: false };
+      return { ok: false, queued: states.includes("queued") };
+  }
+}
+
+/** Per-provider summary safe to hand to the UI (no Error objects). */
+export function describeResults(results) {
+  return results.map(({ provider, ok, result, error, queued }) =>
+    ok
+      ? { provider, ok, ...(result?.status ? { status: result.status } : {}), id: result?.id }
+      : {
+          provider,
+          ok,
+          queued: Boolean(queued),
+          error: { message: error?.message || "Delivery failed", code: error?.code },
+        }
+  );
+}
@@ -1,10 +1,48 @@
 // src/services/messaging/index.js
-import { sendWithMock } from "./providers/mock";
-import { sendWithMailto } from "./providers/mailto";
-import { sendWithEmailJS } from "./providers/emailjs";
+import { mockProvider } from "./providers/mock";
+import { mailtoProvider } from "./providers/mailto";
+import { emailjsProvider } from "./providers/emailjs";
+import { httpProvider } from "./providers/http";
+import { webhookProvider } from "./providers/webhook";
+import { checkProviderConfig, getProvider, registerProvider } from "./registry";
+import { enqueue, startOutbox } from "./outbox";
+import {
+  DELIVERY_RULES,
+  FANOUT_MODES,
+  decideDelivery,
+  deliverAll,
+  describeResults,
+  parseProviders,
+} from "./fanout";
+import { assertValidMessage } from "./validation";
+import { createReference } from "./reference";
+import { scoreMessage } from "./antispam";
+import { assertNotThrottled, recordSubmission } from "./throttle";
+import { createLogger } from "./logger";
 
-function getProvider() {
-  return (import.meta.env.VITE_CONTACT_PROVIDER || "mock").toLowerCase();
+export { registerProvider, listProviders } from "./registry";
+
+registerProvider("mock", mockProvider);
+registerProvider("mailto", mailtoProvider);
+registerProvider("emailjs", emailjsProvider);
+registerProvider("http", httpProvider);
+registerProvider("webhook", webhookProvider);
+
+const log = createLogger();
+
+// One or more providers, e.g. VITE_CONTACT_PROVIDER="emailjs,webhook" (see ./fanout.js).
+function getProviders() {
+  return parseProviders(import.meta.env.VITE_CONTACT_PROVIDER);
+}
+
+function getFanoutMode() {
+  const mode = (import.meta.env.VITE_CONTACT_FANOUT || "parallel").toLowerCase();
+  return FANOUT_MODES.includes(mode) ? mode : "parallel";
+}
+
+function getDeliveryRule() {
+  const rule = (import.meta.env.VITE_CONTACT_DELIVERY || "any").toLowerCase();
+  return DELIVERY_RULES.includes(rule) ? rule : "any";
 }
 
 function getSiteMeta() {
@@ -14,6 +52,17 @@ function getSiteMeta() {
   };
 }
 
+function createIdempotencyKey() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Opt-in: attach the client-side PDF summary to outgoing quotes (next to
+// any files the visitor added).
+function shouldAttachSummary(enriched) {
+  return enriched.kind === "quote" && import.meta.env.VITE_QUOTE_ATTACH_SUMMARY === "true";
+}
+
 function normalizePayload(payload) {
   const rest = { ...(payload || {}) };
 
@@ -26,52 +75,225 @@ function normalizePayload(payload) {
   for (const [k, v] of Object.entries(rest)) {
     trimmed[k] = typeof v === "string" ? v.trim() : v;
   }
+
+  // Reject bad payloads before any provider (or the outbox) sees them.
+  assertValidMessage(trimmed.kind || "contact", trimmed);
   return trimmed;
 }
 
+function sendWith(name, message) {
+  const problems = checkProviderConfig([name]);
+  if (problems.length) {
+    throw Object.assign(new Error(problems.join("; ")), {
+      provider: name,
+      code: "not_configured",
+      retryable: false,
+    });
+  }
+
+  const provider = getProvider(name);
+  if (!provider.capabilities.offline && navigator.onLine === false) {
+    throw Object.assign(new Error("Offline"), { provider: name, code: "offline", retryable: true });
+  }
+  return provider.send(withoutUnsupportedFiles(provider, message));
+}
+
+// Providers that cannot carry files get their names instead, so the message
+// still says what was left out.
+function withoutUnsupportedFiles(provider, message) {
+  if (provider.capabilities.attachments || !message.attachments?.length) return message;
+
+  const rest = { ...message };
+  delete rest.attachments;
+  return { ...rest, omittedAttachments: message.attachments.map((a) => a.filename) };
+}
+
+function attachmentWarnings(providers, message) {
+  const count = message.attachments?.length || 0;
+  if (!count) return [];
+  return attachmentSupport(providers).unsupported.map(
+    (name) => `${name} cannot carry attachments: ${count} file(s) were not sent through it.`
+  );
+}
+
+/**
+ * Which of the configured providers can deliver files. Forms use it to warn
+ * before the visitor attaches anything.
+ */
+export function attachmentSupport(providers = getProviders()) {
+  const known = providers.map(getProvider).filter(Boolean);
+  return {
+    supported: known.filter((p) => p.capabilities.attachments).map((p) => p.name),
+    unsupported: known.filter((p) => !p.capabilities.attachments).map((p) => p.name),
+  };
+}
+
+/**
+ * Check the configured providers once at startup. Logs and returns the
+ * problems (unknown names, missing env) so they show up before anyone
+ * submits a form.
+ */
+export function validateMessagingConfig() {
+  const problems = checkProviderConfig(getProviders());
+  for (const p of problems) log.warn(p);
+  return problems;
+}
+
+// Outbox entries remember which providers still need the message
+// (`deliverTo`), so a retry never re-sends to one that already has it.
+async function retryDelivery(payload) {
+  const { deliverTo, ...message } = payload;
+  const results = await deliverAll(deliverTo || getProviders(), (name) => sendWith(name, message), {
+    mode: getFanoutMode(),
+  });
 
+  const pending = results.filter((r) => !r.ok && r.queued).map((r) => r.provider);
+  log.debug(`retry ${message.reference}`, describeResults(results));
+  if (pending.length) {
+    throw Object.assign(new Error(`Still pending: ${pending.join(", ")}`), {
+      retryable: true,
+      retryPayload: { ...message, deliverTo: pending },
+    });
+  }
+
+  const failed = results.find((r) => !r.ok);
+  if (failed) throw Object.assign(failed.error, { retryable: false });
+  return { ok: true };
+}
+
+function deliveryError(results) {
+  const errors = results.filter((r) => !r.ok).map((r) => r.error);
+  const fields = Object.assign({}, ...errors.map((e) => e?.fields || {}));
+
+  return Object.assign(new Error("Message could not be delivered."), {
+    code: "delivery_failed",
+    retryable: false,
+    results: describeResults(results),
+    ...(Object.keys(fields).length ? { fields } : {}),
+  });
+}
+
+/**
+ * Validate, enrich and deliver a message to every configured provider.
+ *
+ * Resolves with `{ ok, queued?, partial, provider, results, reference,
+ * timestamp }` where `results` has one entry per provider. Rejects when the
+ * delivery rule cannot be met even after retries (or on invalid input).
+ */
 export async function sendMessage(payload) {
-  const provider = getProvider();
+  const providers = getProviders();
   const meta = getSiteMeta();
 
   const clean = normalizePayload(payload);
+  // Repeated clicks and identical re-sends stop here (see ./throttle.js).
+  assertNotThrottled(clean.kind || "contact", clean);
 
-  console.log("[messaging] provider:", provider);
-  console.log("[messaging] VITE_CONTACT_PROVIDER:", import.meta.env.VITE_CONTACT_PROVIDER);
-  console.log("[messaging] has serviceId:", !!import.meta.env.VITE_EMAILJS_SERVICE_ID);
-  console.log("[messaging] has templateId:", !!import.meta.env.VITE_EMAILJS_TEMPLATE_ID);
-  console.log("[messaging] has publicKey:", !!import.meta.env.VITE_EMAILJS_PUBLIC_KEY);
-
-
+  const idempotencyKey = clean.idempotencyKey || createIdempotencyKey();
   const enriched = {
     ...clean,
+    idempotencyKey,
+    reference: clean.reference || createReference(clean.kind),
     pagePath: clean.pagePath || window.location.pathname + window.location.hash,
     userAgent: clean.userAgent || navigator.userAgent,
     siteName: meta.siteName,
     siteUrl: meta.siteUrl,
     timestamp: new Date().toISOString(),
+    // Advisory: the server recomputes it (see ./antispam.js).
+    spam: scoreMessage(clean),
   };
 
-  switch (provider) {
-    case "mailto":
-      return sendWithMailto(enriched);
-    case "emailjs":
-      return sendWithEmailJS(enriched);
-    case "mock":
-    default:
-      return sendWithMock(enriched);
+  if (shouldAttachSummary(enriched)) {
+    // Loaded on demand: the PDF writer is only needed for quotes.
+    const { quoteSummaryAttachment } = await import("../quoteSummary");
+    enriched.attachments = [...(enriched.attachments || []), quoteSummaryAttachment(enriched)];
+    // The summary counts towards the attachment limits the server enforces.
+    assertValidMessage(enriched.kind, { ...clean, attachments: enriched.attachments });
+  }
+
+  const warnings = attachmentWarnings(providers, enriched);
+  for (const w of warnings) log.warn(w);
+
+  log.debug(`sending ${enriched.kind} ${enriched.reference}`, {
+    providers,
+    mode: getFanoutMode(),
+    rule: getDeliveryRule(),
+  });
+
+  const results = await deliverAll(providers, (name) => sendWith(name, enriched), {
+    mode: getFanoutMode(),
+  });
+  const { ok, queued } = decideDelivery(getDeliveryRule(), providers, results);
+
+  if (!ok && !queued) {
+    log.error(`${enriched.reference} not delivered`, describeResults(results));
+    // A lone provider's own error (with its `fields`, `status`) is the most useful.
+    if (providers.length === 1) throw results[0].error;
+    throw deliveryError(results);
   }
+
+  // Queue only the providers that can still succeed.
+  const pending = results.filter((r) => !r.ok && r.queued);
+  if (pending.length) {
+    const names = pending.map((r) => r.provider);
+    if (enqueue({ ...enriched, deliverTo: names }, pending[0].error)) {
+      log.warn(`${enriched.reference} queued for ${names.join(", ")}`);
+    } else if (!ok) {
+      // Nothing delivered and nothing stored: the visitor must send it again.
+      log.error(`${enriched.reference} could not be queued`, describeResults(results));
+      throw Object.assign(new Error("Message could not be queued for retry."), {
+        code: "queue_failed",
+        retryable: true,
+        results: describeResults(results),
+      });
+    } else {
+      log.warn(`${enriched.reference} could not be queued for ${names.join(", ")}`);
+    }
+  }
+
+  recordSubmission(enriched.kind || "contact", enriched);
+  if (ok) log.info(`${enriched.reference} delivered`, describeResults(results));
+
+  return {
+    // Single provider: keep its own fields (id, status, ...) at the top level.
+    ...(providers.length === 1 ? results[0].result : {}),
+    ok,
+    ...(queued ? { queued: true, idempotencyKey } : {}),
+    partial: ok && results.some((r) => !r.ok),
+    provider: providers.join(","),
+    results: describeResults(results),
+    reference: enriched.reference,
+    timestamp: enriched.timestamp,
+    ...(warnings.length ? { warnings } : {}),
+  };
+}
+
+/**
+ * Retry queued submissions in the background. Call once at app start;
+ * returns a stop function.
+ */
+export function startMessagingOutbox() {
+  return startOutbox(retryDelivery);
 }
 
 export async function sendContactMessage(formState) {
   return sendMessage({ kind: "contact", ...formState });
 }
 
+// A discovery call from the booking calendar (slot as a UTC ISO string).
+export async function sendBookingRequest(formState) {
+  return sendMessage({ kind: "booking", ...formState });
+}
+
+const toCount = (v) => (v === "" || v == null || Number.isNaN(Number(v)) ? v : Number(v));
+
 // ⚠️ minor ordering fix below (section 2)
 export async function sendQuoteMessage(formState, selectedServiceLabel = "") {
   return sendMessage({
     kind: "quote",
     ...formState,
+    // Wizard inputs hold strings; providers get real numbers.
+    sites: toCount(formState.sites),
+    endpoints: toCount(formState.endpoints),
     service: selectedServiceLabel || formState.projectType || "",
   });
 }
@@ -0,0 +1,91 @@
+// src/services/messaging/logger.js
+//
+// Small levelled logger for the messaging layer. Everything it prints goes
+// through `redact()` first, so visitor details never reach the console:
+// emails keep only their domain, free text (message, name, phone, ...) is
+// reduced to its length.
+//
+// Env:
+//   VITE_MESSAGING_LOG_LEVEL  debug | info | warn | error | silent
+//                             (default: debug in development, silent in
+//                             production builds and under test)
+//
+//   const log = createLogger("http");
+//   log.debug("sending", payload);   // [messaging:http] sending { email: "***@example.com", ... }
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+
+const CONSOLE = { debug: "debug", info: "info", warn: "warn", error: "error" };
+
+// Keys whose values are free text typed by the visitor.
+const TEXT_KEYS = new Set(["message", "text", "body", "name", "phone", "company", "useragent"]);
+const EMAIL_KEYS = new Set(["email", "replyto", "to", "from"]);
+const EMAIL_RE = /[^\s@<>"',;]+@([^\s@<>"',;]+\.[^\s@<>"',;]+)/g;
+
+export function getLogLevel(env = import.meta.env) {
+  const level = String(env?.VITE_MESSAGING_LOG_LEVEL || "").toLowerCase();
+  if (LOG_LEVELS.includes(level)) return level;
+  return env?.PROD || env?.MODE === "test" ? "silent" : "debug";
+}
+
+function maskEmails(text) {
+  return text.replace(EMAIL_RE, "***@$1");
+}
+
+/**
+ * Copy of `value` that is safe to log. Strings have embedded email
+ * addresses masked; known PII keys are masked or summarised; attachments
+ * keep only their filename, type and size.
+ */
+export function redact(value, key = "", depth = 0) {
+  const k = key.toLowerCase();
+
+  if (typeof value === "string") {
+    if (TEXT_KEYS.has(k)) return value ? `[${value.length} chars]` : value;
+    return maskEmails(value);
+  }
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: maskEmails(value.message),
+      code: value.code,
+      status: value.status,
+    };
+  }
+  if (!value || typeof value !== "object" || depth > 4) return value;
+
+  if (k === "attachments" && Array.isArray(value)) {
+    return value.map((a) => ({
+      filename: a?.filename,
+      contentType: a?.contentType,
+      chars: a?.content?.length || 0,
+    }));
+  }
+  if (Array.isArray(value)) return value.map((v) => redact(v, "", depth + 1));
+  // Error summaries (see describeResults): their `message` is ours, not the visitor's.
+  if (k === "error" && typeof value.message === "string") {
+    return { ...value, message: maskEmails(value.message) };
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([childKey, v]) => [
+      childKey,
+      EMAIL_KEYS.has(childKey.toLowerCase()) && typeof v === "string"
+        ? maskEmails(v)
+        : redact(v, childKey, depth + 1),
+    ])
+  );
+}
+
+/** Logger that prefixes `[messaging:<scope>]` and honours the env level. */
+export function createLogger(scope) {
+  const prefix = scope ? `[messaging:${scope}]` : "[messaging]";
+
+  const emit = (level) => (message, ...data) => {
+    const current = getLogLevel();
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(current)) return;
+    console[CONSOLE[level]](`${prefix} ${message}`, ...data.map((d) => redact(d)));
+  };
+
+  return { debug: emit("debug"), info: emit("info"), warn: emit("warn"), error: emit("error") };
+}
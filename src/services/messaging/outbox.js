@@ -0,0 +1,199 @@
+// src/services/messaging/outbox.js
+//
+// Persistent outbox for submissions that could not be delivered (offline,
+// timeouts, 5xx). Entries live in localStorage, are retried with
+// exponential backoff, and flushed immediately when the browser comes back
+// online. Each entry is keyed by the payload's `idempotencyKey`, so the
+// same submission is never queued (or delivered) twice.
+//
+// Emits `window` event "messaging:outbox" with
+//   { detail: { type: "queued" | "delivered" | "dropped", key, pending } }
+
+const STORAGE_KEY = "messaging:outbox";
+
+export const OUTBOX_BASE_DELAY_MS = 2000;
+export const OUTBOX_MAX_DELAY_MS = 5 * 60 * 1000;
+export const OUTBOX_MAX_ATTEMPTS = 8;
+
+/* =====================================================
+   STORAGE
+===================================================== */
+function read() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Returns false when storage is full or disabled (nothing was saved). */
+function write(list) {
+  try {
+    if (list.length) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+    else window.localStorage.removeItem(STORAGE_KEY);
+    return true;
+  } catch {
+    // Attachments are base64 and can be large enough to hit the quota.
+    return false;
+  }
+}
+
+function emit(type, key) {
+  window.dispatchEvent(
+    new CustomEvent("messaging:outbox", {
+      detail: { type, key, pending: read().length },
+    })
+  );
+}
+
+export function backoffDelay(attempts) {
+  return Math.min(OUTBOX_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1), OUTBOX_MAX_DELAY_MS);
+}
+
+/* =====================================================
+   PUBLIC API
+===================================================== */
+export function getOutbox() {
+  return read();
+}
+
+/**
+ * Decide whether a failed delivery is worth queueing. Validation and other
+ * client errors are not: they would fail the same way again.
+ */
+export function isRetryable(err) {
+  if (typeof err?.retryable === "boolean") return err.retryable;
+  if (typeof navigator !== "undefined" && navigator.onLine === false) return true;
+  if (err instanceof TypeError) return true; // fetch network failure
+  const status = Number(err?.status);
+  return status === 0 || status === 429 || status >= 500;
+}
+
+/**
+ * Queue a payload. Returns false when it was not queued: an entry with the
+ * same idempotency key is already waiting, or storage is full / disabled.
+ */
+export function enqueue(payload, error) {
+  const key = payload?.idempotencyKey;
+  if (!key) throw new Error("Outbox entries need payload.idempotencyKey");
+
+  const list = read();
+  if (list.some((e) => e.key === key)) return false;
+
+  const now = Date.now();
+  list.push({
+    key,
+    payload,
+    attempts: 1,
+    createdAt: now,
+    nextAttemptAt: now + backoffDelay(1),
+    lastError: error?.message || null,
+  });
+  if (!write(list)) return false;
+  emit("queued", key);
+  return true;
+}
+
+/**
+ * Try every due entry once through `deliver(payload)`.
+ * `force` ignores the backoff schedule (used when coming back online).
+ * A failure may carry `retryPayload` to replace the stored payload, e.g.
+ * when only some of several providers still need the message.
+ */
+export async function flushOutbox(deliver, { force = false } = {}) {
+  const now = Date.now();
+  const due = read().filter((e) => force || e.nextAttemptAt <= now);
+
+  for (const entry of due) {
+    let delivered = false;
+    let error = null;
+
+    try {
+      const res = await deliver(entry.payload);
+      delivered = !(res && res.ok === false);
+      if (!delivered) error = new Error("Message provider returned ok=false");
+    } catch (err) {
+      error = err;
+    }
+
+    // Re-read: another tab may have changed the queue while we awaited.
+    const list = read();
+    const idx = list.findIndex((e) => e.key === entry.key);
+    if (idx === -1) continue;
+
+    if (delivered) {
+      list.splice(idx, 1);
+      write(list);
+      emit("delivered", entry.key);
+      continue;
+    }
+
+    const attempts = list[idx].attempts + 1;
+    if (attempts > OUTBOX_MAX_ATTEMPTS || !isRetryable(error)) {
+      list.splice(idx, 1);
+      write(list);
+      emit("dropped", entry.key);
+      continue;
+    }
+
+    list[idx] = {
+      ...list[idx],
+      ...(error?.retryPayload ? { payload: error.retryPayload } : {}),
+      attempts,
+      nextAttemptAt: Date.now() + backoffDelay(attempts),
+      lastError: error?.message || null,
+    };
+    write(list);
+  }
+}
+
+/**
+ * Start retrying in the background. Returns a stop function.
+ */
+export function startOutbox(deliver) {
+  let timer = null;
+  let running = false;
+  let stopped = false;
+
+  const schedule = () => {
+    clearTimeout(timer);
+    if (stopped) return;
+
+    const list = read();
+    if (!list.length) return;
+
+    const next = Math.min(...list.map((e) => e.nextAttemptAt));
+    timer = setTimeout(() => run(), Math.max(0, next - Date.now()));
+  };
+
+  const run = async (opts) => {
+    if (running || stopped) return;
+    if (navigator.onLine === false) return; // wait for "online"
+
+    running = true;
+    try {
+      await flushOutbox(deliver, opts);
+    } finally {
+      running = false;
+      schedule();
+    }
+  };
+
+  const onOnline = () => run({ force: true });
+  const onChange = (e) => {
+    if (e.detail?.type === "queued") schedule();
+  };
+
+  window.addEventListener("online", onOnline);
+  window.addEventListener("messaging:outbox", onChange);
+  run();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    window.removeEventListener("online", onOnline);
+    window.removeEventListener("messaging:outbox", onChange);
+  };
+}
@@ -0,0 +1,13 @@
+// src/services/messaging/pow.worker.js
+//
+// Solves a proof-of-work challenge off the main thread, so typing stays
+// smooth while the token is found (see ./antispam.js and
+// src/hooks/useProofOfWork.js).
+//
+//   postMessage({ challenge, difficulty })  ->  { challenge, nonce, difficulty }
+
+import { solveChallenge } from "./antispam";
+
+self.onmessage = async ({ data }) => {
+  self.postMessage(await solveChallenge(data.challenge, data.difficulty));
+};
@@ -1,19 +1,29 @@
 // src/services/messaging/providers/emailjs.js
 import emailjs from "@emailjs/browser";
+import { formatScope } from "../scope";
+import { createLogger } from "../logger";
 
-function must(name, value) {
-  if (!value) throw new Error(`Missing env: ${name}`);
-  return value;
+const log = createLogger("emailjs");
+
+function emailjsError(message, status) {
+  return Object.assign(new Error(message), {
+    provider: "emailjs",
+    status,
+    // 0 = network failure; 4xx (bad template, bad key) will not fix itself.
+    retryable: status === 0 || status === 429 || status >= 500,
+  });
 }
 
+// Required env is checked up front by the registry (see ../registry.js).
 export async function sendWithEmailJS(payload) {
-  const serviceId = must("VITE_EMAILJS_SERVICE_ID", import.meta.env.VITE_EMAILJS_SERVICE_ID);
-  const templateId = must("VITE_EMAILJS_TEMPLATE_ID", import.meta.env.VITE_EMAILJS_TEMPLATE_ID);
-  const publicKey = must("VITE_EMAILJS_PUBLIC_KEY", import.meta.env.VITE_EMAILJS_PUBLIC_KEY);
+  const serviceId = import.meta.env.VITE_EMAILJS_SERVICE_ID;
+  const templateId = import.meta.env.VITE_EMAILJS_TEMPLATE_ID;
+  const publicKey = import.meta.env.VITE_EMAILJS_PUBLIC_KEY;
 
   // Map your payload to EmailJS template variables
   const templateParams = {
     kind: payload.kind,
+    reference: payload.reference || "",
     siteName: payload.siteName,
     name: payload.name,
     email: payload.email,
@@ -23,12 +33,53 @@ export async function sendWithEmailJS(payload) {
     service: payload.service || "",
     projectType: payload.projectType || "",
     budget: payload.budget || "",
+    sites: payload.sites ?? "",
+    endpoints: payload.endpoints ?? "",
+    vendors: (payload.vendors || []).join(", "),
+    timeline: payload.timeline || "",
+    compliance: (payload.compliance || []).join(", "),
+    estimate: payload.estimate || "",
+    // Discovery calls: slot start (UTC ISO) and the visitor's time zone.
+    slot: payload.slot || "",
+    timeZone: payload.timeZone || "",
+    // Pre-formatted block for templates that just want one variable.
+    scope: formatScope(payload).join("\n"),
     pagePath: payload.pagePath || "",
     siteUrl: payload.siteUrl || "",
+    // Nothing checks the proof of work on this path; show the score instead.
+    spamScore: payload.spam?.score ?? "",
+    // EmailJS templates cannot take files; name what was left out.
+    omittedAttachments: (payload.omittedAttachments || []).join(", "),
   };
 
-  const res = await emailjs.send(serviceId, templateId, templateParams, { publicKey });
+  log.debug(`sending ${payload.reference}`);
+
+  let res;
+  try {
+    res = await emailjs.send(serviceId, templateId, templateParams, { publicKey });
+  } catch (err) {
+    // The SDK rejects with { status, text }, not an Error.
+    const status = Number(err?.status) || 0;
+    log.warn(`${payload.reference} failed`, { status, text: err?.text });
+    throw emailjsError(`EmailJS failed: ${status} ${err?.text || err?.message || ""}`.trim(), status);
+  }
 
-  if (res?.status !== 200) throw new Error(`EmailJS failed: ${res?.status} ${res?.text}`);
-  return { ok: true, provider: "emailjs", status: res.status, id: res.text };
+  if (res?.status !== 200) {
+    log.warn(`${payload.reference} failed`, { status: res?.status });
+    throw emailjsError(`EmailJS failed: ${res?.status} ${res?.text}`, Number(res?.status) || 0);
+  }
+  return {
+    ok: true,
+    provider: "emailjs",
+    status: res.status,
+    id: res.text,
+    reference: payload.reference,
+  };
 }
+
+export const emailjsProvider = {
+  send: sendWithEmailJS,
+  env: {
+    required: ["VITE_EMAILJS_SERVICE_ID", "VITE_EMAILJS_TEMPLATE_ID", "VITE_EMAILJS_PUBLIC_KEY"],
+  },
+};
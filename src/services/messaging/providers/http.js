@@ -0,0 +1,123 @@
+// src/services/messaging/providers/http.js
+//
+// POSTs the enriched payload as JSON to a server-side endpoint (see
+// api/contact.js for the reference handler). Keeps provider secrets on
+// the server instead of shipping EmailJS keys to the browser.
+//
+// Messages with attachments go as multipart/form-data instead: a `payload`
+// field with the JSON (minus the files) and one `attachments` file part
+// per attachment, so files travel as bytes rather than base64.
+//
+// Env:
+//   VITE_CONTACT_ENDPOINT    URL to POST to (default: /api/contact)
+//   VITE_CONTACT_TIMEOUT_MS  abort after N ms (default: 10000)
+//
+// Expected responses:
+//   2xx  { ok: true, id?, reference? }
+//   4xx/5xx  { ok: false, error: { code, message, fields? } }
+
+import { createLogger } from "../logger";
+
+const log = createLogger("http");
+
+const DEFAULT_ENDPOINT = "/api/contact";
+const DEFAULT_TIMEOUT_MS = 10000;
+
+function httpError(message, details) {
+  return Object.assign(new Error(message), { provider: "http", ...details });
+}
+
+function toFormData(payload) {
+  const rest = { ...payload };
+  delete rest.attachments;
+
+  const form = new FormData();
+  form.append("payload", JSON.stringify(rest));
+  for (const file of payload.attachments) {
+    const bytes = Uint8Array.from(atob(file.content), (c) => c.charCodeAt(0));
+    form.append("attachments", new Blob([bytes], { type: file.contentType }), file.filename);
+  }
+  return form;
+}
+
+async function readJson(res) {
+  try {
+    return await res.json();
+  } catch (err) {
+    // Aborted mid-body: a timeout, not a malformed response.
+    if (err?.name === "AbortError") throw err;
+    return null;
+  }
+}
+
+export async function sendWithHttp(payload) {
+  const endpoint = import.meta.env.VITE_CONTACT_ENDPOINT || DEFAULT_ENDPOINT;
+  const timeoutMs = Number(import.meta.env.VITE_CONTACT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+  log.debug(`POST ${endpoint} ${payload.reference}`, { timeoutMs });
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  const multipart = payload.attachments?.length > 0;
+
+  let res;
+  let body;
+  try {
+    res = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        // Multipart: the browser sets the Content-Type with its boundary.
+        ...(multipart ? {} : { "Content-Type": "application/json" }),
+        Accept: "application/json",
+        // Lets the server drop replays of an outbox retry.
+        ...(payload.idempotencyKey ? { "Idempotency-Key": payload.idempotencyKey } : {}),
+      },
+      body: multipart ? toFormData(payload) : JSON.stringify(payload),
+      signal: controller.signal,
+    });
+    // Still under the timer: headers can arrive long before the body does.
+    body = await readJson(res);
+  } catch (err) {
+    log.warn(`${payload.reference} request failed`, err);
+    if (err?.name === "AbortError") {
+      throw httpError(`HTTP provider timed out after ${timeoutMs}ms`, {
+        code: "timeout",
+        retryable: true,
+      });
+    }
+    throw httpError(`HTTP provider network error: ${err?.message || err}`, {
+      code: "network",
+      retryable: true,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!res.ok || body?.ok === false) {
+    const error = body?.error || {};
+    log.warn(`${payload.reference} rejected with ${res.status}`, { code: error.code });
+    throw httpError(error.message || `HTTP provider failed: ${res.status}`, {
+      status: res.status,
+      code: error.code || `http_${res.status}`,
+      fields: error.fields,
+      // Client errors will fail the same way again; server errors may not.
+      retryable: res.status === 429 || res.status >= 500,
+    });
+  }
+
+  return {
+    ok: true,
+    provider: "http",
+    status: res.status,
+    id: body?.id,
+    reference: body?.reference || payload.reference,
+  };
+}
+
+export const httpProvider = {
+  send: sendWithHttp,
+  // api/contact.js dedupes on the Idempotency-Key header.
+  capabilities: { attachments: true, idempotent: true },
+  env: { optional: ["VITE_CONTACT_ENDPOINT", "VITE_CONTACT_TIMEOUT_MS"] },
+};
@@ -1,23 +1,43 @@
 // src/services/messaging/providers/mailto.js
+import { formatScope, kindTitle } from "../scope";
+import { createLogger } from "../logger";
+
+const log = createLogger("mailto");
+
 export async function sendWithMailto(payload) {
   const to = import.meta.env.VITE_CONTACT_TO_EMAIL || "";
   if (!to) {
+    log.warn("VITE_CONTACT_TO_EMAIL not set; nothing was sent");
     // If no email is configured, just behave like mock success
-    return { ok: true, provider: "mailto", note: "No VITE_CONTACT_TO_EMAIL set." };
+    return {
+      ok: true,
+      provider: "mailto",
+      reference: payload.reference,
+      note: "No VITE_CONTACT_TO_EMAIL set.",
+    };
   }
 
-  const subject =
-    payload.kind === "quote"
-      ? `Quote Request — ${payload.name}`
-      : `Contact Message — ${payload.name}`;
+  const subject = [
+    kindTitle(payload.kind),
+    payload.reference ? `[${payload.reference}]` : null,
+    `— ${payload.name}`,
+  ]
+    .filter(Boolean)
+    .join(" ");
 
   const bodyLines = [
+    payload.reference ? `Reference: ${payload.reference}` : null,
     `Name: ${payload.name}`,
     `Email: ${payload.email}`,
     payload.service ? `Service: ${payload.service}` : null,
     payload.projectType ? `Project Type: ${payload.projectType}` : null,
     payload.budget ? `Budget: ${payload.budget}` : null,
+    ...formatScope(payload),
     `Page: ${payload.pagePath}`,
+    // mailto: links cannot carry files (see attachmentSupport in ../index.js).
+    payload.omittedAttachments?.length
+      ? `Attachments not included: ${payload.omittedAttachments.join(", ")}`
+      : null,
     "",
     "Message:",
     payload.message || "(no message)",
@@ -26,6 +46,14 @@ export async function sendWithMailto(payload) {
   const body = encodeURIComponent(bodyLines.join("\n"));
   const url = `mailto:${encodeURIComponent(to)}?subject=${encodeURIComponent(subject)}&body=${body}`;
 
+  log.debug(`opening mail client for ${payload.reference}`, { chars: url.length });
   window.location.href = url;
-  return { ok: true, provider: "mailto" };
+  return { ok: true, provider: "mailto", reference: payload.reference };
 }
+
+export const mailtoProvider = {
+  send: sendWithMailto,
+  // Hands off to the visitor's mail client, which works offline too.
+  capabilities: { offline: true },
+  env: { optional: ["VITE_CONTACT_TO_EMAIL"] },
+};
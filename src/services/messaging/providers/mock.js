@@ -1,13 +1,20 @@
 // src/services/messaging/providers/mock.js
+import { createLogger } from "../logger";
+
+const log = createLogger("mock");
+
 export async function sendWithMock(payload) {
   // Simulate latency (keeps UI realistic)
   await new Promise((r) => setTimeout(r, 650));
 
   // Template-friendly: do not leak real endpoints
-  if (import.meta.env.DEV) {
-    
-    console.log("[mock messaging] payload:", payload);
-  }
+  log.debug("payload", payload);
 
-  return { ok: true, provider: "mock" };
+  return { ok: true, provider: "mock", reference: payload.reference };
 }
+
+export const mockProvider = {
+  send: sendWithMock,
+  // Accepts anything; nothing leaves the browser.
+  capabilities: { attachments: true, offline: true, idempotent: true },
+};
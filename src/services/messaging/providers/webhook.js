@@ -0,0 +1,252 @@
+// src/services/messaging/providers/webhook.js
+//
+// Posts each message to a chat webhook, formatted for the target:
+//   slack    Block Kit message (incoming webhooks)
+//   discord  embed
+//   teams    Adaptive Card (Teams workflows / incoming webhooks)
+//   json     the enriched payload plus a plain-text rendering (default)
+//
+// Env:
+//   VITE_WEBHOOK_URL         target URL (required)
+//   VITE_WEBHOOK_FORMAT      slack | discord | teams | json (default: json)
+//   VITE_CONTACT_TIMEOUT_MS  abort after N ms (default: 10000)
+//
+// The URL ships in the client bundle, so anyone can post to it. Slack and
+// Teams also reject cross-origin browser requests: point VITE_WEBHOOK_URL
+// at a relay you control for those (or try it against the local receiver,
+// `npm run webhook:dev`). Discord webhooks accept browser requests.
+//
+// Attachments are not forwarded (chat webhooks only take text); their file
+// names are listed instead.
+//
+// Everything in the payload comes from a public form, so it must not be able
+// to ping anyone: Slack mrkdwn is escaped (`<!channel>`, `<@U…>` need a raw
+// `<`) and Discord bodies allow no mentions (`@everyone`, `<@id>`).
+
+import { formatScope } from "../scope";
+import { createLogger } from "../logger";
+
+const log = createLogger("webhook");
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+export const WEBHOOK_FORMATS = ["slack", "discord", "teams", "json"];
+
+// Discord wants a decimal colour; matches the site accent (#61dca3).
+const ACCENT = 0x61dca3;
+
+// Chat messages are for a glance; the full text stays in the email/inbox.
+const MESSAGE_PREVIEW_CHARS = 1500;
+
+function webhookError(message, details) {
+  return Object.assign(new Error(message), { provider: "webhook", ...details });
+}
+
+// Slack's mrkdwn control characters; see "Escaping text" in the Slack docs.
+const slackEscape = (text = "") =>
+  String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+function preview(text = "") {
+  return text.length > MESSAGE_PREVIEW_CHARS
+    ? `${text.slice(0, MESSAGE_PREVIEW_CHARS)}…`
+    : text;
+}
+
+// Title and notification wording per message kind (contact is the fallback).
+const KIND_TITLES = { quote: "Quote request", booking: "Discovery call" };
+const KIND_NOUNS = { quote: "quote request", booking: "call booking" };
+
+function titleFor(payload) {
+  const what = KIND_TITLES[payload.kind] || "Contact message";
+  return `${what} ${payload.reference || ""}`.trim();
+}
+
+/** `[label, value]` pairs shown as fields in every format. */
+function factsFor(payload) {
+  const scope = formatScope(payload).map((line) => {
+    const [label, ...rest] = line.split(": ");
+    return [label, rest.join(": ")];
+  });
+
+  return [
+    ["Name", payload.name],
+    ["Email", payload.email],
+    ["Service", payload.service],
+    ["Project type", payload.projectType],
+    ["Budget", payload.budget],
+    ...scope,
+    ["Attachments not sent", (payload.omittedAttachments || []).join(", ")],
+    ["Page", payload.pagePath],
+  ].filter(([, value]) => value);
+}
+
+function toSlack(payload) {
+  const facts = factsFor(payload);
+  return {
+    // Fallback for notifications and clients without Block Kit.
+    text: slackEscape(`${titleFor(payload)} from ${payload.name}`),
+    blocks: [
+      { type: "header", text: { type: "plain_text", text: titleFor(payload) } },
+      {
+        type: "section",
+        // Slack caps a section at 10 fields.
+        fields: facts.slice(0, 10).map(([label, value]) => ({
+          type: "mrkdwn",
+          text: `*${label}*\n${slackEscape(value)}`,
+        })),
+      },
+      // Slack rejects an empty text object (invalid_blocks); booking agendas are optional.
+      ...(payload.message
+        ? [{ type: "section", text: { type: "plain_text", text: preview(payload.message) } }]
+        : []),
+      {
+        type: "context",
+        elements: [
+          { type: "mrkdwn", text: slackEscape(`${payload.siteName} • ${payload.timestamp}`) },
+        ],
+      },
+    ],
+  };
+}
+
+function toDiscord(payload) {
+  return {
+    content: `New ${KIND_NOUNS[payload.kind] || "message"} from ${payload.name}`,
+    allowed_mentions: { parse: [] },
+    embeds: [
+      {
+        title: titleFor(payload),
+        description: preview(payload.message),
+        color: ACCENT,
+        timestamp: payload.timestamp,
+        fields: factsFor(payload).map(([name, value]) => ({
+          name,
+          value: String(value),
+          inline: true,
+        })),
+        footer: { text: payload.siteName },
+      },
+    ],
+  };
+}
+
+function toTeams(payload) {
+  return {
+    type: "message",
+    attachments: [
+      {
+        contentType: "application/vnd.microsoft.card.adaptive",
+        content: {
+          $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+          type: "AdaptiveCard",
+          version: "1.4",
+          body: [
+            { type: "TextBlock", size: "Large", weight: "Bolder", text: titleFor(payload) },
+            {
+              type: "FactSet",
+              facts: factsFor(payload).map(([title, value]) => ({ title, value: String(value) })),
+            },
+            ...(payload.message
+              ? [{ type: "TextBlock", wrap: true, text: preview(payload.message) }]
+              : []),
+          ],
+        },
+      },
+    ],
+  };
+}
+
+function toJson(payload) {
+  // Drop bulky fields a chat relay has no use for.
+  const rest = { ...payload };
+  delete rest.attachments;
+  delete rest.userAgent;
+  delete rest.pow;
+
+  const text = [
+    titleFor(payload),
+    ...factsFor(payload).map(([label, value]) => `${label}: ${value}`),
+    "",
+    payload.message || "",
+  ].join("\n");
+
+  return { event: "message", ...rest, text };
+}
+
+/** Request body for `format`. Exported for tests and custom relays. */
+export function formatWebhookBody(format, payload) {
+  switch (format) {
+    case "slack":
+      return toSlack(payload);
+    case "discord":
+      return toDiscord(payload);
+    case "teams":
+      return toTeams(payload);
+    case "json":
+    default:
+      return toJson(payload);
+  }
+}
+
+export async function sendWithWebhook(payload) {
+  // URL and format are checked up front by the registry (see webhookProvider).
+  const url = import.meta.env.VITE_WEBHOOK_URL;
+  const format = (import.meta.env.VITE_WEBHOOK_FORMAT || "json").toLowerCase();
+  const timeoutMs = Number(import.meta.env.VITE_CONTACT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+  // The URL often embeds a secret token: log the host only.
+  log.debug(`POST ${format} ${payload.reference}`, { host: new URL(url, window.location.href).host });
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let res;
+  try {
+    res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(formatWebhookBody(format, payload)),
+      signal: controller.signal,
+    });
+  } catch (err) {
+    log.warn(`${payload.reference} request failed`, err);
+    if (err?.name === "AbortError") {
+      throw webhookError(`Webhook timed out after ${timeoutMs}ms`, {
+        code: "timeout",
+        retryable: true,
+      });
+    }
+    throw webhookError(`Webhook network error: ${err?.message || err}`, {
+      code: "network",
+      retryable: true,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  // Slack answers "ok", Discord 204, Teams 202: only the status matters.
+  if (!res.ok) {
+    log.warn(`${payload.reference} rejected with ${res.status}`);
+    throw webhookError(`Webhook failed: ${res.status}`, {
+      status: res.status,
+      code: `http_${res.status}`,
+      retryable: res.status === 429 || res.status >= 500,
+    });
+  }
+
+  return { ok: true, provider: "webhook", status: res.status, format, reference: payload.reference };
+}
+
+export const webhookProvider = {
+  send: sendWithWebhook,
+  env: {
+    required: ["VITE_WEBHOOK_URL"],
+    optional: ["VITE_WEBHOOK_FORMAT", "VITE_CONTACT_TIMEOUT_MS"],
+  },
+  checkConfig(env) {
+    const format = (env.VITE_WEBHOOK_FORMAT || "json").toLowerCase();
+    return WEBHOOK_FORMATS.includes(format)
+      ? []
+      : [`VITE_WEBHOOK_FORMAT must be one of ${WEBHOOK_FORMATS.join(", ")} (got "${format}")`];
+  },
+};
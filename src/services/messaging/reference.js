@@ -0,0 +1,31 @@
+// src/services/messaging/reference.js
+//
+// Human-readable message references, e.g. "Q-2026-0042-XYZ":
+//   kind prefix (Q quote, B call booking, C contact) - year - 4 random digits - 3-character suffix.
+//
+// Assigned once in `sendMessage` and persisted with the payload, so outbox
+// retries keep the same reference. About 327M combinations per kind and
+// year: collisions are not a practical concern for a portfolio inbox.
+// DOM-free so api/contact.js can validate references too.
+
+export const REFERENCE_RE = /^[QBC]-\d{4}-\d{4}-[A-HJ-NP-Z2-9]{3}$/;
+
+// Suffix only (the digit group uses plain 0-9): no 0/O or 1/I there, since
+// references get read out over the phone.
+const ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+function randomInts(count, max) {
+  const out = new Uint32Array(count);
+  if (typeof crypto !== "undefined" && crypto.getRandomValues) crypto.getRandomValues(out);
+  else for (let i = 0; i < count; i++) out[i] = Math.floor(Math.random() * 2 ** 32);
+  return [...out].map((n) => n % max);
+}
+
+export function createReference(kind = "contact", date = new Date()) {
+  const prefix = { quote: "Q", booking: "B" }[kind] || "C";
+  const digits = randomInts(4, 10).join("");
+  const letters = randomInts(3, ALPHABET.length)
+    .map((i) => ALPHABET[i])
+    .join("");
+  return `${prefix}-${date.getFullYear()}-${digits}-${letters}`;
+}
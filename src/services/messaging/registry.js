@@ -0,0 +1,101 @@
+// src/services/messaging/registry.js
+//
+// Messaging providers register here instead of being hard-wired into
+// `sendMessage`. Built-ins are registered by ./index.js; add your own with
+//
+//   registerProvider("sms", {
+//     send: async (payload) => ({ ok: true, provider: "sms", reference: payload.reference }),
+//     capabilities: { attachments: false },
+//     env: { required: ["VITE_SMS_URL"] },
+//   });
+//
+// and list it in VITE_CONTACT_PROVIDER.
+//
+// Provider contract
+//   send(payload)       async; resolves `{ ok: true, provider, reference, ...extra }`.
+//                       Failures THROW an Error with a boolean `retryable`
+//                       (true only if the same payload could succeed later)
+//                       and optionally `code`, `status`, `fields`.
+//   capabilities        all optional booleans, default false:
+//     attachments       forwards `payload.attachments`
+//     offline           works without network (sendMessage won't queue it)
+//     idempotent        honours `payload.idempotencyKey`, so retries are safe
+//   env.required        env var names that must be non-empty
+//   env.optional        documented, never enforced
+//   checkConfig(env)    optional; returns extra problems as strings
+//                       (e.g. an env var with an unsupported value)
+
+const providers = new Map();
+
+const CAPABILITIES = ["attachments", "offline", "idempotent"];
+
+/**
+ * Register (or replace) a provider. Throws when `impl` does not follow the
+ * contract, so mistakes surface at startup rather than on first submit.
+ * Returns a function that unregisters it.
+ */
+export function registerProvider(name, impl) {
+  const key = String(name || "").trim().toLowerCase();
+  const problems = [];
+
+  if (!/^[a-z][a-z0-9-]*$/.test(key)) problems.push("name must be lower-case letters, digits or -");
+  if (typeof impl?.send !== "function") problems.push("send(payload) must be a function");
+  if (impl?.checkConfig !== undefined && typeof impl.checkConfig !== "function") {
+    problems.push("checkConfig must be a function");
+  }
+  for (const list of ["required", "optional"]) {
+    const names = impl?.env?.[list];
+    if (names !== undefined && !(Array.isArray(names) && names.every((n) => typeof n === "string"))) {
+      problems.push(`env.${list} must be an array of env var names`);
+    }
+  }
+  for (const [cap, value] of Object.entries(impl?.capabilities || {})) {
+    if (!CAPABILITIES.includes(cap)) problems.push(`unknown capability "${cap}"`);
+    else if (typeof value !== "boolean") problems.push(`capability "${cap}" must be a boolean`);
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid messaging provider "${name}": ${problems.join("; ")}`);
+  }
+
+  providers.set(key, {
+    name: key,
+    send: impl.send,
+    capabilities: Object.fromEntries(CAPABILITIES.map((c) => [c, Boolean(impl.capabilities?.[c])])),
+    env: { required: impl.env?.required || [], optional: impl.env?.optional || [] },
+    checkConfig: impl.checkConfig,
+  });
+
+  return () => {
+    if (providers.get(key)?.send === impl.send) providers.delete(key);
+  };
+}
+
+export function getProvider(name) {
+  return providers.get(String(name).toLowerCase()) || null;
+}
+
+export function listProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Configuration problems for `names` as readable strings (empty when all
+ * good): unknown providers, missing required env, provider-specific checks.
+ */
+export function checkProviderConfig(names, env = import.meta.env) {
+  const problems = [];
+
+  for (const name of names) {
+    const provider = getProvider(name);
+    if (!provider) {
+      problems.push(`Unknown messaging provider "${name}" (known: ${[...providers.keys()].join(", ")})`);
+      continue;
+    }
+    for (const v of provider.env.required) {
+      if (!env?.[v]) problems.push(`Missing env ${v} for the "${name}" provider`);
+    }
+    for (const p of provider.checkConfig?.(env) || []) problems.push(`${name}: ${p}`);
+  }
+  return problems;
+}
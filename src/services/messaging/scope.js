@@ -0,0 +1,77 @@
+// src/services/messaging/scope.js
+//
+// Structured scoping questions asked by the quote wizard, plus the slot of a
+// booked discovery call. Values travel in the payload; labels are for humans
+// (wizard, mailto body, relay emails). DOM-free so api/contact.js can import
+// it too.
+
+export const SCOPE_LIMITS = {
+  sites: 500,
+  endpoints: 100000,
+};
+
+export const VENDORS = [
+  { value: "cisco", label: "Cisco" },
+  { value: "fortigate", label: "FortiGate" },
+  { value: "paloalto", label: "Palo Alto" },
+];
+
+export const TIMELINES = [
+  { value: "asap", label: "As soon as possible" },
+  { value: "1-3-months", label: "1 – 3 months" },
+  { value: "3-6-months", label: "3 – 6 months" },
+  { value: "flexible", label: "Flexible" },
+];
+
+export const COMPLIANCE = [
+  { value: "pci-dss", label: "PCI DSS" },
+  { value: "hipaa", label: "HIPAA" },
+  { value: "iso-27001", label: "ISO 27001" },
+  { value: "soc2", label: "SOC 2" },
+  { value: "gdpr", label: "GDPR" },
+];
+
+export const optionValues = (options) => options.map((o) => o.value);
+
+// Subject / title for each message kind.
+const KIND_TITLES = {
+  contact: "Contact Message",
+  quote: "Quote Request",
+  booking: "Discovery Call",
+};
+
+export const kindTitle = (kind) => KIND_TITLES[kind] || KIND_TITLES.contact;
+
+// The owner reads call times in UTC; the visitor's zone is listed alongside.
+function formatSlot(start, minutes) {
+  const from = new Date(start);
+  if (Number.isNaN(from.getTime())) return start;
+  const to = new Date(from.getTime() + minutes * 60 * 1000);
+  const time = (d) => d.toISOString().slice(11, 16);
+  return `${from.toISOString().slice(0, 10)} ${time(from)}–${time(to)} UTC`;
+}
+
+function labelsFor(options, picked) {
+  const list = Array.isArray(picked) ? picked : [];
+  return list.map((v) => options.find((o) => o.value === v)?.label || v).join(", ");
+}
+
+/**
+ * Scope answers (and a booked call) as "Label: value" lines, skipping
+ * anything unanswered. Shared by the mailto/EmailJS providers and the
+ * server relay.
+ */
+export function formatScope(msg = {}) {
+  const timeline = TIMELINES.find((t) => t.value === msg.timeline)?.label || msg.timeline;
+
+  return [
+    msg.slot ? `Call: ${formatSlot(msg.slot, msg.duration || 30)}` : null,
+    msg.slot && msg.timeZone ? `Visitor time zone: ${msg.timeZone}` : null,
+    msg.sites ? `Sites: ${msg.sites}` : null,
+    msg.endpoints ? `Users / endpoints: ${msg.endpoints}` : null,
+    msg.vendors?.length ? `Existing vendors: ${labelsFor(VENDORS, msg.vendors)}` : null,
+    timeline ? `Timeline: ${timeline}` : null,
+    msg.compliance?.length ? `Compliance: ${labelsFor(COMPLIANCE, msg.compliance)}` : null,
+    msg.estimate ? `Estimate: ${msg.estimate}` : null,
+  ].filter(Boolean);
+}
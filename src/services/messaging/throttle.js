@@ -0,0 +1,145 @@
+// src/services/messaging/throttle.js
+//
+// Client-side brakes on repeated submissions, per browser session and per
+// kind (contact / quote / booking):
+//   - at least THROTTLE.minIntervalMs between two sends
+//   - at most THROTTLE.maxPerWindow sends per THROTTLE.windowMs
+//   - an identical message (same sender, text and scope) is refused for
+//     THROTTLE.duplicateWindowMs, with the reference it was first sent under
+//
+// Only sends that were accepted (delivered or queued) count. State lives in
+// sessionStorage, so a reload does not reset it but a new tab does. This is
+// a courtesy to the inbox, not a security boundary: the server screens
+// spam on its own (see ./antispam.js).
+
+const STORAGE_KEY = "messaging:throttle";
+
+export const THROTTLE = {
+  minIntervalMs: 30 * 1000,
+  maxPerWindow: 5,
+  windowMs: 60 * 60 * 1000,
+  duplicateWindowMs: 10 * 60 * 1000,
+};
+
+// What makes two messages "the same" for duplicate detection.
+const FINGERPRINT_FIELDS = [
+  "name",
+  "email",
+  "service",
+  "projectType",
+  "budget",
+  "sites",
+  "endpoints",
+  "vendors",
+  "timeline",
+  "compliance",
+  "slot",
+  "message",
+];
+
+/* =====================================================
+   STORAGE
+===================================================== */
+function read() {
+  try {
+    const state = JSON.parse(window.sessionStorage.getItem(STORAGE_KEY) || "{}");
+    return state && typeof state === "object" ? state : {};
+  } catch {
+    return {};
+  }
+}
+
+function write(state) {
+  try {
+    window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch {
+    // Storage full / disabled: throttling simply does not persist.
+  }
+}
+
+// Drop entries no rule looks at any more.
+function prune(entries = [], now) {
+  const keep = Math.max(THROTTLE.windowMs, THROTTLE.duplicateWindowMs);
+  return entries.filter((e) => now - e.at < keep);
+}
+
+/* =====================================================
+   FINGERPRINT
+===================================================== */
+// FNV-1a: short, stable, and good enough to tell messages apart.
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
+
+export function fingerprint(kind, payload = {}) {
+  const normalize = (v) =>
+    (Array.isArray(v) ? [...v].sort().join(",") : String(v ?? ""))
+      .toLowerCase()
+      .replace(/\s+/g, " ")
+      .trim();
+  return hash([kind, ...FINGERPRINT_FIELDS.map((f) => normalize(payload[f]))].join("\u0000"));
+}
+
+/* =====================================================
+   PUBLIC API
+===================================================== */
+
+/** Milliseconds until `kind` may be sent again (0 when it may now). */
+export function getCooldown(kind, now = Date.now()) {
+  const sent = prune(read()[kind], now);
+  if (!sent.length) return 0;
+
+  const last = Math.max(...sent.map((e) => e.at));
+  let until = last + THROTTLE.minIntervalMs;
+
+  const inWindow = sent.filter((e) => now - e.at < THROTTLE.windowMs).sort((a, b) => a.at - b.at);
+  if (inWindow.length >= THROTTLE.maxPerWindow) {
+    const oldest = inWindow[inWindow.length - THROTTLE.maxPerWindow];
+    until = Math.max(until, oldest.at + THROTTLE.windowMs);
+  }
+  return Math.max(0, until - now);
+}
+
+/**
+ * Throw when `payload` may not be sent yet. The error has `code`
+ * "duplicate" (with the earlier `reference`) or "rate_limited", plus
+ * `retryAfterMs`, and is never retryable.
+ */
+export function assertNotThrottled(kind, payload, now = Date.now()) {
+  const sent = prune(read()[kind], now);
+  const print = fingerprint(kind, payload);
+  const same = sent.find((e) => e.print === print && now - e.at < THROTTLE.duplicateWindowMs);
+
+  if (same) {
+    throw Object.assign(new Error("This message was already sent."), {
+      code: "duplicate",
+      reference: same.reference,
+      retryAfterMs: same.at + THROTTLE.duplicateWindowMs - now,
+      retryable: false,
+    });
+  }
+
+  const wait = getCooldown(kind, now);
+  if (wait > 0) {
+    throw Object.assign(new Error("Please wait before sending another message."), {
+      code: "rate_limited",
+      retryAfterMs: wait,
+      retryable: false,
+    });
+  }
+}
+
+/** Count an accepted send of `payload`. */
+export function recordSubmission(kind, payload, now = Date.now()) {
+  const state = read();
+  state[kind] = [
+    ...prune(state[kind], now),
+    { at: now, print: fingerprint(kind, payload), reference: payload.reference },
+  ];
+  write(state);
+}
@@ -0,0 +1,206 @@
+// src/services/messaging/validation.js
+//
+// One set of rules for every message, shared by ContactForm, QuoteModal,
+// `normalizePayload` in ./index.js and the server handler (api/contact.js).
+// Keep it dependency- and DOM-free so Node can import it as-is.
+
+import { COMPLIANCE, SCOPE_LIMITS, TIMELINES, VENDORS, optionValues } from "./scope.js";
+import { REFERENCE_RE } from "./reference.js";
+
+export const LIMITS = {
+  name: 100,
+  email: 254,
+  service: 200,
+  estimate: 100,
+  timeZone: 64,
+  message: 5000,
+  // Visitor files plus the optional PDF summary.
+  attachments: 5,
+  // Decoded sizes. Queued messages keep their files in localStorage, so
+  // stay well under its ~5 MB quota.
+  attachmentBytes: 1024 * 1024,
+  attachmentTotalBytes: 2 * 1024 * 1024,
+  // Part of the total kept free for the PDF summary, which is added after
+  // the visitor's files (a full-length quote renders to well under this).
+  summaryBytes: 64 * 1024,
+};
+
+// Accepted attachments by extension. Browsers report no (or a generic) type
+// for .drawio, .vsdx or .cfg, so the extension decides the content type.
+export const ATTACHMENT_EXTENSIONS = {
+  pdf: "application/pdf",
+  vsdx: "application/vnd.ms-visio.drawing",
+  vsd: "application/vnd.visio",
+  drawio: "application/vnd.jgraph.mxfile",
+  xml: "application/xml",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  txt: "text/plain",
+  cfg: "text/plain",
+  conf: "text/plain",
+  log: "text/plain",
+};
+
+export const ATTACHMENT_TYPES = [...new Set(Object.values(ATTACHMENT_EXTENSIONS))];
+
+/** Content type for `filename`, or null when its extension is not accepted. */
+export function attachmentType(filename = "") {
+  const ext = /\.([a-z0-9]+)$/i.exec(filename)?.[1]?.toLowerCase();
+  return ATTACHMENT_EXTENSIONS[ext] || null;
+}
+
+/** Decoded size in bytes of a base64 string. */
+export function base64Bytes(content = "") {
+  const padding = content.endsWith("==") ? 2 : content.endsWith("=") ? 1 : 0;
+  return Math.floor((content.length * 3) / 4) - padding;
+}
+
+export const CONTACT_SERVICES = ["network", "security", "consulting", "web"];
+export const PROJECT_TYPES = ["website", "network", "security", "consulting"];
+export const BUDGETS = ["under-1k", "1k-3k", "3k-5k", "5k+"];
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+// Start of a booked call, as a UTC instant ("2026-10-20T14:00:00.000Z").
+const SLOT_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{3})?)?Z$/;
+
+const name = { label: "Name", required: true, maxLength: LIMITS.name };
+const email = { label: "Email", required: true, maxLength: LIMITS.email, email: true };
+const message = { label: "Message", required: true, maxLength: LIMITS.message };
+// Optional so hand-written API calls still work; the server assigns one if missing.
+const reference = { label: "Reference", pattern: REFERENCE_RE };
+
+export const MESSAGE_RULES = {
+  contact: {
+    reference,
+    name,
+    email,
+    service: { label: "Service", oneOf: CONTACT_SERVICES },
+    message,
+  },
+  quote: {
+    reference,
+    name,
+    email,
+    projectType: { label: "Project type", oneOf: PROJECT_TYPES },
+    budget: { label: "Budget", oneOf: BUDGETS },
+    // Free text: the selected service title from the Services grid.
+    service: { label: "Service", maxLength: LIMITS.service },
+    // Scoping answers collected by the quote wizard.
+    sites: { label: "Number of sites", required: true, integer: true, min: 1, max: SCOPE_LIMITS.sites },
+    endpoints: {
+      label: "Users / endpoints",
+      required: true,
+      integer: true,
+      min: 1,
+      max: SCOPE_LIMITS.endpoints,
+    },
+    vendors: { label: "Vendors", anyOf: optionValues(VENDORS) },
+    timeline: { label: "Timeline", required: true, oneOf: optionValues(TIMELINES) },
+    compliance: { label: "Compliance needs", anyOf: optionValues(COMPLIANCE) },
+    // Formatted range from the Services price estimator, when used.
+    estimate: { label: "Estimate", maxLength: LIMITS.estimate },
+    // { filename, contentType, content(base64) } files: the visitor's
+    // diagrams/configs and the optional PDF summary.
+    attachments: { label: "Attachments", attachments: true },
+    message: { ...message, label: "Project details" },
+  },
+  booking: {
+    reference,
+    name,
+    email,
+    slot: { label: "Time slot", required: true, pattern: SLOT_RE },
+    duration: { label: "Duration", integer: true, min: 15, max: 120 },
+    // The visitor's IANA zone, so replies can quote their local time.
+    timeZone: { label: "Time zone", maxLength: LIMITS.timeZone },
+    message: { label: "Agenda", maxLength: LIMITS.message },
+  },
+};
+
+const BASE64_RE = /^[A-Za-z0-9+/]*={0,2}$/;
+
+function checkAttachments(list, rule) {
+  if (!Array.isArray(list)) return `${rule.label} are invalid.`;
+  if (list.length > LIMITS.attachments) {
+    return `${rule.label}: at most ${LIMITS.attachments} files.`;
+  }
+  let total = 0;
+  for (const file of list) {
+    const ok =
+      typeof file?.filename === "string" &&
+      file.filename.length > 0 &&
+      file.filename.length <= 120 &&
+      attachmentType(file.filename) === file.contentType &&
+      typeof file.content === "string" &&
+      BASE64_RE.test(file.content) &&
+      base64Bytes(file.content) <= LIMITS.attachmentBytes;
+    if (!ok) return `${rule.label} are invalid or too large.`;
+    total += base64Bytes(file.content);
+  }
+  if (total > LIMITS.attachmentTotalBytes) {
+    return `${rule.label}: at most ${LIMITS.attachmentTotalBytes / 1024 / 1024} MB in total.`;
+  }
+  return null;
+}
+
+function checkField(value, rule) {
+  const text = typeof value === "string" ? value.trim() : value;
+
+  if (text === undefined || text === null || text === "" || (Array.isArray(text) && !text.length)) {
+    return rule.required ? `${rule.label} is required.` : null;
+  }
+  if (rule.integer) {
+    const n = typeof text === "number" ? text : /^\d+$/.test(text) ? Number(text) : NaN;
+    if (!Number.isInteger(n)) return `${rule.label} must be a whole number.`;
+    if (n < rule.min || n > rule.max) {
+      return `${rule.label} must be between ${rule.min} and ${rule.max}.`;
+    }
+    return null;
+  }
+  if (rule.attachments) return checkAttachments(text, rule);
+  if (rule.anyOf) {
+    const ok = Array.isArray(text) && text.every((v) => rule.anyOf.includes(v));
+    return ok ? null : `Choose valid ${rule.label.toLowerCase()}.`;
+  }
+  if (typeof text !== "string") return `${rule.label} is invalid.`;
+  if (rule.maxLength && text.length > rule.maxLength) {
+    return `${rule.label} must be at most ${rule.maxLength} characters.`;
+  }
+  if (rule.email && !EMAIL_RE.test(text)) return "Enter a valid email address.";
+  if (rule.oneOf && !rule.oneOf.includes(text)) return `Choose a valid ${rule.label.toLowerCase()}.`;
+  if (rule.pattern && !rule.pattern.test(text)) return `${rule.label} is invalid.`;
+  return null;
+}
+
+/**
+ * Validate `input` against the rules for `kind` ("contact" | "quote" | "booking").
+ * Pass `fields` to check only some of them (one wizard step at a time).
+ * Returns `{ field: message }` for every invalid field, or null when valid.
+ */
+export function validateMessage(kind, input = {}, fields) {
+  const rules = MESSAGE_RULES[kind];
+  if (!rules) return { kind: "Unknown message kind." };
+
+  const errors = {};
+  for (const [key, rule] of Object.entries(rules)) {
+    if (fields && !fields.includes(key)) continue;
+    const problem = checkField(input[key], rule);
+    if (problem) errors[key] = problem;
+  }
+  return Object.keys(errors).length ? errors : null;
+}
+
+/**
+ * Throw the same error shape the http provider produces for a 422, so
+ * callers handle client- and server-side rejections identically.
+ */
+export function assertValidMessage(kind, input) {
+  const fields = validateMessage(kind, input);
+  if (!fields) return;
+
+  throw Object.assign(new Error("Some fields are invalid."), {
+    code: "validation_failed",
+    fields,
+    retryable: false,
+  });
+}
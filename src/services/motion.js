@@ -0,0 +1,101 @@
+// src/services/motion.js
+//
+// Motion preferences: one "reduce motion" switch plus a toggle per animated
+// effect. Until the visitor changes something, "reduce motion" follows
+// `prefers-reduced-motion` and nothing is stored; after that the whole set
+// is saved and the OS setting no longer applies (until reset).
+//
+// Components read the resolved `effects` (see hooks/useMotionPreferences):
+// an effect runs only when its toggle is on and motion is not reduced.
+
+export const MOTION_STORAGE_KEY = "ui:motion";
+
+export const MOTION_EFFECTS = ["glitch", "cursor", "decrypt", "transitions"];
+
+export const MOTION_EFFECT_LABELS = {
+  glitch: "Background glitch",
+  cursor: "Custom cursor",
+  decrypt: "Text decryption",
+  transitions: "Panel transitions",
+};
+
+const REDUCED_QUERY = "(prefers-reduced-motion: reduce)";
+
+/* =====================================================
+   SYSTEM PREFERENCE
+===================================================== */
+function reducedQuery() {
+  if (typeof window === "undefined" || typeof window.matchMedia !== "function") return null;
+  return window.matchMedia(REDUCED_QUERY);
+}
+
+export function prefersReducedMotion() {
+  return !!reducedQuery()?.matches;
+}
+
+/** Call `onChange` whenever `prefers-reduced-motion` flips; returns an unsubscribe. */
+export function subscribeReducedMotion(onChange) {
+  const mq = reducedQuery();
+  if (!mq) return () => {};
+
+  // Older Safari uses `addListener`/`removeListener`.
+  if (typeof mq.addEventListener === "function") {
+    mq.addEventListener("change", onChange);
+    return () => mq.removeEventListener("change", onChange);
+  }
+  mq.addListener?.(onChange);
+  return () => mq.removeListener?.(onChange);
+}
+
+/* =====================================================
+   STORAGE
+===================================================== */
+
+/** The saved preferences, or null while following the system setting. */
+export function loadMotionPreferences() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(MOTION_STORAGE_KEY));
+    if (!saved || typeof saved !== "object") return null;
+
+    return {
+      reduceMotion: saved.reduceMotion === true,
+      ...Object.fromEntries(MOTION_EFFECTS.map((key) => [key, saved[key] !== false])),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/** Save `preferences`, or pass null to go back to following the system. */
+export function saveMotionPreferences(preferences) {
+  try {
+    if (preferences) {
+      window.localStorage.setItem(MOTION_STORAGE_KEY, JSON.stringify(preferences));
+    } else {
+      window.localStorage.removeItem(MOTION_STORAGE_KEY);
+    }
+  } catch {
+    // Storage disabled: the choice lasts for this page view only.
+  }
+}
+
+/* =====================================================
+   RESOLVE
+===================================================== */
+
+/**
+ * `{ preferences, effects, followsSystem }` from what was saved (or null)
+ * and the current `prefers-reduced-motion` value.
+ */
+export function resolveMotion(saved, systemReduced = prefersReducedMotion()) {
+  const preferences = saved || {
+    reduceMotion: systemReduced,
+    ...Object.fromEntries(MOTION_EFFECTS.map((key) => [key, true])),
+  };
+
+  const effects = Object.fromEntries(
+    MOTION_EFFECTS.map((key) => [key, preferences[key] && !preferences.reduceMotion])
+  );
+
+  return { preferences, effects, followsSystem: !saved };
+}
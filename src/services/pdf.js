@@ -0,0 +1,170 @@
+// src/services/pdf.js
+//
+// Minimal PDF 1.4 writer for simple branded documents: filled rectangles,
+// lines and Helvetica text on A4 pages. Enough for the quote summary
+// without pulling a PDF library into the bundle.
+//
+// Coordinates are in points with the origin at the TOP-left (converted
+// to PDF's bottom-left on output). Text is WinAnsi-encoded; characters
+// outside that set are replaced with "?".
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+// Average Helvetica glyph width as a fraction of the font size. Good
+// enough for wrapping prose; not for precise alignment.
+const AVG_CHAR_WIDTH = 0.5;
+
+// Unicode -> WinAnsi for the few non-Latin-1 characters we actually use.
+const WIN_ANSI = {
+  "–": 0x96, // en dash
+  "—": 0x97, // em dash
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95, // bullet
+  "…": 0x85, // ellipsis
+  "€": 0x80, // euro
+};
+
+function encodeText(str) {
+  let out = "";
+  for (const ch of String(str)) {
+    const code = ch.codePointAt(0);
+    let byte;
+    if (WIN_ANSI[ch] !== undefined) byte = WIN_ANSI[ch];
+    else if (code >= 0x20 && code <= 0x7e) byte = code;
+    else if (code >= 0xa0 && code <= 0xff) byte = code;
+    else byte = 0x3f; // "?"
+
+    const c = String.fromCharCode(byte);
+    out += c === "(" || c === ")" || c === "\\" ? `\\${c}` : c;
+  }
+  return out;
+}
+
+const num = (n) => Number(n.toFixed(2)).toString();
+
+/** "#61dca3" -> "0.38 0.863 0.639" */
+function rgb(hex) {
+  const v = hex.replace("#", "");
+  const full = v.length === 3 ? [...v].map((c) => c + c).join("") : v;
+  return [0, 2, 4].map((i) => num(parseInt(full.slice(i, i + 2), 16) / 255)).join(" ");
+}
+
+/** Split `text` into lines that fit `maxWidth` at `size` (approximate). */
+export function wrapText(text, maxWidth, size) {
+  const maxChars = Math.max(1, Math.floor(maxWidth / (size * AVG_CHAR_WIDTH)));
+  const lines = [];
+
+  for (const paragraph of String(text).split(/\r?\n/)) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      // Hard-break words longer than a whole line (URLs, hashes).
+      let rest = word;
+      while (rest.length > maxChars) {
+        if (line) lines.push(line);
+        lines.push(rest.slice(0, maxChars));
+        rest = rest.slice(maxChars);
+        line = "";
+      }
+      const next = line ? `${line} ${rest}` : rest;
+      if (next.length > maxChars) {
+        lines.push(line);
+        line = rest;
+      } else {
+        line = next;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Create a document. Drawing calls go to the current page; `addPage()`
+ * starts a new one. `toBytes()` returns the finished file.
+ */
+export function createPdf({ width = A4.width, height = A4.height, title = "" } = {}) {
+  const pages = [];
+  let ops;
+
+  const addPage = () => {
+    ops = [];
+    pages.push(ops);
+  };
+  addPage();
+
+  const y = (top) => height - top;
+
+  const doc = {
+    width,
+    height,
+    addPage,
+
+    rect(x, top, w, h, { fill = "#000000" } = {}) {
+      ops.push(`${rgb(fill)} rg ${num(x)} ${num(y(top + h))} ${num(w)} ${num(h)} re f`);
+      return doc;
+    },
+
+    line(x1, top1, x2, top2, { color = "#000000", width: lw = 1 } = {}) {
+      ops.push(
+        `${rgb(color)} RG ${num(lw)} w ${num(x1)} ${num(y(top1))} m ${num(x2)} ${num(y(top2))} l S`
+      );
+      return doc;
+    },
+
+    /** `top` is the text baseline. */
+    text(str, x, top, { size = 11, bold = false, color = "#000000" } = {}) {
+      ops.push(
+        `BT /${bold ? "F2" : "F1"} ${num(size)} Tf ${rgb(color)} rg ` +
+          `${num(x)} ${num(y(top))} Td (${encodeText(str)}) Tj ET`
+      );
+      return doc;
+    },
+
+    toBytes() {
+      // Object numbers: 1 catalog, 2 pages, 3-4 fonts, 5 info,
+      // then a (page, content) pair per page.
+      const objects = [];
+      const kids = pages.map((_, i) => `${6 + i * 2} 0 R`).join(" ");
+
+      objects.push("<< /Type /Catalog /Pages 2 0 R >>");
+      objects.push(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`);
+      objects.push(
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"
+      );
+      objects.push(
+        "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+      );
+      objects.push(`<< /Title (${encodeText(title)}) /Producer (portfolio) >>`);
+
+      pages.forEach((pageOps, i) => {
+        const stream = pageOps.join("\n");
+        objects.push(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${7 + i * 2} 0 R >>`
+        );
+        objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+      });
+
+      // Every character is one byte (WinAnsi), so string length == byte offset.
+      let out = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+      const offsets = objects.map((body, i) => {
+        const at = out.length;
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return at;
+      });
+
+      const xref = out.length;
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      out += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+      out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\n`;
+      out += `startxref\n${xref}\n%%EOF\n`;
+
+      return Uint8Array.from(out, (c) => c.charCodeAt(0));
+    },
+  };
+
+  return doc;
+}
@@ -0,0 +1,47 @@
+// src/services/pricing.js
+//
+// Live price estimates from a service's `pricing` rules
+// (src/content/services.js). Pure functions: the estimator renders them,
+// the quote wizard carries the formatted result in its payload.
+
+const ROUND_TO = 10;
+
+const round = (n) => Math.round(n / ROUND_TO) * ROUND_TO;
+
+const count = (v, fallback) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+};
+
+/**
+ * Estimate range for `pricing` and the picked options.
+ * Returns `{ low, mid, high, currency }`, all rounded to the nearest $10.
+ */
+export function estimatePrice(pricing, { sites = 1, devices = 0, rush = false } = {}) {
+  const { base, perSite, perDevice, rushMultiplier, spread, currency } = pricing;
+
+  const subtotal = base + perSite * count(sites, 1) + perDevice * count(devices, 0);
+  const mid = subtotal * (rush ? rushMultiplier : 1);
+
+  return {
+    low: round(mid * (1 - spread)),
+    mid: round(mid),
+    high: round(mid * (1 + spread)),
+    currency,
+  };
+}
+
+const money = (n) => `$${n.toLocaleString("en-US")}`;
+
+/** Same shape as the catalogue's static prices: "$250 – $1,500 CAD". */
+export function formatEstimate({ low, high, currency }) {
+  return `${money(low)} – ${money(high)} ${currency}`;
+}
+
+/** Quote-form budget bucket (see BUDGETS in messaging/validation.js) for an estimate. */
+export function budgetFor({ mid }) {
+  if (mid < 1000) return "under-1k";
+  if (mid < 3000) return "1k-3k";
+  if (mid < 5000) return "3k-5k";
+  return "5k+";
+}
@@ -0,0 +1,387 @@
+// src/services/qr.js
+//
+// Minimal QR Code (Model 2) encoder: byte mode (UTF-8), versions 1–40,
+// error correction L / M / Q / H, best of the eight masks. Enough for the
+// contact card's vCard without pulling a QR library into the bundle.
+//
+// `encodeQr` returns `{ size, modules }` where `modules[y][x]` is true for
+// a dark module; `qrSvgPath` turns that into one SVG path.
+
+const ECC = {
+  L: { ordinal: 0, formatBits: 1 },
+  M: { ordinal: 1, formatBits: 0 },
+  Q: { ordinal: 2, formatBits: 3 },
+  H: { ordinal: 3, formatBits: 2 },
+};
+
+// Per version (index 1–40), by ECC ordinal. From ISO/IEC 18004 table 9.
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30,
+    30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28,
+    28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30,
+    30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30,
+    30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+
+const ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14,
+    15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25,
+    26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34,
+    34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37,
+    40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+const bit = (value, i) => ((value >>> i) & 1) !== 0;
+
+/* =====================================================
+   CAPACITY
+===================================================== */
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const align = Math.floor(version / 7) + 2;
+    result -= (25 * align - 10) * align - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function dataCodewords(version, ecc) {
+  return (
+    Math.floor(rawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[ecc.ordinal][version] * ERROR_CORRECTION_BLOCKS[ecc.ordinal][version]
+  );
+}
+
+/* =====================================================
+   REED–SOLOMON (GF(2^8), polynomial 0x11D)
+===================================================== */
+function multiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function divisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = multiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = multiply(root, 0x02);
+  }
+  return result;
+}
+
+function remainder(data, div) {
+  const result = div.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    div.forEach((coef, i) => {
+      result[i] ^= multiply(coef, factor);
+    });
+  }
+  return result;
+}
+
+// Split into blocks, append each block's ECC, then interleave.
+function withErrorCorrection(data, version, ecc) {
+  const blocks = ERROR_CORRECTION_BLOCKS[ecc.ordinal][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[ecc.ordinal][version];
+  const raw = Math.floor(rawDataModules(version) / 8);
+  const shortBlocks = blocks - (raw % blocks);
+  const shortLength = Math.floor(raw / blocks);
+  const div = divisor(eccLength);
+
+  const all = [];
+  for (let i = 0, k = 0; i < blocks; i++) {
+    const block = data.slice(k, k + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+    k += block.length;
+    const check = remainder(block, div);
+    if (i < shortBlocks) block.push(0);
+    all.push([...block, ...check]);
+  }
+
+  const result = [];
+  for (let i = 0; i < all[0].length; i++) {
+    all.forEach((block, j) => {
+      // Skip the padding byte of short blocks.
+      if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+/* =====================================================
+   MATRIX
+===================================================== */
+function alignmentPositions(version, size) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < count; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns (with separators)
+  for (const [cx, cy] of [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4],
+  ]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+
+  // Alignment patterns, except where they would overlap a finder
+  const positions = alignmentPositions(version, size);
+  const last = positions.length - 1;
+  positions.forEach((cy, i) => {
+    positions.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Version information (7+)
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, bit(bits, i));
+      set(b, a, bit(bits, i));
+    }
+  }
+
+  return { size, modules, reserved, set };
+}
+
+function drawFormatBits({ size, set }, ecc, mask) {
+  const data = (ecc.formatBits << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bit(bits, i));
+  set(8, 7, bit(bits, 6));
+  set(8, 8, bit(bits, 7));
+  set(7, 8, bit(bits, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(bits, i));
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(bits, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(bits, i));
+  set(8, size - 8, true); // always dark
+}
+
+// Zig-zag up and down the two-column strips, right to left.
+function drawCodewords({ size, modules, reserved }, codewords) {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!reserved[y][x] && i < codewords.length * 8) {
+          modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+}
+
+function applyMask({ size, modules, reserved }, mask) {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+/* =====================================================
+   MASK PENALTY (ISO/IEC 18004 §7.8.3)
+===================================================== */
+const FINDER_LIKE = [
+  [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0],
+  [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1],
+];
+
+function linePenalty(line) {
+  let score = 0;
+  let run = 1;
+  for (let i = 1; i <= line.length; i++) {
+    if (i < line.length && line[i] === line[i - 1]) {
+      run++;
+      continue;
+    }
+    if (run >= 5) score += 3 + (run - 5);
+    run = 1;
+  }
+  for (let i = 0; i + 11 <= line.length; i++) {
+    for (const pattern of FINDER_LIKE) {
+      if (pattern.every((v, k) => line[i + k] === Boolean(v))) score += 40;
+    }
+  }
+  return score;
+}
+
+function penalty({ size, modules }) {
+  let score = 0;
+  for (let y = 0; y < size; y++) score += linePenalty(modules[y]);
+  for (let x = 0; x < size; x++) score += linePenalty(modules.map((row) => row[x]));
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (
+        x < size - 1 &&
+        y < size - 1 &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        score += 3;
+      }
+    }
+  }
+
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+/* =====================================================
+   PUBLIC API
+===================================================== */
+
+/**
+ * Encode `text` as a QR code: `{ version, size, modules }`. Picks the
+ * smallest version that fits; throws when the text is too long for any.
+ * Pass `mask` (0–7) to skip the automatic choice.
+ */
+export function encodeQr(text, { ecc: level = "M", mask } = {}) {
+  const ecc = ECC[level];
+  if (!ecc) throw new Error(`Unknown QR error correction level "${level}".`);
+  const bytes = new TextEncoder().encode(String(text));
+
+  let version = 1;
+  for (; version <= 40; version++) {
+    const countBits = version <= 9 ? 8 : 16;
+    const fits = 4 + countBits + bytes.length * 8 <= dataCodewords(version, ecc) * 8;
+    if (bytes.length < 2 ** countBits && fits) break;
+  }
+  if (version > 40) throw new Error("Text is too long for a QR code.");
+
+  // Mode indicator (byte), character count, data, terminator, padding.
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  push(0b0100, 4);
+  push(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach((b) => push(b, 8));
+
+  const capacity = dataCodewords(version, ecc) * 8;
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((byte, b) => (byte << 1) | b, 0));
+  }
+
+  const codewords = withErrorCorrection(data, version, ecc);
+
+  const build = (m) => {
+    const matrix = createMatrix(version);
+    drawFormatBits(matrix, ecc, m);
+    drawCodewords(matrix, codewords);
+    applyMask(matrix, m);
+    return matrix;
+  };
+
+  let best;
+  if (mask !== undefined) best = build(mask);
+  else {
+    let lowest = Infinity;
+    for (let m = 0; m < MASKS.length; m++) {
+      const matrix = build(m);
+      const score = penalty(matrix);
+      if (score < lowest) {
+        lowest = score;
+        best = matrix;
+      }
+    }
+  }
+
+  return { version, size: best.size, modules: best.modules };
+}
+
+/** One SVG path (`d`) drawing every dark module, offset by a quiet zone of `margin`. */
+export function qrSvgPath({ size, modules }, margin = 4) {
+  const parts = [];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) parts.push(`M${x + margin},${y + margin}h1v1h-1z`);
+    }
+  }
+  return parts.join("");
+}
@@ -0,0 +1,182 @@
+// src/services/quoteSummary.js
+//
+// Branded one-page PDF summary of a quote request, built entirely in the
+// browser with ./pdf.js. QuoteModal offers it as a download after a
+// successful request; with VITE_QUOTE_ATTACH_SUMMARY=true the messaging
+// layer also attaches it to the outgoing quote (see messaging/index.js).
+
+import { createPdf, wrapText } from "./pdf";
+import { formatScope } from "./messaging/scope";
+import { site, siteLocation } from "../content";
+
+// Site owner contact printed in the footer of every summary (site.config.js).
+export const OWNER = {
+  name: site.owner.name,
+  email: site.contact.email,
+  phone: site.contact.phoneDisplay,
+  location: siteLocation,
+};
+
+const BRAND = {
+  accent: "#61dca3",
+  ink: "#111111",
+  muted: "#666666",
+  rule: "#dddddd",
+};
+
+const PROJECT_TYPE_LABELS = {
+  website: "Website / App",
+  network: "Network Design",
+  security: "Security / Hardening",
+  consulting: "Consulting",
+};
+
+const BUDGET_LABELS = {
+  "under-1k": "Under $1k",
+  "1k-3k": "$1k – $3k",
+  "3k-5k": "$3k – $5k",
+  "5k+": "$5k+",
+};
+
+const MARGIN = 56;
+const BOTTOM = 96; // keep clear of the footer
+
+export function summaryFilename(quote) {
+  return `quote-${quote.reference || "request"}.pdf`;
+}
+
+function formatTimestamp(iso) {
+  const d = new Date(iso || Date.now());
+  if (Number.isNaN(d.getTime())) return String(iso);
+  return d.toLocaleString("en-CA", { dateStyle: "long", timeStyle: "short" });
+}
+
+/** The summary as PDF bytes. `quote` is the submitted form plus reference/timestamp. */
+export function buildQuoteSummary(quote) {
+  const siteName = quote.siteName || import.meta.env.VITE_SITE_NAME || "Portfolio";
+  const doc = createPdf({ title: `Quote request ${quote.reference || ""}`.trim() });
+  const contentWidth = doc.width - MARGIN * 2;
+
+  const footer = () => {
+    const top = doc.height - 64;
+    doc.line(MARGIN, top, doc.width - MARGIN, top, { color: BRAND.rule });
+    doc.text(OWNER.name, MARGIN, top + 20, { size: 10, bold: true, color: BRAND.ink });
+    doc.text(
+      [OWNER.email, OWNER.phone, OWNER.location].join("  •  "),
+      MARGIN,
+      top + 36,
+      { size: 9, color: BRAND.muted }
+    );
+  };
+
+  // ===== HEADER BAND =====
+  doc.rect(0, 0, doc.width, 96, { fill: BRAND.accent });
+  doc.text(siteName, MARGIN, 44, { size: 20, bold: true, color: BRAND.ink });
+  doc.text("Quote request summary", MARGIN, 70, { size: 12, color: BRAND.ink });
+  footer();
+
+  let top = 136;
+  const ensureRoom = (needed) => {
+    if (top + needed <= doc.height - BOTTOM) return;
+    doc.addPage();
+    footer();
+    top = MARGIN;
+  };
+
+  const heading = (label) => {
+    ensureRoom(40);
+    top += 14;
+    doc.text(label.toUpperCase(), MARGIN, top, { size: 9, bold: true, color: BRAND.muted });
+    top += 8;
+    doc.line(MARGIN, top, doc.width - MARGIN, top, { color: BRAND.rule });
+    top += 18;
+  };
+
+  const row = (label, value) => {
+    if (!value) return;
+    const lines = wrapText(String(value), contentWidth - 130, 11);
+    ensureRoom(18 + (lines.length - 1) * 16);
+    doc.text(label, MARGIN, top, { size: 10, color: BRAND.muted });
+    lines.forEach((line, i) => {
+      doc.text(line, MARGIN + 130, top + i * 16, { size: 11, color: BRAND.ink });
+    });
+    top += 18 + (lines.length - 1) * 16;
+  };
+
+  // ===== REFERENCE =====
+  doc.text(`Reference ${quote.reference || "—"}`, MARGIN, top, {
+    size: 14,
+    bold: true,
+    color: BRAND.ink,
+  });
+  top += 18;
+  doc.text(`Submitted ${formatTimestamp(quote.timestamp)}`, MARGIN, top, {
+    size: 10,
+    color: BRAND.muted,
+  });
+  top += 16;
+
+  heading("Request");
+  row("Name", quote.name);
+  row("Email", quote.email);
+  // Without a picked service, the messaging layer falls back to the raw project type.
+  row("Service", quote.service !== quote.projectType ? quote.service : "");
+  row("Project type", PROJECT_TYPE_LABELS[quote.projectType] || quote.projectType);
+  row("Budget", BUDGET_LABELS[quote.budget] || quote.budget);
+  row(
+    "Attachments",
+    (quote.attachments || [])
+      .map((a) => a.filename)
+      .filter((name) => name !== summaryFilename(quote))
+      .join(", ")
+  );
+
+  const scope = formatScope(quote);
+  if (scope.length) {
+    heading("Scope");
+    for (const line of scope) {
+      const [label, ...rest] = line.split(": ");
+      row(label, rest.join(": "));
+    }
+  }
+
+  if (quote.message) {
+    heading("Project details");
+    for (const line of wrapText(quote.message, contentWidth, 11)) {
+      ensureRoom(16);
+      doc.text(line, MARGIN, top, { size: 11, color: BRAND.ink });
+      top += 16;
+    }
+  }
+
+  return doc.toBytes();
+}
+
+/** Base64 attachment in the shape the http provider / api/contact.js expect. */
+export function quoteSummaryAttachment(quote) {
+  const bytes = buildQuoteSummary(quote);
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+
+  return {
+    filename: summaryFilename(quote),
+    contentType: "application/pdf",
+    content: btoa(binary),
+  };
+}
+
+/** Trigger a browser download of the summary. */
+export function downloadQuoteSummary(quote) {
+  const blob = new Blob([buildQuoteSummary(quote)], { type: "application/pdf" });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = summaryFilename(quote);
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+
+  // Give the browser a moment to start the download before revoking.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
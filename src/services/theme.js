@@ -0,0 +1,161 @@
+// src/services/theme.js
+//
+// Colour theme preference and the glue between the theme registry
+// (content/themes.js) and the page. The visitor picks "system" or any
+// registered theme; "system" (the default) follows the registry's `media`
+// queries and is stored by removing the key, so only an explicit choice
+// is remembered.
+//
+// `themeStyleSheet()` and `themeBootScript()` are inlined into index.html
+// at build time (see vite-plugin-themes.js): the tokens are in place and
+// `data-theme` / `data-scheme` are set before first paint. That also means
+// this module is imported by Node, so browser APIs stay inside functions.
+
+import { themes } from "../content/themes.js";
+
+export const THEME_STORAGE_KEY = "ui:theme";
+
+export const THEMES = themes.map((t) => t.id);
+export const THEME_PREFERENCES = ["system", ...THEMES];
+
+export const THEME_LABELS = {
+  system: "System",
+  ...Object.fromEntries(themes.map((t) => [t.id, t.label])),
+};
+
+const DEFAULT_THEME = themes[0];
+
+export function getTheme(id) {
+  return themes.find((t) => t.id === id) || DEFAULT_THEME;
+}
+
+/* =====================================================
+   STORAGE
+===================================================== */
+export function loadThemePreference() {
+  try {
+    const value = window.localStorage.getItem(THEME_STORAGE_KEY);
+    return THEMES.includes(value) ? value : "system";
+  } catch {
+    return "system";
+  }
+}
+
+export function saveThemePreference(preference) {
+  try {
+    if (THEMES.includes(preference)) {
+      window.localStorage.setItem(THEME_STORAGE_KEY, preference);
+    } else {
+      window.localStorage.removeItem(THEME_STORAGE_KEY);
+    }
+  } catch {
+    // Storage disabled: the choice lasts for this page view only.
+  }
+}
+
+/* =====================================================
+   SYSTEM PREFERENCE
+===================================================== */
+// Later registrations win, so they are checked first.
+const MEDIA_THEMES = themes.filter((t) => t.media).reverse();
+
+function mediaQuery(query) {
+  if (typeof window === "undefined" || typeof window.matchMedia !== "function") return null;
+  return window.matchMedia(query);
+}
+
+/** The theme whose `media` query matches, otherwise the first registered one. */
+export function systemTheme() {
+  return (MEDIA_THEMES.find((t) => mediaQuery(t.media)?.matches) || DEFAULT_THEME).id;
+}
+
+/** Call `onChange` whenever a theme's media query flips; returns an unsubscribe. */
+export function subscribeSystemTheme(onChange) {
+  const queries = MEDIA_THEMES.map((t) => mediaQuery(t.media)).filter(Boolean);
+
+  // Older Safari uses `addListener`/`removeListener`.
+  const unsubscribes = queries.map((mq) => {
+    if (typeof mq.addEventListener === "function") {
+      mq.addEventListener("change", onChange);
+      return () => mq.removeEventListener("change", onChange);
+    }
+    mq.addListener?.(onChange);
+    return () => mq.removeListener?.(onChange);
+  });
+  return () => unsubscribes.forEach((fn) => fn());
+}
+
+/* =====================================================
+   RESOLVE
+===================================================== */
+export function resolveTheme(preference, system = systemTheme()) {
+  return THEMES.includes(preference) ? preference : system;
+}
+
+/** The Dock toggle cycles system → each registered theme → system. */
+export function nextThemePreference(preference) {
+  const i = THEME_PREFERENCES.indexOf(preference);
+  return THEME_PREFERENCES[(i + 1) % THEME_PREFERENCES.length];
+}
+
+/** Mirror a resolved theme onto <html>, as the boot script does. */
+export function applyTheme(id, root = document.documentElement) {
+  const theme = getTheme(id);
+  root.setAttribute("data-theme", theme.id);
+  root.setAttribute("data-scheme", theme.scheme);
+}
+
+/* =====================================================
+   INDEX.HTML
+===================================================== */
+
+/** CSS custom properties for every registered theme. */
+export function themeStyleSheet() {
+  return themes
+    .map((theme) => {
+      const vars = {
+        ...theme.tokens,
+        "cursor-color": theme.cursor.color,
+        "cursor-glow": theme.cursor.glow,
+        "cursor-blend-mode": theme.cursor.blendMode,
+      };
+      const lines = Object.entries(vars).map(([name, value]) => `  --${name}: ${value};`);
+      return [
+        `html[data-theme="${theme.id}"] {`,
+        `  color-scheme: ${theme.scheme};`,
+        ...lines,
+        "}",
+      ].join("\n");
+    })
+    .join("\n\n");
+}
+
+/**
+ * Inline script that resolves the stored preference (or "system") and sets
+ * `data-theme` / `data-scheme` before the app bundle loads. Same rules as
+ * `loadThemePreference()` + `resolveTheme()` above.
+ */
+export function themeBootScript() {
+  const schemes = Object.fromEntries(themes.map((t) => [t.id, t.scheme]));
+  const media = MEDIA_THEMES.map((t) => [t.id, t.media]);
+
+  return `(function () {
+  var schemes = ${JSON.stringify(schemes)};
+  var media = ${JSON.stringify(media)};
+  var theme;
+  try {
+    theme = localStorage.getItem(${JSON.stringify(THEME_STORAGE_KEY)});
+  } catch (e) {}
+  if (!schemes.hasOwnProperty(theme)) {
+    theme = ${JSON.stringify(DEFAULT_THEME.id)};
+    for (var i = 0; i < media.length; i++) {
+      if (window.matchMedia && matchMedia(media[i][1]).matches) {
+        theme = media[i][0];
+        break;
+      }
+    }
+  }
+  document.documentElement.setAttribute("data-theme", theme);
+  document.documentElement.setAttribute("data-scheme", schemes[theme]);
+})();`;
+}
@@ -0,0 +1,42 @@
+// src/services/vcard.js
+//
+// vCard 4.0 (RFC 6350) for the site owner's contact card. The same text is
+// offered as a .vcf download and encoded into the contact sheet's QR code,
+// so phones can save the contact from either.
+
+import { downloadText, escapeText, joinLines } from "./contentLines";
+
+/* ===== BUILD ===== */
+
+/**
+ * vCard text for `card` (see content/contact.js). Missing optional fields
+ * are left out rather than written empty.
+ */
+export function buildVCard(card) {
+  const n = [card.familyName, card.givenName, "", "", ""].map((part) => escapeText(part));
+  const hasAddress = card.city || card.country;
+
+  return joinLines([
+    "BEGIN:VCARD",
+    "VERSION:4.0",
+    `FN:${escapeText(card.name)}`,
+    `N:${n.join(";")}`,
+    card.title ? `TITLE:${escapeText(card.title)}` : null,
+    card.email ? `EMAIL;TYPE=work:${card.email}` : null,
+    card.phone ? `TEL;VALUE=uri;TYPE=cell:tel:${card.phone}` : null,
+    hasAddress
+      ? `ADR;TYPE=work:;;;${escapeText(card.city)};;;${escapeText(card.country)}`
+      : null,
+    card.linkedin ? `URL:${card.linkedin}` : null,
+    "END:VCARD",
+  ]);
+}
+
+/* ===== DOWNLOAD ===== */
+
+export const vcardFilename = (card) =>
+  `${String(card.name).trim().replace(/\s+/g, "-").toLowerCase() || "contact"}.vcf`;
+
+export function downloadVCard(card) {
+  downloadText(buildVCard(card), vcardFilename(card), "text/vcard;charset=utf-8");
+}
@@ -0,0 +1,191 @@
+import { Marked } from "marked";
+import { parse as parseYaml } from "yaml";
+
+/**
+ * Compiles `*.md` files into JS modules at build time:
+ *
+ *   ---
+ *   title: Layer 2 Defense
+ *   image: ../../assets/projects/p5-l2.png
+ *   ---
+ *   ### DHCP Snooping
+ *   ```ios
+ *   ip dhcp snooping vlan 10
+ *   ```
+ *
+ * becomes `export default { title, image, body: "<h3>…</h3><pre>…</pre>" }`.
+ *
+ * Notes:
+ *   - Front-matter is YAML. String values starting with "./" or "../" are
+ *     treated as assets relative to the .md file and resolved through
+ *     `new URL(…, import.meta.url)`, exactly like hand-written records.
+ *   - Code fences tagged ios / fortios / powershell (and their aliases) are
+ *     highlighted here, so no highlighter ships to the browser.
+ */
+
+/* =====================================================
+   SYNTAX HIGHLIGHTING
+===================================================== */
+const IPV4 = ["number", /\b\d{1,3}(?:\.\d{1,3}){3}(?:\/\d{1,2})?\b/y];
+const NUMBER = ["number", /\b\d+\b/y];
+
+const LANGUAGES = {
+  ios: [
+    ["comment", /![^\n]*/y],
+    IPV4,
+    [
+      "type",
+      /\b(?:GigabitEthernet|FastEthernet|TenGigabitEthernet|Ethernet|Port-channel|Loopback|Tunnel|Vlan|Gi|Fa|Te|Po)\d+(?:\/\d+)*(?:\.\d+)?\b/y,
+    ],
+    [
+      "keyword",
+      /\b(?:access-list|access-group|remote-as|route-map|port-security|spanning-tree|snmp-server|interface|ipv6|ip|router|ospf|bgp|eigrp|network|neighbor|area|redistribute|match|set|switchport|mode|access|trunk|allowed|vlan|no|shutdown|hostname|description|address|dhcp|permit|deny|any|host|snooping|arp|inspection|trust|limit|rate|maximum|violation|portfast|bpduguard|line|vty|transport|input|login|local|username|enable|secret|ntp|server|logging|aaa|crypto|show|end|exit)\b/y,
+    ],
+    NUMBER,
+  ],
+  fortios: [
+    ["comment", /#[^\n]*/y],
+    ["string", /"(?:[^"\\\n]|\\.)*"/y],
+    IPV4,
+    [
+      "keyword",
+      /\b(?:config|edit|set|unset|append|select|unselect|next|end|show|get|diagnose|execute|purge|rename|move)\b/y,
+    ],
+    NUMBER,
+  ],
+  powershell: [
+    ["comment", /<#[\s\S]*?#>|#[^\n]*/y],
+    ["string", /"(?:[^"`\n]|`.)*"|'(?:[^'\n]|'')*'/y],
+    ["variable", /\$[\w:]+/y],
+    ["function", /\b[A-Z][A-Za-z]+-[A-Z][A-Za-z0-9]+\b/y],
+    ["attr", /(?<![\w-])-[A-Za-z]+\b/y],
+    [
+      "keyword",
+      /\b(?:if|else|elseif|foreach|for|while|do|switch|function|param|return|try|catch|finally|throw|in)\b/iy,
+    ],
+    IPV4,
+    NUMBER,
+  ],
+};
+
+const ALIASES = {
+  ios: "ios",
+  cisco: "ios",
+  "cisco-ios": "ios",
+  fortios: "fortios",
+  fortigate: "fortios",
+  powershell: "powershell",
+  ps1: "powershell",
+  pwsh: "powershell",
+};
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Highlight `code` for a fenced language. Unknown languages come back
+ * escaped but otherwise untouched.
+ */
+export function highlight(code, lang) {
+  const rules = LANGUAGES[ALIASES[String(lang || "").toLowerCase()]];
+  if (!rules) return escapeHtml(code);
+
+  let out = "";
+  let plain = "";
+  let i = 0;
+
+  while (i < code.length) {
+    let matched = null;
+
+    for (const [type, re] of rules) {
+      re.lastIndex = i;
+      const m = re.exec(code);
+      if (m && m[0].length) {
+        matched = { type, text: m[0] };
+        break;
+      }
+    }
+
+    if (!matched) {
+      plain += code[i];
+      i += 1;
+      continue;
+    }
+
+    out += escapeHtml(plain);
+    plain = "";
+    out += `<span class="tok-${matched.type}">${escapeHtml(matched.text)}</span>`;
+    i += matched.text.length;
+  }
+
+  return out + escapeHtml(plain);
+}
+
+/* =====================================================
+   MARKDOWN → MODULE
+===================================================== */
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+const marked = new Marked({
+  renderer: {
+    code({ text, lang }) {
+      const language = ALIASES[String(lang || "").toLowerCase()] || lang || "text";
+      return (
+        `<pre class="code-block" data-lang="${escapeHtml(language)}">` +
+        `<code class="language-${escapeHtml(language)}">${highlight(text, lang)}</code></pre>\n`
+      );
+    },
+  },
+});
+
+function isRelativeAsset(value) {
+  return typeof value === "string" && /^\.\.?\//.test(value);
+}
+
+/**
+ * Turn a markdown source into `{ data, body }`.
+ * Exported for tests and for tooling that needs the parsed form.
+ */
+export function compileMarkdown(source) {
+  const match = source.match(FRONT_MATTER);
+  const data = match ? parseYaml(match[1]) || {} : {};
+  const body = marked.parse(match ? source.slice(match[0].length) : source).trim();
+  return { data, body };
+}
+
+export default function markdown() {
+  return {
+    name: "markdown",
+    enforce: "pre",
+
+    transform(source, id) {
+      if (!id.endsWith(".md")) return null;
+
+      let compiled;
+      try {
+        compiled = compileMarkdown(source);
+      } catch (err) {
+        this.error(`Could not compile ${id}: ${err.message}`);
+      }
+
+      const assets = [];
+      const json = JSON.stringify({ ...compiled.data, body: compiled.body }, (key, value) => {
+        if (!isRelativeAsset(value)) return value;
+        assets.push(value);
+        return `__MD_ASSET_${assets.length - 1}__`;
+      });
+
+      const code = json.replace(
+        /"__MD_ASSET_(\d+)__"/g,
+        (_, n) => `new URL(${JSON.stringify(assets[Number(n)])}, import.meta.url).href`
+      );
+
+      return { code: `export default ${code};\n`, map: null };
+    },
+  };
+}
@@ -0,0 +1,42 @@
+import { site } from "./src/content/site.js";
+
+/**
+ * Fills `%site.…%` placeholders in index.html from `site.config.js`:
+ *
+ *   <title>%site.title%</title>  →  <title>Jane Doe — Portfolio</title>
+ *
+ * Notes:
+ *   - The config is validated when `src/content/site.js` is imported, so
+ *     a broken config already stops Vite from loading this file.
+ *   - An unknown key fails the transform instead of shipping the raw
+ *     placeholder. Values are HTML-escaped.
+ */
+
+const PLACEHOLDER = /%site\.([\w.]+)%/g;
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+export default function siteConfig() {
+  return {
+    name: "site-config",
+
+    transformIndexHtml: {
+      // Before Vite's own %ENV% replacement.
+      order: "pre",
+      handler(html) {
+        return html.replace(PLACEHOLDER, (text, path) => {
+          const value = path.split(".").reduce((obj, key) => obj?.[key], site);
+          if (value === undefined || typeof value === "object") {
+            throw new Error(`index.html: ${text} is not a value in site.config.js`);
+          }
+          return escapeHtml(value);
+        });
+      },
+    },
+  };
+}
@@ -0,0 +1,33 @@
+import { themeBootScript, themeStyleSheet } from "./src/services/theme.js";
+
+/**
+ * Inlines the theme registry (src/content/themes.js) into index.html:
+ *
+ *   <style data-themes>  html[data-theme="night"] { --bg-color: …; … }
+ *   <script>             sets data-theme / data-scheme from storage or
+ *                        the system preference
+ *
+ * Both are appended to the end of <head> (after the page's own tags and
+ * Vite's stylesheet links). That is still before <body> is parsed, so the
+ * script has set the theme and the tokens apply on first paint with no
+ * flash of the default theme. Not "head-prepend": the stylesheet would push
+ * <meta charset> out of the first 1024 bytes. The registry validates itself
+ * on import, so a broken theme stops Vite from loading this file.
+ */
+export default function themes() {
+  return {
+    name: "themes",
+
+    transformIndexHtml() {
+      return [
+        {
+          tag: "style",
+          attrs: { "data-themes": true },
+          children: themeStyleSheet(),
+          injectTo: "head",
+        },
+        { tag: "script", children: themeBootScript(), injectTo: "head" },
+      ];
+    },
+  };
+}
@@ -0,0 +1,45 @@
+import { createServer } from "vite";
+
+/**
+ * Fails `vite build` (and warns loudly in `vite dev`) when a record in
+ * src/content does not match its schema.
+ *
+ * The registry validates itself on import, so all this plugin has to do
+ * is evaluate `src/content/index.js` before bundling starts. It does so
+ * through a throwaway Vite SSR loader so that `import.meta.glob` and
+ * content plugins (e.g. Markdown) behave exactly as in the app bundle.
+ */
+export default function validateContent({
+  entry = "/src/content/index.js",
+  plugins = [],
+} = {}) {
+  let root = process.cwd();
+
+  return {
+    name: "validate-content",
+
+    configResolved(config) {
+      root = config.root;
+    },
+
+    async buildStart() {
+      const loader = await createServer({
+        root,
+        configFile: false,
+        logLevel: "silent",
+        appType: "custom",
+        plugins,
+        optimizeDeps: { noDiscovery: true, include: [] },
+        server: { middlewareMode: true, hmr: false, watch: null },
+      });
+
+      try {
+        await loader.ssrLoadModule(entry);
+      } catch (err) {
+        this.error(err.message);
+      } finally {
+        await loader.close();
+      }
+    },
+  };
+}
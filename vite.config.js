@@ -1,8 +1,18 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import markdown from './vite-plugin-markdown.js'
+import validateContent from './vite-plugin-validate-content.js'
+import siteConfig from './vite-plugin-site-config.js'
+import themes from './vite-plugin-themes.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    markdown(),
+    validateContent({ plugins: [markdown()] }),
+    siteConfig(),
+    themes(),
+  ],
   assetsInclude: ["**/*.mp4"],
 })
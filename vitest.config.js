@@ -1,11 +1,14 @@
 import { defineConfig } from "vitest/config";
 import react from "@vitejs/plugin-react";
+import markdown from "./vite-plugin-markdown.js";
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), markdown()],
   test: {
     environment: "jsdom",
     globals: true,
     setupFiles: ["src/__tests__/vitest.setup.js"],
+    // Keep proof-of-work cheap so form tests stay fast.
+    env: { VITE_POW_DIFFICULTY: "4" },
   },
 });